@@ -0,0 +1,70 @@
+import express from 'express';
+import cors from 'cors';
+import authRoutes from './routes/auth.js';
+import ridesRoutes from './routes/rides.js';
+import bookingsRoutes from './routes/bookings.js';
+import messagesRoutes from './routes/messages.js';
+import contactRoutes from './routes/contact.js';
+import schedulesRoutes from './routes/schedules.js';
+import reviewsRoutes from './routes/reviews.js';
+import waitlistRoutes from './routes/waitlist.js';
+import savedSearchesRoutes from './routes/savedSearches.js';
+import walletRoutes from './routes/wallet.js';
+import jobsRoutes from './routes/jobs.js';
+import reportsRoutes from './routes/reports.js';
+import blocksRoutes from './routes/blocks.js';
+import safetyRoutes from './routes/safety.js';
+import adminRoutes from './routes/admin.js';
+import { SERVES_LOCAL_UPLOADS, UPLOAD_DIR, UPLOAD_URL_PATH } from './services/uploads.js';
+
+const app = express();
+
+// Behind a proxy (Vercel, nginx) the client IP used for rate limiting comes
+// from X-Forwarded-For; TRUST_PROXY is the number of proxies in front
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : '0')));
+
+// Middleware
+app.use(cors({
+  origin: true,
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization']
+}));
+app.options('*', cors());
+app.use(express.json());
+
+// Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/rides', ridesRoutes);
+app.use('/api/bookings', bookingsRoutes);
+app.use('/api/messages', messagesRoutes);
+app.use('/api/contact', contactRoutes);
+app.use('/api/schedules', schedulesRoutes);
+app.use('/api/reviews', reviewsRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/saved-searches', savedSearchesRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/blocks', blocksRoutes);
+app.use('/api/safety', safetyRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Uploaded chat images (random, unguessable file names) kept on local disk;
+// on the supabase backend they are served by Supabase Storage instead
+if (SERVES_LOCAL_UPLOADS) {
+  app.use(UPLOAD_URL_PATH, express.static(UPLOAD_DIR, { maxAge: '7d' }));
+}
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Error handler
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({ message: 'Something went wrong!' });
+});
+
+export default app;
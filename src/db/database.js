@@ -15,6 +15,15 @@ if (!fs.existsSync(dbDir)) {
 
 const db = new Database(dbPath);
 
+// CREATE TABLE IF NOT EXISTS leaves existing tables untouched, so columns
+// added after a table first shipped are applied here.
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
 export function initDatabase() {
   db.exec(`
     CREATE TABLE IF NOT EXISTS users (
@@ -24,10 +33,16 @@ export function initDatabase() {
       name TEXT NOT NULL,
       username TEXT UNIQUE NOT NULL,
       phone_number TEXT,
+      phone_verified INTEGER DEFAULT 0,
       profile_picture TEXT,
       rating REAL DEFAULT 5.0,
       total_rides INTEGER DEFAULT 0,
+      late_cancellations INTEGER DEFAULT 0,
       is_verified INTEGER DEFAULT 0,
+      role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+      account_status TEXT NOT NULL DEFAULT 'active' CHECK (account_status IN ('active', 'suspended', 'banned')),
+      suspended_until TEXT,
+      suspension_reason TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP
     );
@@ -49,6 +64,41 @@ export function initDatabase() {
       price_per_seat REAL NOT NULL,
       description TEXT,
       status TEXT DEFAULT 'available' CHECK (status IN ('available', 'active', 'completed', 'cancelled')),
+      booking_mode TEXT DEFAULT 'instant' CHECK (booking_mode IN ('instant', 'request')),
+      schedule_id TEXT,
+      occurrence_date TEXT,
+      started_at TEXT,
+      completed_at TEXT,
+      cancelled_at TEXT,
+      hidden_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (driver_id) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS ride_schedules (
+      id TEXT PRIMARY KEY,
+      driver_id TEXT NOT NULL,
+      pickup_address TEXT NOT NULL,
+      pickup_latitude REAL,
+      pickup_longitude REAL,
+      drop_address TEXT NOT NULL,
+      drop_latitude REAL,
+      drop_longitude REAL,
+      stops TEXT DEFAULT '[]',
+      total_seats INTEGER NOT NULL,
+      vehicle_type TEXT NOT NULL CHECK (vehicle_type IN ('bike', 'car', 'cab', 'suv')),
+      price_per_seat REAL NOT NULL,
+      description TEXT,
+      booking_mode TEXT DEFAULT 'instant' CHECK (booking_mode IN ('instant', 'request')),
+      days_of_week TEXT NOT NULL,
+      departure_time TEXT NOT NULL,
+      duration_minutes INTEGER,
+      utc_offset_minutes INTEGER NOT NULL DEFAULT 330,
+      start_date TEXT NOT NULL,
+      end_date TEXT,
+      skip_dates TEXT DEFAULT '[]',
+      status TEXT DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
       created_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (driver_id) REFERENCES users(id)
@@ -61,12 +111,178 @@ export function initDatabase() {
       seats_booked INTEGER NOT NULL,
       booking_status TEXT DEFAULT 'pending' CHECK (booking_status IN ('pending', 'confirmed', 'cancelled', 'completed')),
       total_price REAL NOT NULL,
+      from_stop_order INTEGER,
+      to_stop_order INTEGER,
+      status_reason TEXT,
+      expires_at TEXT,
+      refund_amount REAL,
       booked_at TEXT DEFAULT CURRENT_TIMESTAMP,
       updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (ride_id) REFERENCES rides(id),
       FOREIGN KEY (passenger_id) REFERENCES users(id)
     );
 
+    CREATE TABLE IF NOT EXISTS ride_stops (
+      id TEXT PRIMARY KEY,
+      ride_id TEXT NOT NULL,
+      stop_order INTEGER NOT NULL,
+      address TEXT NOT NULL,
+      latitude REAL,
+      longitude REAL,
+      arrival_time TEXT,
+      seats_available INTEGER,
+      route_fraction REAL NOT NULL,
+      FOREIGN KEY (ride_id) REFERENCES rides(id) ON DELETE CASCADE,
+      UNIQUE (ride_id, stop_order)
+    );
+
+    -- GPS pings posted by the driver while a ride is active; deleted once
+    -- the trip is over
+    CREATE TABLE IF NOT EXISTS ride_locations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ride_id TEXT NOT NULL,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      heading REAL,
+      speed_kmh REAL,
+      accuracy_m REAL,
+      recorded_at TEXT NOT NULL,
+      FOREIGN KEY (ride_id) REFERENCES rides(id) ON DELETE CASCADE
+    );
+
+    -- One row per signed-in device. The refresh token is rotated on every
+    -- use; only the hash of the current one is kept.
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      refresh_token_hash TEXT NOT NULL,
+      user_agent TEXT,
+      ip_address TEXT,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT,
+      revoked_reason TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    -- Request counters for rate limiting and login lockout when
+    -- RATE_LIMIT_STORE=database
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      reset_at TEXT NOT NULL
+    );
+
+    -- One-time codes texted to confirm a phone number; the number becomes
+    -- the user's verified phone once the code is entered
+    CREATE TABLE IF NOT EXISTS phone_verifications (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      phone_number TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      expires_at TEXT NOT NULL,
+      verified_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    -- Single-use email verification and password reset links. The link
+    -- carries a signed token whose id is the row id.
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      purpose TEXT NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+      expires_at TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    -- Double-entry ledger: every transaction's entries sum to zero. Amounts
+    -- are in paise; a positive amount credits the account.
+    CREATE TABLE IF NOT EXISTS ledger_transactions (
+      id TEXT PRIMARY KEY,
+      kind TEXT NOT NULL CHECK (kind IN ('booking_charge', 'booking_refund', 'ride_earnings', 'top_up', 'payout', 'payout_reversal')),
+      booking_id TEXT,
+      ride_id TEXT,
+      description TEXT,
+      provider TEXT,
+      provider_reference TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (booking_id) REFERENCES ride_bookings(id),
+      FOREIGN KEY (ride_id) REFERENCES rides(id)
+    );
+
+    -- Accounts: a user's wallet, the escrow holding a booking's payment and
+    -- the payment provider (money entering or leaving the platform)
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT NOT NULL,
+      account TEXT NOT NULL CHECK (account IN ('wallet', 'escrow', 'provider')),
+      owner_id TEXT,
+      amount_paise INTEGER NOT NULL,
+      FOREIGN KEY (transaction_id) REFERENCES ledger_transactions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS reviews (
+      id TEXT PRIMARY KEY,
+      booking_id TEXT NOT NULL,
+      ride_id TEXT NOT NULL,
+      reviewer_id TEXT NOT NULL,
+      reviewee_id TEXT NOT NULL,
+      rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      comment TEXT,
+      tags TEXT DEFAULT '[]',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (booking_id) REFERENCES ride_bookings(id),
+      FOREIGN KEY (ride_id) REFERENCES rides(id),
+      FOREIGN KEY (reviewer_id) REFERENCES users(id),
+      FOREIGN KEY (reviewee_id) REFERENCES users(id),
+      UNIQUE (booking_id, reviewer_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS ride_waitlist (
+      id TEXT PRIMARY KEY,
+      ride_id TEXT NOT NULL,
+      passenger_id TEXT NOT NULL,
+      seats_requested INTEGER NOT NULL,
+      from_stop_order INTEGER NOT NULL,
+      to_stop_order INTEGER NOT NULL,
+      status TEXT DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'accepted', 'expired', 'cancelled')),
+      offer_expires_at TEXT,
+      booking_id TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (ride_id) REFERENCES rides(id),
+      FOREIGN KEY (passenger_id) REFERENCES users(id),
+      FOREIGN KEY (booking_id) REFERENCES ride_bookings(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS saved_searches (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT,
+      pickup_location TEXT,
+      pickup_latitude REAL,
+      pickup_longitude REAL,
+      pickup_radius_km REAL,
+      drop_location TEXT,
+      drop_latitude REAL,
+      drop_longitude REAL,
+      drop_radius_km REAL,
+      vehicle_type TEXT CHECK (vehicle_type IN ('bike', 'car', 'cab', 'suv')),
+      seats_needed INTEGER,
+      earliest_time TEXT,
+      latest_time TEXT,
+      utc_offset_minutes INTEGER NOT NULL DEFAULT 330,
+      alerts_enabled INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
     CREATE TABLE IF NOT EXISTS ride_messages (
       id TEXT PRIMARY KEY,
       ride_id TEXT NOT NULL,
@@ -74,6 +290,7 @@ export function initDatabase() {
       receiver_id TEXT NOT NULL,
       message TEXT NOT NULL,
       message_type TEXT DEFAULT 'text' CHECK (message_type IN ('text', 'image', 'location')),
+      attachment TEXT,
       is_read INTEGER DEFAULT 0,
       sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (ride_id) REFERENCES rides(id),
@@ -81,11 +298,204 @@ export function initDatabase() {
       FOREIGN KEY (receiver_id) REFERENCES users(id)
     );
 
+    -- Every action taken through the admin API, with who took it
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id TEXT,
+      details TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (admin_id) REFERENCES users(id)
+    );
+
+    -- Reports of abusive users, rides or messages, worked through by admins
+    CREATE TABLE IF NOT EXISTS user_reports (
+      id TEXT PRIMARY KEY,
+      reporter_id TEXT NOT NULL,
+      reported_user_id TEXT NOT NULL,
+      ride_id TEXT,
+      message_id TEXT,
+      category TEXT NOT NULL,
+      description TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+      resolved_by TEXT,
+      resolution_note TEXT,
+      resolved_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (reporter_id) REFERENCES users(id),
+      FOREIGN KEY (reported_user_id) REFERENCES users(id),
+      FOREIGN KEY (ride_id) REFERENCES rides(id),
+      FOREIGN KEY (message_id) REFERENCES ride_messages(id),
+      FOREIGN KEY (resolved_by) REFERENCES users(id)
+    );
+
+    -- Users who blocked each other cannot message, book or see each
+    -- other's rides
+    CREATE TABLE IF NOT EXISTS user_blocks (
+      blocker_id TEXT NOT NULL,
+      blocked_id TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (blocker_id, blocked_id),
+      FOREIGN KEY (blocker_id) REFERENCES users(id),
+      FOREIGN KEY (blocked_id) REFERENCES users(id)
+    );
+
+    -- People a user trusts to be told when they raise an SOS
+    CREATE TABLE IF NOT EXISTS emergency_contacts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL,
+      phone_number TEXT,
+      relationship TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    -- Links that let anyone holding them follow a passenger's trip until
+    -- they expire. Only a hash of the link token is stored.
+    CREATE TABLE IF NOT EXISTS trip_shares (
+      id TEXT PRIMARY KEY,
+      ride_id TEXT NOT NULL,
+      booking_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (ride_id) REFERENCES rides(id),
+      FOREIGN KEY (booking_id) REFERENCES ride_bookings(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    -- SOS alerts with the location known when they were raised (trip
+    -- pings are deleted once the ride ends)
+    CREATE TABLE IF NOT EXISTS sos_alerts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      ride_id TEXT,
+      latitude REAL,
+      longitude REAL,
+      location_source TEXT CHECK (location_source IN ('device', 'ride_tracking')),
+      location_recorded_at TEXT,
+      message TEXT,
+      contacts_notified INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (ride_id) REFERENCES rides(id)
+    );
+
+    -- Events pushed to users over the realtime stream, kept for a while so
+    -- clients can catch up by polling or after reconnecting
+    CREATE TABLE IF NOT EXISTS realtime_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
     CREATE INDEX IF NOT EXISTS idx_rides_driver ON rides(driver_id);
     CREATE INDEX IF NOT EXISTS idx_rides_status ON rides(status);
+    CREATE INDEX IF NOT EXISTS idx_rides_pickup_coords ON rides(pickup_latitude, pickup_longitude);
+    CREATE INDEX IF NOT EXISTS idx_rides_drop_coords ON rides(drop_latitude, drop_longitude);
     CREATE INDEX IF NOT EXISTS idx_bookings_ride ON ride_bookings(ride_id);
     CREATE INDEX IF NOT EXISTS idx_bookings_passenger ON ride_bookings(passenger_id);
     CREATE INDEX IF NOT EXISTS idx_messages_ride ON ride_messages(ride_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_sender ON ride_messages(sender_id, receiver_id, ride_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_receiver ON ride_messages(receiver_id, sender_id, ride_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_unread ON ride_messages(receiver_id) WHERE is_read = 0;
+    CREATE INDEX IF NOT EXISTS idx_stops_coords ON ride_stops(latitude, longitude);
+    CREATE INDEX IF NOT EXISTS idx_reviews_reviewee ON reviews(reviewee_id);
+    CREATE INDEX IF NOT EXISTS idx_ride_locations_ride ON ride_locations(ride_id, recorded_at);
+    CREATE INDEX IF NOT EXISTS idx_realtime_events_user ON realtime_events(user_id, id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id) WHERE revoked_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_phone_verifications_user ON phone_verifications(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
+    CREATE INDEX IF NOT EXISTS idx_user_reports_status ON user_reports(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_user_reports_reporter ON user_reports(reporter_id);
+    CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
+    CREATE INDEX IF NOT EXISTS idx_emergency_contacts_user ON emergency_contacts(user_id);
+    CREATE INDEX IF NOT EXISTS idx_trip_shares_expires_at ON trip_shares(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_sos_alerts_user ON sos_alerts(user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id, purpose);
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account, owner_id, id);
+    CREATE INDEX IF NOT EXISTS idx_ledger_transactions_booking ON ledger_transactions(booking_id);
+    CREATE INDEX IF NOT EXISTS idx_waitlist_ride ON ride_waitlist(ride_id, status);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_open_entry ON ride_waitlist(ride_id, passenger_id) WHERE status IN ('waiting', 'offered');
+    CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id);
+    CREATE INDEX IF NOT EXISTS idx_waitlist_offer_expiry ON ride_waitlist(offer_expires_at) WHERE status = 'offered';
+
+    -- A user's rating is the average of the reviews they received
+    -- (total_rides is counted when rides are completed)
+    DROP TRIGGER IF EXISTS trg_reviews_aggregate;
+    CREATE TRIGGER trg_reviews_aggregate AFTER INSERT ON reviews
+    BEGIN
+      UPDATE users SET
+        rating = (SELECT ROUND(AVG(rating), 2) FROM reviews WHERE reviewee_id = NEW.reviewee_id),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = NEW.reviewee_id;
+    END;
+  `);
+
+  // Bookings cover the segment between two stops (null = whole ride)
+  ensureColumn('ride_bookings', 'from_stop_order', 'INTEGER');
+  ensureColumn('ride_bookings', 'to_stop_order', 'INTEGER');
+
+  // "Request to book" rides hold pending bookings until the driver answers
+  ensureColumn('rides', 'booking_mode', "TEXT DEFAULT 'instant' CHECK (booking_mode IN ('instant', 'request'))");
+  ensureColumn('ride_schedules', 'booking_mode', "TEXT DEFAULT 'instant' CHECK (booking_mode IN ('instant', 'request'))");
+  ensureColumn('ride_bookings', 'status_reason', 'TEXT');
+  ensureColumn('ride_bookings', 'expires_at', 'TEXT');
+
+  // Cancellation policy: what a cancelled booking got back, and how often a
+  // driver cancelled a booked ride at short notice
+  ensureColumn('ride_bookings', 'refund_amount', 'REAL');
+  ensureColumn('users', 'late_cancellations', 'INTEGER DEFAULT 0');
+
+  // Set once the user confirms their phone number with a texted code
+  ensureColumn('users', 'phone_verified', 'INTEGER DEFAULT 0');
+
+  // When the ride was started, completed or cancelled
+  ensureColumn('rides', 'started_at', 'TEXT');
+  ensureColumn('rides', 'completed_at', 'TEXT');
+  ensureColumn('rides', 'cancelled_at', 'TEXT');
+
+  // Roles and moderation: suspended or banned accounts cannot sign in, and
+  // hidden rides are left out of listings and search
+  ensureColumn('users', 'role', "TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin'))");
+  ensureColumn('users', 'account_status', "TEXT NOT NULL DEFAULT 'active' CHECK (account_status IN ('active', 'suspended', 'banned'))");
+  ensureColumn('users', 'suspended_until', 'TEXT');
+  ensureColumn('users', 'suspension_reason', 'TEXT');
+  ensureColumn('rides', 'hidden_at', 'TEXT');
+
+  // Image and location messages keep their details as JSON
+  ensureColumn('ride_messages', 'attachment', 'TEXT');
+
+  // Rides materialised from a recurring schedule, one per schedule and date
+  ensureColumn('rides', 'schedule_id', 'TEXT');
+  ensureColumn('rides', 'occurrence_date', 'TEXT');
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_rides_schedule_occurrence ON rides(schedule_id, occurrence_date) WHERE schedule_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_schedules_driver ON ride_schedules(driver_id);
+    CREATE INDEX IF NOT EXISTS idx_bookings_pending_expiry ON ride_bookings(expires_at) WHERE booking_status = 'pending';
+  `);
+
+  // Rides created before stops existed get a pickup and drop stop
+  db.exec(`
+    INSERT INTO ride_stops (id, ride_id, stop_order, address, latitude, longitude, arrival_time, seats_available, route_fraction)
+    SELECT lower(hex(randomblob(16))), r.id, 0, r.pickup_address, r.pickup_latitude, r.pickup_longitude, r.pickup_time, r.available_seats, 0
+    FROM rides r WHERE NOT EXISTS (SELECT 1 FROM ride_stops s WHERE s.ride_id = r.id);
+
+    INSERT INTO ride_stops (id, ride_id, stop_order, address, latitude, longitude, arrival_time, seats_available, route_fraction)
+    SELECT lower(hex(randomblob(16))), r.id, 1, r.drop_address, r.drop_latitude, r.drop_longitude, r.expected_drop_time, NULL, 1
+    FROM rides r WHERE NOT EXISTS (SELECT 1 FROM ride_stops s WHERE s.ride_id = r.id AND s.stop_order > 0);
   `);
   
   console.log('✅ Database initialized');
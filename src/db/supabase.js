@@ -0,0 +1,19 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// The service role bypasses the grants the anon key is limited to. The
+// repositories whose tables or functions are revoked from the anon key (see
+// the *_privileges migrations) go through it.
+export const serviceSupabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export default supabase;
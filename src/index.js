@@ -1,43 +1,15 @@
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
-import { initDatabase } from './db/database.js';
-import authRoutes from './routes/auth.js';
-import ridesRoutes from './routes/rides.js';
-import bookingsRoutes from './routes/bookings.js';
-import messagesRoutes from './routes/messages.js';
-import contactRoutes from './routes/contact.js';
+import app from './app.js';
+import { backend } from './repositories/index.js';
+import { runJobs } from './jobs/index.js';
 
 dotenv.config();
 
-const app = express();
 const PORT = process.env.PORT || 3001;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Initialize database
-initDatabase();
-
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/rides', ridesRoutes);
-app.use('/api/bookings', bookingsRoutes);
-app.use('/api/messages', messagesRoutes);
-app.use('/api/contact', contactRoutes);
-
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-// Error handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: 'Something went wrong!' });
-});
+const JOB_INTERVAL_MS = parseInt(process.env.JOB_INTERVAL_MS || '60000');
 
 app.listen(PORT, () => {
-  console.log(`🚀 Poolo Backend running on http://localhost:${PORT}`);
+  console.log(`🚀 Poolo Backend running on http://localhost:${PORT} (${backend})`);
+  runJobs();
+  setInterval(runJobs, JOB_INTERVAL_MS);
 });
@@ -0,0 +1,31 @@
+import { expirePendingBookings } from '../services/bookings.js';
+import { pruneRateLimits } from '../services/rateLimits.js';
+import { pruneRealtimeEvents } from '../services/realtime.js';
+import { pruneTripShares } from '../services/safety.js';
+import { materializeSchedules } from '../services/schedules.js';
+import { pruneSessions } from '../services/sessions.js';
+import { purgeTripLocations } from '../services/tracking.js';
+import { expireWaitlistOffers } from '../services/waitlist.js';
+
+// Periodic background work. The long-running server runs these on a timer;
+// the serverless deployment triggers them through GET /api/jobs/run.
+const jobs = [
+  ['materialize-schedules', materializeSchedules],
+  ['expire-booking-requests', expirePendingBookings],
+  ['expire-waitlist-offers', expireWaitlistOffers],
+  ['prune-realtime-events', pruneRealtimeEvents],
+  ['purge-trip-locations', purgeTripLocations],
+  ['prune-sessions', pruneSessions],
+  ['prune-rate-limits', pruneRateLimits],
+  ['prune-trip-shares', pruneTripShares]
+];
+
+export async function runJobs() {
+  for (const [name, job] of jobs) {
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+    }
+  }
+}
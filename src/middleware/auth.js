@@ -1,25 +1,74 @@
 import jwt from 'jsonwebtoken';
-import db from '../db/database.js';
-
-export function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+import { users, sessions } from '../repositories/index.js';
+import { accountRestriction } from '../services/moderation.js';
 
+async function authenticate(token, req, res, next) {
   if (!token) {
     return res.status(401).json({ message: 'Access token required' });
   }
 
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid or expired token' });
+  }
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(decoded.userId);
-    
+    // Access tokens stay valid only while their session is: logging out
+    // revokes the session
+    const session = decoded.sid && await sessions.findById(decoded.sid);
+    if (!session || session.revoked_at || session.user_id !== decoded.userId) {
+      return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
+
+    const user = await users.findById(decoded.userId);
+
     if (!user) {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    // Also covers tokens issued before the account was suspended
+    const restriction = accountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({ message: restriction });
+    }
+
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
-    return res.status(403).json({ message: 'Invalid or expired token' });
+    next(error);
+  }
+}
+
+export async function authenticateToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  return authenticate(token, req, res, next);
+}
+
+// Same as authenticateToken, but browsers' EventSource cannot set headers,
+// so event streams also accept the token as ?access_token=
+export async function authenticateStream(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.query.access_token;
+  return authenticate(token, req, res, next);
+}
+
+// With REQUIRE_VERIFIED_EMAIL=true only users who verified their email may
+// publish rides. Runs after authenticateToken.
+export function requireVerifiedEmail(req, res, next) {
+  if (process.env.REQUIRE_VERIFIED_EMAIL === 'true' && !req.user.is_verified) {
+    return res.status(403).json({ message: 'Please verify your email before publishing rides' });
+  }
+  next();
+}
+
+// Only admins may use the admin API. Runs after authenticateToken.
+export function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
   }
+  next();
 }
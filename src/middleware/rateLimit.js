@@ -0,0 +1,19 @@
+import { consume } from '../services/rateLimits.js';
+import { RateLimitError } from '../utils/errors.js';
+
+// Rejects requests over `limit` ({ name, max, windowSeconds }) with a 429.
+// Requests are counted per client IP unless `keyOf(req)` says otherwise.
+export function rateLimit(limit, keyOf = req => req.ip) {
+  return async (req, res, next) => {
+    try {
+      await consume(limit, keyOf(req));
+      next();
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.status).json({ message: error.message });
+      }
+      next(error);
+    }
+  };
+}
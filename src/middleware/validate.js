@@ -0,0 +1,32 @@
+import { validateSchema } from '../utils/validation.js';
+
+// Answers 400 with field errors ({ in, field, message }), for checks a
+// schema cannot express. `extra` is merged into the response.
+export function sendFieldErrors(res, errors, extra = {}) {
+  return res.status(400).json({ message: `${errors[0].field} ${errors[0].message}`, errors, ...extra });
+}
+
+// Checks req.params, req.query and req.body against the matching schemas
+// (see utils/validation.js) and answers 400 with every field error:
+//   { message, errors: [{ in, field, message }] }
+// Query values are converted to the types their schema asks for. The
+// schemas stay readable on the middleware as `.schemas` for API docs.
+export function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+
+      const result = validateSchema(schemas[part], req[part] ?? {}, { coerce: part !== 'body' });
+      errors.push(...result.errors.map(error => ({ in: part, field: error.field || part, message: error.message })));
+      if (part === 'query') req.query = result.value;
+    }
+
+    if (errors.length > 0) {
+      return sendFieldErrors(res, errors);
+    }
+    next();
+  };
+  middleware.schemas = schemas;
+  return middleware;
+}
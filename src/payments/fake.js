@@ -0,0 +1,23 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Local provider for development: payments succeed instantly and no real
+// money moves. Amounts above FAKE_PAYMENT_DECLINE_ABOVE (rupees) are declined
+// to exercise failed payments.
+export const name = 'fake';
+
+const DECLINE_ABOVE = process.env.FAKE_PAYMENT_DECLINE_ABOVE ? parseFloat(process.env.FAKE_PAYMENT_DECLINE_ABOVE) : Infinity;
+
+function settle(prefix, amount) {
+  if (amount > DECLINE_ABOVE) {
+    throw new Error(`Fake payment of ₹${amount} declined`);
+  }
+  return { reference: `fake_${prefix}_${uuidv4()}` };
+}
+
+export async function charge({ amount }) {
+  return settle('ch', amount);
+}
+
+export async function payout({ amount }) {
+  return settle('po', amount);
+}
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// PAYMENT_PROVIDER picks the gateway that charges passengers and pays out
+// wallet balances. A provider module exports:
+//   name
+//   charge({ userId, amount, description }) -> { reference }
+//   payout({ userId, amount, description }) -> { reference }
+// with amounts in rupees, and throws when the payment does not go through.
+export const providerName = process.env.PAYMENT_PROVIDER || 'fake';
+
+const loaders = {
+  fake: () => import('./fake.js'),
+};
+
+if (!loaders[providerName]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${providerName}"`);
+}
+
+const provider = await loaders[providerName]();
+
+export default provider;
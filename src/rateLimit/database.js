@@ -0,0 +1,22 @@
+import { rateLimits } from '../repositories/index.js';
+
+// Counters kept in the rate_limits table, shared by every instance
+export const name = 'database';
+
+const toCounter = row => row && { count: row.count, resetAt: new Date(row.reset_at).getTime() };
+
+export async function hit(key, windowSeconds) {
+  return toCounter(await rateLimits.hit(key, windowSeconds));
+}
+
+export async function get(key) {
+  return toCounter(await rateLimits.get(key));
+}
+
+export async function reset(key) {
+  await rateLimits.remove(key);
+}
+
+export async function prune() {
+  await rateLimits.pruneExpired();
+}
@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// RATE_LIMIT_STORE picks where request counters live. A store module
+// exports:
+//   name
+//   hit(key, windowSeconds) -> { count, resetAt }
+//   get(key) -> { count, resetAt } or null
+//   reset(key)
+//   prune()
+// Counters are fixed windows: the first hit starts a window of
+// `windowSeconds` and later hits count towards it until resetAt (epoch ms).
+// The in-memory store suits the long-running server; serverless instances
+// do not share memory, so they default to the database.
+export const storeName = process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? 'database' : 'memory');
+
+const loaders = {
+  memory: () => import('./memory.js'),
+  database: () => import('./database.js'),
+};
+
+if (!loaders[storeName]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}"`);
+}
+
+const store = await loaders[storeName]();
+
+export default store;
@@ -0,0 +1,34 @@
+// Counters kept in this process. Lost on restart and not shared between
+// instances, which is fine for a single long-running server.
+export const name = 'memory';
+
+const counters = new Map();
+
+function live(key, now = Date.now()) {
+  const counter = counters.get(key);
+  return counter && counter.resetAt > now ? counter : null;
+}
+
+export async function hit(key, windowSeconds) {
+  const now = Date.now();
+  const counter = live(key, now) || { count: 0, resetAt: now + windowSeconds * 1000 };
+  counter.count += 1;
+  counters.set(key, counter);
+  return { ...counter };
+}
+
+export async function get(key) {
+  const counter = live(key);
+  return counter ? { ...counter } : null;
+}
+
+export async function reset(key) {
+  counters.delete(key);
+}
+
+export async function prune() {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) counters.delete(key);
+  }
+}
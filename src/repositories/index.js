@@ -0,0 +1,20 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// DATA_BACKEND picks the store explicitly; deployments that only configure
+// Supabase (the Vercel handler) fall back to it automatically.
+export const backend = process.env.DATA_BACKEND || (process.env.SUPABASE_URL ? 'supabase' : 'sqlite');
+
+const loaders = {
+  sqlite: () => import('./sqlite/index.js'),
+  supabase: () => import('./supabase/index.js'),
+};
+
+if (!loaders[backend]) {
+  throw new Error(`Unknown DATA_BACKEND "${backend}"`);
+}
+
+const repositories = await loaders[backend]();
+
+export const { users, rides, bookings, messages, schedules, reviews, waitlist, savedSearches, events, locations, ledger, authTokens, sessions, phoneVerifications, rateLimits, auditLog, reports, blocks, emergencyContacts, tripShares, sosAlerts } = repositories;
@@ -0,0 +1,36 @@
+import db from '../../db/database.js';
+
+function toEntry(row) {
+  return row && { ...row, details: row.details ? JSON.parse(row.details) : null };
+}
+
+export async function record({ admin_id, action, target_type, target_id, details }) {
+  const row = db.prepare(`
+    INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, details)
+    VALUES (?, ?, ?, ?, ?)
+    RETURNING *
+  `).get(admin_id, action, target_type, target_id ?? null, details ? JSON.stringify(details) : null);
+
+  return toEntry(row);
+}
+
+// Up to `limit` entries with the admin's name, newest first, older than
+// entry id `before` when given
+export async function list({ before, limit, admin_id, target_type, target_id }) {
+  let query = `
+    SELECT l.*, u.name as admin_name FROM admin_audit_log l
+    JOIN users u ON l.admin_id = u.id
+    WHERE l.id < ?
+  `;
+  const params = [before ?? Number.MAX_SAFE_INTEGER];
+
+  for (const [column, value] of [['admin_id', admin_id], ['target_type', target_type], ['target_id', target_id]]) {
+    if (value) {
+      query += ` AND l.${column} = ?`;
+      params.push(value);
+    }
+  }
+
+  query += ' ORDER BY l.id DESC LIMIT ?';
+  return db.prepare(query).all(...params, limit).map(toEntry);
+}
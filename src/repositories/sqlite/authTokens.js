@@ -0,0 +1,25 @@
+import db from '../../db/database.js';
+
+export async function create({ id, user_id, purpose, expires_at }) {
+  db.prepare('INSERT INTO auth_tokens (id, user_id, purpose, expires_at) VALUES (?, ?, ?, ?)').run(id, user_id, purpose, expires_at);
+}
+
+// Marks an unused, unexpired token as used. Returns the token, or null when
+// it was already used, revoked or expired.
+export async function consume(id, purpose) {
+  const token = db.prepare(`
+    UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?
+    RETURNING *
+  `).get(id, purpose, new Date().toISOString());
+  return token ?? null;
+}
+
+// Retires a user's outstanding tokens for `purpose`, e.g. when a new link is
+// sent
+export async function revokeOutstanding(userId, purpose) {
+  db.prepare(`
+    UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+  `).run(userId, purpose);
+}
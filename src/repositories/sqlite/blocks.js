@@ -0,0 +1,41 @@
+import db from '../../db/database.js';
+
+// Returns false when `blockerId` had already blocked `blockedId`
+export async function create(blockerId, blockedId) {
+  const result = db.prepare('INSERT OR IGNORE INTO user_blocks (blocker_id, blocked_id) VALUES (?, ?)').run(blockerId, blockedId);
+  return result.changes > 0;
+}
+
+// Returns false when there was no such block
+export async function remove(blockerId, blockedId) {
+  const result = db.prepare('DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?').run(blockerId, blockedId);
+  return result.changes > 0;
+}
+
+// The users `blockerId` blocked, most recent first
+export async function listByBlocker(blockerId) {
+  return db.prepare(`
+    SELECT u.id, u.name, u.username, b.created_at as blocked_at
+    FROM user_blocks b
+    JOIN users u ON b.blocked_id = u.id
+    WHERE b.blocker_id = ?
+    ORDER BY b.created_at DESC
+  `).all(blockerId);
+}
+
+// Whether either user blocked the other
+export async function existsBetween(userId, otherId) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM user_blocks
+    WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)
+  `).get(userId, otherId, otherId, userId));
+}
+
+// Everyone `userId` blocked or was blocked by
+export async function listRelatedIds(userId) {
+  return db.prepare(`
+    SELECT blocked_id as id FROM user_blocks WHERE blocker_id = ?
+    UNION
+    SELECT blocker_id as id FROM user_blocks WHERE blocked_id = ?
+  `).all(userId, userId).map(row => row.id);
+}
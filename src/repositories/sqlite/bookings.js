@@ -0,0 +1,102 @@
+import db from '../../db/database.js';
+import { ReservationError } from '../../utils/errors.js';
+import { releaseBookingSeats, segmentSeats, shiftSegmentSeats } from './seats.js';
+
+export async function findById(id) {
+  return db.prepare('SELECT * FROM ride_bookings WHERE id = ?').get(id);
+}
+
+// Atomically checks the ride is bookable, the passenger has no other
+// booking on it and the segment has enough seats, then inserts the booking
+// and takes its seats. Throws ReservationError otherwise.
+export async function reserve({ id, ride_id, passenger_id, seats_booked, booking_status, total_price, from_stop_order, to_stop_order, expires_at = null }) {
+  db.transaction(() => {
+    const ride = db.prepare('SELECT status FROM rides WHERE id = ?').get(ride_id);
+    if (!ride || ride.status !== 'available') {
+      throw new ReservationError('RIDE_UNAVAILABLE');
+    }
+    if (db.prepare("SELECT 1 FROM ride_bookings WHERE ride_id = ? AND passenger_id = ? AND booking_status != 'cancelled'").get(ride_id, passenger_id)) {
+      throw new ReservationError('ALREADY_BOOKED');
+    }
+    const seats = segmentSeats(ride_id, from_stop_order, to_stop_order);
+    if (seats == null || seats < seats_booked) {
+      throw new ReservationError('NO_SEATS');
+    }
+
+    db.prepare(`
+      INSERT INTO ride_bookings (id, ride_id, passenger_id, seats_booked, booking_status, total_price, from_stop_order, to_stop_order, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, ride_id, passenger_id, seats_booked, booking_status, total_price, from_stop_order, to_stop_order, expires_at);
+    shiftSegmentSeats(ride_id, from_stop_order, to_stop_order, -seats_booked);
+  }).immediate();
+
+  return findById(id);
+}
+
+export async function listByPassenger(passengerId) {
+  const bookings = db.prepare(`
+    SELECT b.*, r.pickup_address, r.drop_address, r.pickup_time, r.vehicle_type, r.price_per_seat
+    FROM ride_bookings b
+    JOIN rides r ON b.ride_id = r.id
+    WHERE b.passenger_id = ?
+    ORDER BY b.booked_at DESC
+  `).all(passengerId);
+
+  return bookings.map(b => ({
+    ...b,
+    ride: { id: b.ride_id, pickup_address: b.pickup_address, drop_address: b.drop_address, pickup_time: b.pickup_time, vehicle_type: b.vehicle_type, price_per_seat: b.price_per_seat }
+  }));
+}
+
+export async function listByRide(rideId) {
+  const bookings = db.prepare(`
+    SELECT b.*, u.name as passenger_name, u.rating as passenger_rating
+    FROM ride_bookings b
+    JOIN users u ON b.passenger_id = u.id
+    WHERE b.ride_id = ?
+    ORDER BY b.booked_at DESC
+  `).all(rideId);
+
+  return bookings.map(b => ({
+    ...b,
+    passenger: { id: b.passenger_id, name: b.passenger_name, rating: b.passenger_rating }
+  }));
+}
+
+export async function listConfirmedByRide(rideId) {
+  return db.prepare("SELECT * FROM ride_bookings WHERE ride_id = ? AND booking_status = 'confirmed'").all(rideId);
+}
+
+// Bookings holding seats: confirmed ones and requests awaiting the driver
+export async function listActiveByRide(rideId) {
+  return db.prepare("SELECT * FROM ride_bookings WHERE ride_id = ? AND booking_status IN ('pending', 'confirmed')").all(rideId);
+}
+
+export async function listExpiredPending(now) {
+  return db.prepare("SELECT * FROM ride_bookings WHERE booking_status = 'pending' AND expires_at <= ?").all(now);
+}
+
+// Adds to the amount refunded for a cancelled booking
+export async function recordRefund(id, amount) {
+  db.prepare('UPDATE ride_bookings SET refund_amount = COALESCE(refund_amount, 0) + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(amount, id);
+}
+
+// Moves a booking to status `to` only if it is currently in one of `from`,
+// optionally giving its seats back, in one transaction. Returns the updated
+// booking, or null when the booking was no longer in an expected status.
+export async function transitionStatus(id, { from, to, reason = null, releaseSeats = false }) {
+  const applied = db.transaction(() => {
+    const booking = db.prepare('SELECT * FROM ride_bookings WHERE id = ?').get(id);
+    if (!booking || !from.includes(booking.booking_status)) {
+      return false;
+    }
+
+    db.prepare('UPDATE ride_bookings SET booking_status = ?, status_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(to, reason, id);
+    if (releaseSeats) {
+      releaseBookingSeats(booking);
+    }
+    return true;
+  }).immediate();
+
+  return applied ? findById(id) : null;
+}
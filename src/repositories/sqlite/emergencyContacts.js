@@ -0,0 +1,39 @@
+import db from '../../db/database.js';
+
+export async function findById(id) {
+  return db.prepare('SELECT * FROM emergency_contacts WHERE id = ?').get(id);
+}
+
+export async function listByUser(userId) {
+  return db.prepare('SELECT * FROM emergency_contacts WHERE user_id = ? ORDER BY created_at ASC').all(userId);
+}
+
+export async function countByUser(userId) {
+  return db.prepare('SELECT COUNT(*) as count FROM emergency_contacts WHERE user_id = ?').get(userId).count;
+}
+
+export async function create({ id, user_id, name, email, phone_number, relationship }) {
+  db.prepare(`
+    INSERT INTO emergency_contacts (id, user_id, name, email, phone_number, relationship)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, user_id, name, email, phone_number ?? null, relationship ?? null);
+
+  return findById(id);
+}
+
+// Only the fields present in `changes` are updated
+export async function update(id, changes) {
+  const columns = ['name', 'email', 'phone_number', 'relationship'].filter(column => changes[column] !== undefined);
+  if (columns.length > 0) {
+    db.prepare(`
+      UPDATE emergency_contacts SET ${columns.map(column => `${column} = @${column}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `).run({ ...Object.fromEntries(columns.map(column => [column, changes[column]])), id });
+  }
+
+  return findById(id);
+}
+
+export async function remove(id) {
+  db.prepare('DELETE FROM emergency_contacts WHERE id = ?').run(id);
+}
@@ -0,0 +1,29 @@
+import db from '../../db/database.js';
+
+function toEvent(row) {
+  return row && { ...row, payload: JSON.parse(row.payload) };
+}
+
+// Stores one event per recipient and returns them with their cursor ids
+export async function append(userIds, type, payload) {
+  const insert = db.prepare('INSERT INTO realtime_events (user_id, type, payload) VALUES (?, ?, ?)');
+  const ids = db.transaction(() => userIds.map(userId => insert.run(userId, type, JSON.stringify(payload)).lastInsertRowid))();
+
+  return ids.map(id => toEvent(db.prepare('SELECT * FROM realtime_events WHERE id = ?').get(id)));
+}
+
+// A user's events after cursor `afterId`, oldest first
+export async function listSince(userId, afterId, limit) {
+  return db.prepare(`
+    SELECT * FROM realtime_events WHERE user_id = ? AND id > ?
+    ORDER BY id ASC LIMIT ?
+  `).all(userId, afterId, limit).map(toEvent);
+}
+
+export async function latestId(userId) {
+  return db.prepare('SELECT MAX(id) as id FROM realtime_events WHERE user_id = ?').get(userId).id ?? 0;
+}
+
+export async function pruneBefore(time) {
+  db.prepare('DELETE FROM realtime_events WHERE created_at < datetime(?)').run(time);
+}
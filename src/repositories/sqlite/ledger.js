@@ -0,0 +1,69 @@
+import db from '../../db/database.js';
+
+// Thrown inside a ledger transaction to roll it back
+class Overdraft extends Error {}
+
+function balanceOf(account, ownerId) {
+  return db.prepare(`
+    SELECT COALESCE(SUM(amount_paise), 0) as balance FROM ledger_entries
+    WHERE account = ? AND owner_id IS ?
+  `).get(account, ownerId).balance;
+}
+
+// Records a transaction and its entries. Wallet and escrow accounts may not
+// go below zero: returns null instead of posting when they would.
+export async function post({ id, kind, booking_id = null, ride_id = null, description = null, provider = null, provider_reference = null }, entries) {
+  try {
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO ledger_transactions (id, kind, booking_id, ride_id, description, provider, provider_reference)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(id, kind, booking_id, ride_id, description, provider, provider_reference);
+
+      const insertEntry = db.prepare('INSERT INTO ledger_entries (transaction_id, account, owner_id, amount_paise) VALUES (?, ?, ?, ?)');
+      for (const entry of entries) {
+        insertEntry.run(id, entry.account, entry.owner_id, entry.amount_paise);
+      }
+      for (const entry of entries) {
+        if (entry.account !== 'provider' && entry.amount_paise < 0 && balanceOf(entry.account, entry.owner_id) < 0) {
+          throw new Overdraft();
+        }
+      }
+    }).immediate();
+  } catch (error) {
+    if (error instanceof Overdraft) return null;
+    throw error;
+  }
+
+  return findById(id);
+}
+
+export async function findById(id) {
+  const transaction = db.prepare('SELECT * FROM ledger_transactions WHERE id = ?').get(id);
+  return transaction && {
+    ...transaction,
+    entries: db.prepare('SELECT account, owner_id, amount_paise FROM ledger_entries WHERE transaction_id = ? ORDER BY id').all(id)
+  };
+}
+
+export async function setProviderReference(id, providerReference) {
+  db.prepare('UPDATE ledger_transactions SET provider_reference = ? WHERE id = ?').run(providerReference, id);
+}
+
+// Balance of an account in paise
+export async function balance(account, ownerId) {
+  return balanceOf(account, ownerId);
+}
+
+// Up to `limit` entries of an account with their transaction, newest first,
+// older than entry id `before` when given
+export async function listEntries(account, ownerId, { before, limit }) {
+  return db.prepare(`
+    SELECT e.id, e.transaction_id, e.amount_paise, t.kind, t.booking_id, t.ride_id, t.description, t.created_at
+    FROM ledger_entries e
+    JOIN ledger_transactions t ON t.id = e.transaction_id
+    WHERE e.account = ? AND e.owner_id IS ? AND e.id < ?
+    ORDER BY e.id DESC
+    LIMIT ?
+  `).all(account, ownerId, before ?? Number.MAX_SAFE_INTEGER, limit);
+}
@@ -0,0 +1,32 @@
+import db from '../../db/database.js';
+
+export async function create({ ride_id, latitude, longitude, heading, speed_kmh, accuracy_m, recorded_at }) {
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO ride_locations (ride_id, latitude, longitude, heading, speed_kmh, accuracy_m, recorded_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(ride_id, latitude, longitude, heading, speed_kmh, accuracy_m, recorded_at);
+
+  return db.prepare('SELECT * FROM ride_locations WHERE id = ?').get(lastInsertRowid);
+}
+
+// The ride's most recent `limit` pings, oldest first
+export async function listTrail(rideId, limit) {
+  return db.prepare(`
+    SELECT * FROM (
+      SELECT * FROM ride_locations WHERE ride_id = ?
+      ORDER BY recorded_at DESC, id DESC LIMIT ?
+    ) ORDER BY recorded_at ASC, id ASC
+  `).all(rideId, limit);
+}
+
+export async function removeForRide(rideId) {
+  db.prepare('DELETE FROM ride_locations WHERE ride_id = ?').run(rideId);
+}
+
+// Pings of rides that are no longer in progress
+export async function removeForInactiveRides() {
+  db.prepare(`
+    DELETE FROM ride_locations
+    WHERE ride_id NOT IN (SELECT id FROM rides WHERE status = 'active')
+  `).run();
+}
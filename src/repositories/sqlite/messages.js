@@ -0,0 +1,107 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../../db/database.js';
+
+function toMessage(row) {
+  return row && { ...row, attachment: row.attachment ? JSON.parse(row.attachment) : null };
+}
+
+export async function create({ ride_id, sender_id, receiver_id, message, message_type = 'text', attachment = null }) {
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO ride_messages (id, ride_id, sender_id, receiver_id, message, message_type, attachment)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, ride_id, sender_id, receiver_id, message, message_type, attachment && JSON.stringify(attachment));
+
+  return toMessage(db.prepare('SELECT * FROM ride_messages WHERE id = ?').get(id));
+}
+
+export async function findById(id) {
+  return toMessage(db.prepare('SELECT * FROM ride_messages WHERE id = ?').get(id));
+}
+
+// One row per conversation (ride + other participant) with its latest
+// message and the number of messages the user has not read yet
+export async function listConversations(userId) {
+  return db.prepare(`
+    WITH mine AS (
+      SELECT m.*, m.rowid as seq, CASE WHEN m.sender_id = @userId THEN m.receiver_id ELSE m.sender_id END as partner_id
+      FROM ride_messages m
+      WHERE m.sender_id = @userId OR m.receiver_id = @userId
+    ),
+    ranked AS (
+      SELECT *,
+        ROW_NUMBER() OVER (PARTITION BY ride_id, partner_id ORDER BY sent_at DESC, seq DESC) as position,
+        SUM(CASE WHEN receiver_id = @userId AND is_read = 0 THEN 1 ELSE 0 END) OVER (PARTITION BY ride_id, partner_id) as unread
+      FROM mine
+    )
+    SELECT
+      c.partner_id as partnerId,
+      u.name as partnerName,
+      c.ride_id as rideId,
+      r.pickup_address,
+      r.drop_address,
+      c.sent_at as lastMessageTime,
+      c.unread as unreadCount,
+      c.message as lastMessage
+    FROM ranked c
+    JOIN users u ON u.id = c.partner_id
+    LEFT JOIN rides r ON r.id = c.ride_id
+    WHERE c.position = 1
+    ORDER BY c.sent_at DESC, c.seq DESC
+  `).all({ userId });
+}
+
+export async function listBetween(userId, partnerId, rideId) {
+  let query = `
+    SELECT m.*, u.name as sender_name
+    FROM ride_messages m
+    JOIN users u ON m.sender_id = u.id
+    WHERE ((m.sender_id = @userId AND m.receiver_id = @partnerId) OR (m.sender_id = @partnerId AND m.receiver_id = @userId))
+  `;
+  if (rideId) {
+    query += ' AND m.ride_id = @rideId';
+  }
+  query += ' ORDER BY m.sent_at ASC, m.rowid ASC';
+
+  return db.prepare(query).all({ userId, partnerId, rideId: rideId ?? null }).map(toMessage);
+}
+
+// Up to `limit` messages of one conversation, newest first, older than the
+// `before` message ({ sent_at, id }) when given
+export async function listPage(userId, partnerId, rideId, { before, limit }) {
+  let query = `
+    SELECT m.*, u.name as sender_name
+    FROM ride_messages m
+    JOIN users u ON m.sender_id = u.id
+    WHERE ((m.sender_id = @userId AND m.receiver_id = @partnerId) OR (m.sender_id = @partnerId AND m.receiver_id = @userId))
+      AND m.ride_id = @rideId
+  `;
+  if (before) {
+    query += ' AND (m.sent_at < @beforeTime OR (m.sent_at = @beforeTime AND m.rowid < (SELECT rowid FROM ride_messages WHERE id = @beforeId)))';
+  }
+  query += ' ORDER BY m.sent_at DESC, m.rowid DESC LIMIT @limit';
+
+  return db.prepare(query).all({ userId, partnerId, rideId, beforeTime: before?.sent_at ?? null, beforeId: before?.id ?? null, limit }).map(toMessage);
+}
+
+// Total messages waiting to be read by the user, across conversations
+export async function countUnread(userId) {
+  return db.prepare('SELECT COUNT(*) as count FROM ride_messages WHERE receiver_id = ? AND is_read = 0').get(userId).count;
+}
+
+// Marks every message the partner sent the user about a ride as read and
+// returns the ids of the messages that were unread
+export async function markConversationRead(userId, partnerId, rideId) {
+  return db.prepare(`
+    UPDATE ride_messages SET is_read = 1
+    WHERE receiver_id = ? AND sender_id = ? AND ride_id = ? AND is_read = 0
+    RETURNING id
+  `).all(userId, partnerId, rideId).map(row => row.id);
+}
+
+// Returns the message when this call marked it read, or null when it was
+// already read or not addressed to `receiverId`
+export async function markRead(id, receiverId) {
+  const result = db.prepare('UPDATE ride_messages SET is_read = 1 WHERE id = ? AND receiver_id = ? AND is_read = 0').run(id, receiverId);
+  return result.changes > 0 ? toMessage(db.prepare('SELECT * FROM ride_messages WHERE id = ?').get(id)) : null;
+}
@@ -0,0 +1,35 @@
+import db from '../../db/database.js';
+
+export async function create({ id, user_id, phone_number, code_hash, expires_at, created_at }) {
+  db.prepare(`
+    INSERT INTO phone_verifications (id, user_id, phone_number, code_hash, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, user_id, phone_number, code_hash, expires_at, created_at);
+}
+
+// The user's most recently requested code
+export async function findLatest(userId) {
+  return db.prepare(`
+    SELECT * FROM phone_verifications WHERE user_id = ?
+    ORDER BY created_at DESC, rowid DESC LIMIT 1
+  `).get(userId);
+}
+
+// Counts a guess at the code, unless `maxAttempts` were already used.
+// Returns the attempts used so far, or null when none were left.
+export async function recordAttempt(id, maxAttempts) {
+  const row = db.prepare(`
+    UPDATE phone_verifications SET attempts = attempts + 1
+    WHERE id = ? AND attempts < ?
+    RETURNING attempts
+  `).get(id, maxAttempts);
+  return row ? row.attempts : null;
+}
+
+// Returns false when the code was already used
+export async function markVerified(id) {
+  return db.prepare(`
+    UPDATE phone_verifications SET verified_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND verified_at IS NULL
+  `).run(id).changes > 0;
+}
@@ -0,0 +1,31 @@
+import db from '../../db/database.js';
+
+// Counts a hit on `key`, starting a new window when the last one is over.
+// Returns the counter.
+export async function hit(key, windowSeconds) {
+  const now = new Date();
+  return db.prepare(`
+    INSERT INTO rate_limits (key, count, reset_at) VALUES (@key, 1, @reset_at)
+    ON CONFLICT (key) DO UPDATE SET
+      count = CASE WHEN reset_at <= @now THEN 1 ELSE count + 1 END,
+      reset_at = CASE WHEN reset_at <= @now THEN excluded.reset_at ELSE reset_at END
+    RETURNING count, reset_at
+  `).get({
+    key,
+    now: now.toISOString(),
+    reset_at: new Date(now.getTime() + windowSeconds * 1000).toISOString()
+  });
+}
+
+export async function get(key) {
+  return db.prepare('SELECT count, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?')
+    .get(key, new Date().toISOString());
+}
+
+export async function remove(key) {
+  db.prepare('DELETE FROM rate_limits WHERE key = ?').run(key);
+}
+
+export async function pruneExpired() {
+  db.prepare('DELETE FROM rate_limits WHERE reset_at <= ?').run(new Date().toISOString());
+}
@@ -0,0 +1,67 @@
+import db from '../../db/database.js';
+
+const WITH_USERS = `
+  SELECT r.*, reporter.name as reporter_name, reported.name as reported_user_name,
+    reported.account_status as reported_user_account_status
+  FROM user_reports r
+  JOIN users reporter ON r.reporter_id = reporter.id
+  JOIN users reported ON r.reported_user_id = reported.id
+`;
+
+export async function create({ id, reporter_id, reported_user_id, ride_id, message_id, category, description }) {
+  db.prepare(`
+    INSERT INTO user_reports (id, reporter_id, reported_user_id, ride_id, message_id, category, description)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, reporter_id, reported_user_id, ride_id ?? null, message_id ?? null, category, description);
+
+  return findById(id);
+}
+
+export async function findById(id) {
+  return db.prepare('SELECT * FROM user_reports WHERE id = ?').get(id);
+}
+
+// A report with the names of both users
+export async function findByIdWithUsers(id) {
+  return db.prepare(`${WITH_USERS} WHERE r.id = ?`).get(id);
+}
+
+// Whether the reporter already has an open report about the same thing
+export async function existsOpen({ reporter_id, reported_user_id, ride_id, message_id }) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM user_reports
+    WHERE reporter_id = ? AND reported_user_id = ? AND ride_id IS ? AND message_id IS ? AND status = 'open'
+  `).get(reporter_id, reported_user_id, ride_id ?? null, message_id ?? null));
+}
+
+export async function listByReporter(reporterId) {
+  return db.prepare('SELECT * FROM user_reports WHERE reporter_id = ? ORDER BY created_at DESC').all(reporterId);
+}
+
+// The moderation queue: reports in `status`, oldest first
+export async function listQueue({ status, category, reported_user_id, limit, offset }) {
+  let query = `${WITH_USERS} WHERE r.status = ?`;
+  const params = [status];
+
+  if (category) {
+    query += ' AND r.category = ?';
+    params.push(category);
+  }
+  if (reported_user_id) {
+    query += ' AND r.reported_user_id = ?';
+    params.push(reported_user_id);
+  }
+
+  query += ' ORDER BY r.created_at ASC, r.id LIMIT ? OFFSET ?';
+  return db.prepare(query).all(...params, limit, offset);
+}
+
+// Closes an open report. Returns it, or null when it was already closed.
+export async function resolve(id, { status, resolved_by, resolution_note }) {
+  const result = db.prepare(`
+    UPDATE user_reports SET status = ?, resolved_by = ?, resolution_note = ?, resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'open'
+  `).run(status, resolved_by, resolution_note ?? null, id);
+
+  return result.changes === 0 ? null : findByIdWithUsers(id);
+}
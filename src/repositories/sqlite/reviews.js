@@ -0,0 +1,37 @@
+import db from '../../db/database.js';
+
+function toReview(row) {
+  return row && { ...row, tags: JSON.parse(row.tags || '[]') };
+}
+
+export async function findById(id) {
+  return toReview(db.prepare('SELECT * FROM reviews WHERE id = ?').get(id));
+}
+
+export async function findByBookingAndReviewer(bookingId, reviewerId) {
+  return toReview(db.prepare('SELECT * FROM reviews WHERE booking_id = ? AND reviewer_id = ?').get(bookingId, reviewerId));
+}
+
+export async function create({ id, booking_id, ride_id, reviewer_id, reviewee_id, rating, comment, tags }) {
+  db.prepare(`
+    INSERT INTO reviews (id, booking_id, ride_id, reviewer_id, reviewee_id, rating, comment, tags)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, booking_id, ride_id, reviewer_id, reviewee_id, rating, comment, JSON.stringify(tags));
+
+  return findById(id);
+}
+
+export async function listForUser(userId) {
+  const reviews = db.prepare(`
+    SELECT rv.*, u.name as reviewer_name
+    FROM reviews rv
+    JOIN users u ON rv.reviewer_id = u.id
+    WHERE rv.reviewee_id = ?
+    ORDER BY rv.created_at DESC
+  `).all(userId);
+
+  return reviews.map(rv => ({
+    ...toReview(rv),
+    reviewer: { id: rv.reviewer_id, name: rv.reviewer_name }
+  }));
+}
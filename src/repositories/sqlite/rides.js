@@ -0,0 +1,227 @@
+import { v4 as uuidv4 } from 'uuid';
+import db from '../../db/database.js';
+import { releaseBookingSeats } from './seats.js';
+
+const WITH_DRIVER = `
+  SELECT r.*, u.name as driver_name, u.rating as driver_rating, u.total_rides as driver_total_rides,
+    u.late_cancellations as driver_late_cancellations, u.phone_verified as driver_phone_verified
+  FROM rides r
+  JOIN users u ON r.driver_id = u.id
+`;
+
+function withDriver(ride) {
+  return ride && {
+    ...ride,
+    driver: {
+      id: ride.driver_id,
+      name: ride.driver_name,
+      rating: ride.driver_rating,
+      total_rides: ride.driver_total_rides,
+      late_cancellations: ride.driver_late_cancellations,
+      phone_verified: Boolean(ride.driver_phone_verified)
+    }
+  };
+}
+
+function attachStops(rides) {
+  if (rides.length === 0) return rides;
+
+  const stops = db.prepare(`
+    SELECT * FROM ride_stops WHERE ride_id IN (${rides.map(() => '?').join(', ')})
+    ORDER BY stop_order ASC
+  `).all(...rides.map(r => r.id));
+
+  return rides.map(ride => ({ ...ride, stops: stops.filter(s => s.ride_id === ride.id) }));
+}
+
+// Rides a user completed as driver or passenger, recounted rather than
+// incremented so it always matches the rides and bookings (as in Postgres)
+const TOTAL_RIDES = `
+  (SELECT COUNT(*) FROM rides WHERE driver_id = users.id AND status = 'completed')
+  + (SELECT COUNT(DISTINCT ride_id) FROM ride_bookings WHERE passenger_id = users.id AND booking_status = 'completed')
+`;
+
+export async function findById(id) {
+  return db.prepare('SELECT * FROM rides WHERE id = ?').get(id);
+}
+
+export async function findByIdWithDriver(id) {
+  const ride = db.prepare(`${WITH_DRIVER} WHERE r.id = ?`).get(id);
+  return ride && attachStops([withDriver(ride)])[0];
+}
+
+export async function listStops(rideId) {
+  return db.prepare('SELECT * FROM ride_stops WHERE ride_id = ? ORDER BY stop_order ASC').all(rideId);
+}
+
+// Bookable rides, leaving out those of `excludeDriverIds`
+export async function listAvailable({ excludeDriverIds = [] } = {}) {
+  const excluded = excludeDriverIds.length > 0 ? `AND r.driver_id NOT IN (${excludeDriverIds.map(() => '?').join(', ')})` : '';
+  const rides = db.prepare(`
+    ${WITH_DRIVER}
+    WHERE r.status = 'available' AND r.available_seats > 0 AND r.pickup_time > datetime('now') AND r.hidden_at IS NULL ${excluded}
+    ORDER BY r.pickup_time ASC
+  `).all(...excludeDriverIds);
+
+  return attachStops(rides.map(withDriver));
+}
+
+// Candidate rides for a search. Text and bounding-box filters only require
+// some stop of the ride to match; callers pick the actual segment. Rides of
+// `excludeDriverIds` are left out.
+export async function search({ pickup_location, drop_location, vehicle_type, pickup_bounds, drop_bounds, excludeDriverIds = [] }) {
+  let query = `${WITH_DRIVER} WHERE r.status = 'available' AND r.pickup_time > datetime('now') AND r.hidden_at IS NULL`;
+  const params = [];
+
+  if (excludeDriverIds.length > 0) {
+    query += ` AND r.driver_id NOT IN (${excludeDriverIds.map(() => '?').join(', ')})`;
+    params.push(...excludeDriverIds);
+  }
+
+  for (const text of [pickup_location, drop_location]) {
+    if (text) {
+      query += ' AND EXISTS (SELECT 1 FROM ride_stops s WHERE s.ride_id = r.id AND s.address LIKE ?)';
+      params.push(`%${text}%`);
+    }
+  }
+  for (const bounds of [pickup_bounds, drop_bounds]) {
+    if (bounds) {
+      query += ' AND EXISTS (SELECT 1 FROM ride_stops s WHERE s.ride_id = r.id AND s.latitude BETWEEN ? AND ? AND s.longitude BETWEEN ? AND ?)';
+      params.push(bounds.minLat, bounds.maxLat, bounds.minLng, bounds.maxLng);
+    }
+  }
+  if (vehicle_type && vehicle_type !== 'all') {
+    query += ' AND r.vehicle_type = ?';
+    params.push(vehicle_type);
+  }
+
+  query += ' ORDER BY r.pickup_time ASC';
+
+  return attachStops(db.prepare(query).all(...params).map(withDriver));
+}
+
+export async function listByDriver(driverId) {
+  return attachStops(db.prepare('SELECT * FROM rides WHERE driver_id = ? ORDER BY created_at DESC').all(driverId));
+}
+
+// Occurrences of a recurring schedule on or after `fromDate` (YYYY-MM-DD)
+export async function listBySchedule(scheduleId, fromDate) {
+  return db.prepare(`
+    SELECT * FROM rides WHERE schedule_id = ? AND occurrence_date >= ?
+    ORDER BY occurrence_date ASC
+  `).all(scheduleId, fromDate);
+}
+
+export async function create(ride, stops) {
+  const insertRide = db.prepare(`
+    INSERT INTO rides (id, driver_id, pickup_address, drop_address, pickup_time, expected_drop_time, total_seats, available_seats, vehicle_type, price_per_seat, description, pickup_latitude, pickup_longitude, drop_latitude, drop_longitude, booking_mode, schedule_id, occurrence_date)
+    VALUES (@id, @driver_id, @pickup_address, @drop_address, @pickup_time, @expected_drop_time, @total_seats, @available_seats, @vehicle_type, @price_per_seat, @description, @pickup_latitude, @pickup_longitude, @drop_latitude, @drop_longitude, @booking_mode, @schedule_id, @occurrence_date)
+  `);
+  const insertStop = db.prepare(`
+    INSERT INTO ride_stops (id, ride_id, stop_order, address, latitude, longitude, arrival_time, seats_available, route_fraction)
+    VALUES (@id, @ride_id, @stop_order, @address, @latitude, @longitude, @arrival_time, @seats_available, @route_fraction)
+  `);
+
+  db.transaction(() => {
+    insertRide.run({ booking_mode: 'instant', schedule_id: null, occurrence_date: null, ...ride });
+    for (const stop of stops) {
+      insertStop.run({ ...stop, id: uuidv4(), ride_id: ride.id });
+    }
+  })();
+
+  return findById(ride.id);
+}
+
+// Starts an available ride. Returns the ride, or null when it was no longer
+// available.
+export async function start(id) {
+  const result = db.prepare(`
+    UPDATE rides SET status = 'active', started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'available'
+  `).run(id);
+  return result.changes === 0 ? null : findById(id);
+}
+
+// Completes an active ride: confirmed bookings become completed and the
+// driver's and each of those passengers' total_rides are recounted, while
+// unanswered requests and the waitlist are closed. Returns the completed
+// bookings, or null when the ride was not active.
+export async function complete(id) {
+  return db.transaction(() => {
+    const ride = db.prepare(`
+      UPDATE rides SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'active'
+      RETURNING driver_id
+    `).get(id);
+    if (!ride) {
+      return null;
+    }
+
+    const completed = db.prepare(`
+      UPDATE ride_bookings SET booking_status = 'completed', updated_at = CURRENT_TIMESTAMP
+      WHERE ride_id = ? AND booking_status = 'confirmed'
+      RETURNING *
+    `).all(id);
+    const riderIds = [...new Set([ride.driver_id, ...completed.map(b => b.passenger_id)])];
+    db.prepare(`
+      UPDATE users SET total_rides = ${TOTAL_RIDES}, updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (${riderIds.map(() => '?').join(', ')})
+    `).run(...riderIds);
+
+    const unanswered = db.prepare("SELECT * FROM ride_bookings WHERE ride_id = ? AND booking_status = 'pending'").all(id);
+    for (const booking of unanswered) {
+      db.prepare("UPDATE ride_bookings SET booking_status = 'cancelled', status_reason = 'ride_completed', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(booking.id);
+      releaseBookingSeats(booking);
+    }
+    db.prepare("UPDATE ride_waitlist SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE ride_id = ? AND status IN ('waiting', 'offered')").run(id);
+    return completed;
+  }).immediate();
+}
+
+// Cancels a ride that is not already cancelled or completed, together with
+// every booking still holding seats on it. Returns the cancelled bookings,
+// or null when the ride could not be cancelled.
+export async function cancel(id) {
+  return db.transaction(() => {
+    const result = db.prepare(`
+      UPDATE rides SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN ('available', 'active')
+    `).run(id);
+    if (result.changes === 0) {
+      return null;
+    }
+
+    const cancelled = db.prepare("SELECT * FROM ride_bookings WHERE ride_id = ? AND booking_status IN ('pending', 'confirmed')").all(id);
+    for (const booking of cancelled) {
+      db.prepare("UPDATE ride_bookings SET booking_status = 'cancelled', status_reason = 'ride_cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(booking.id);
+      releaseBookingSeats(booking);
+    }
+    // Seats held by open offers go with the ride
+    db.prepare("UPDATE ride_waitlist SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE ride_id = ? AND status IN ('waiting', 'offered')").run(id);
+    return cancelled;
+  }).immediate();
+}
+
+// Hidden rides are left out of listings and search and cannot be booked
+export async function setHidden(id, hidden) {
+  db.prepare(`
+    UPDATE rides SET hidden_at = CASE WHEN ? THEN COALESCE(hidden_at, CURRENT_TIMESTAMP) END, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(hidden ? 1 : 0, id);
+  return findById(id);
+}
+
+// Deletes a ride with its stops. Returns false, leaving it in place, when
+// other rows (bookings, messages, ledger entries) still reference it.
+export async function remove(id) {
+  try {
+    db.transaction(() => {
+      db.prepare('DELETE FROM ride_stops WHERE ride_id = ?').run(id);
+      db.prepare('DELETE FROM rides WHERE id = ?').run(id);
+    })();
+    return true;
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') return false;
+    throw error;
+  }
+}
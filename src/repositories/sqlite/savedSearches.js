@@ -0,0 +1,59 @@
+import db from '../../db/database.js';
+
+function toSavedSearch(row) {
+  return row && { ...row, alerts_enabled: Boolean(row.alerts_enabled) };
+}
+
+function toRow(search) {
+  const row = { ...search };
+  if ('alerts_enabled' in row) row.alerts_enabled = row.alerts_enabled ? 1 : 0;
+  return row;
+}
+
+export async function findById(id) {
+  return toSavedSearch(db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(id));
+}
+
+export async function listByUser(userId) {
+  return db.prepare('SELECT * FROM saved_searches WHERE user_id = ? ORDER BY created_at DESC').all(userId).map(toSavedSearch);
+}
+
+export async function countByUser(userId) {
+  return db.prepare('SELECT COUNT(*) as count FROM saved_searches WHERE user_id = ?').get(userId).count;
+}
+
+// Saved searches with alerts on that could match a new ride: other users'
+// searches for its vehicle type or any vehicle. Callers check the route,
+// seats and time window.
+export async function listAlertCandidates(ride) {
+  return db.prepare(`
+    SELECT * FROM saved_searches
+    WHERE alerts_enabled = 1 AND user_id != ? AND (vehicle_type IS NULL OR vehicle_type = ?)
+  `).all(ride.driver_id, ride.vehicle_type).map(toSavedSearch);
+}
+
+export async function create(search) {
+  db.prepare(`
+    INSERT INTO saved_searches (id, user_id, name, pickup_location, pickup_latitude, pickup_longitude, pickup_radius_km, drop_location, drop_latitude, drop_longitude, drop_radius_km, vehicle_type, seats_needed, earliest_time, latest_time, utc_offset_minutes, alerts_enabled)
+    VALUES (@id, @user_id, @name, @pickup_location, @pickup_latitude, @pickup_longitude, @pickup_radius_km, @drop_location, @drop_latitude, @drop_longitude, @drop_radius_km, @vehicle_type, @seats_needed, @earliest_time, @latest_time, @utc_offset_minutes, @alerts_enabled)
+  `).run(toRow(search));
+
+  return findById(search.id);
+}
+
+export async function update(id, changes) {
+  const row = toRow(changes);
+  const columns = Object.keys(row);
+  if (columns.length > 0) {
+    db.prepare(`
+      UPDATE saved_searches SET ${columns.map(c => `${c} = @${c}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `).run({ ...row, id });
+  }
+
+  return findById(id);
+}
+
+export async function remove(id) {
+  db.prepare('DELETE FROM saved_searches WHERE id = ?').run(id);
+}
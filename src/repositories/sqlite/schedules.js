@@ -0,0 +1,93 @@
+import db from '../../db/database.js';
+
+const JSON_COLUMNS = ['stops', 'days_of_week', 'skip_dates'];
+
+function toSchedule(row) {
+  if (!row) return row;
+  const schedule = { ...row };
+  for (const column of JSON_COLUMNS) {
+    schedule[column] = JSON.parse(row[column] || '[]');
+  }
+  return schedule;
+}
+
+function toRow(schedule) {
+  const row = { ...schedule };
+  for (const column of JSON_COLUMNS) {
+    if (column in row) row[column] = JSON.stringify(row[column] || []);
+  }
+  return row;
+}
+
+export async function findById(id) {
+  return toSchedule(db.prepare('SELECT * FROM ride_schedules WHERE id = ?').get(id));
+}
+
+export async function listByDriver(driverId) {
+  return db.prepare('SELECT * FROM ride_schedules WHERE driver_id = ? ORDER BY created_at DESC').all(driverId).map(toSchedule);
+}
+
+export async function listActive() {
+  return db.prepare("SELECT * FROM ride_schedules WHERE status = 'active'").all().map(toSchedule);
+}
+
+export async function create(schedule) {
+  db.prepare(`
+    INSERT INTO ride_schedules (id, driver_id, pickup_address, pickup_latitude, pickup_longitude, drop_address, drop_latitude, drop_longitude, stops, total_seats, vehicle_type, price_per_seat, description, booking_mode, days_of_week, departure_time, duration_minutes, utc_offset_minutes, start_date, end_date, skip_dates)
+    VALUES (@id, @driver_id, @pickup_address, @pickup_latitude, @pickup_longitude, @drop_address, @drop_latitude, @drop_longitude, @stops, @total_seats, @vehicle_type, @price_per_seat, @description, @booking_mode, @days_of_week, @departure_time, @duration_minutes, @utc_offset_minutes, @start_date, @end_date, @skip_dates)
+  `).run(toRow(schedule));
+
+  return findById(schedule.id);
+}
+
+function applyChanges(id, changes) {
+  const row = toRow(changes);
+  const columns = Object.keys(row);
+  if (columns.length > 0) {
+    db.prepare(`
+      UPDATE ride_schedules SET ${columns.map(c => `${c} = @${c}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `).run({ ...row, id });
+  }
+}
+
+export async function update(id, changes) {
+  applyChanges(id, changes);
+  return findById(id);
+}
+
+// Updates a schedule and, in the same transaction, withdraws its upcoming
+// occurrences from `fromDate` on that nobody holds seats on, so they can be
+// re-materialised from the new details. A withdrawn ride is deleted, or
+// cancelled and detached from its date when other rows (cancelled bookings,
+// messages, ledger entries) still point to it.
+export async function updateWithdrawingOccurrences(id, changes, fromDate) {
+  const unbooked = db.prepare(`
+    SELECT id FROM rides r
+    WHERE schedule_id = ? AND occurrence_date >= ? AND status = 'available' AND pickup_time > ?
+      AND NOT EXISTS (SELECT 1 FROM ride_bookings b WHERE b.ride_id = r.id AND b.booking_status IN ('pending', 'confirmed'))
+  `);
+  // Nested, so a failed delete only rolls back to its own savepoint
+  const deleteRide = db.transaction(rideId => {
+    db.prepare('DELETE FROM ride_stops WHERE ride_id = ?').run(rideId);
+    db.prepare('DELETE FROM rides WHERE id = ?').run(rideId);
+  });
+
+  db.transaction(() => {
+    applyChanges(id, changes);
+    for (const { id: rideId } of unbooked.all(id, fromDate, new Date().toISOString())) {
+      try {
+        deleteRide(rideId);
+      } catch (error) {
+        if (error.code !== 'SQLITE_CONSTRAINT_FOREIGNKEY') throw error;
+        db.prepare(`
+          UPDATE rides SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, occurrence_date = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).run(rideId);
+        db.prepare("UPDATE ride_waitlist SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE ride_id = ? AND status IN ('waiting', 'offered')").run(rideId);
+      }
+    }
+  }).immediate();
+
+  return findById(id);
+}
@@ -0,0 +1,36 @@
+import db from '../../db/database.js';
+
+// Synchronous seat bookkeeping shared by the SQLite repositories. Callers
+// run these inside a transaction together with the booking/ride change.
+
+// Segment covered by a booking; bookings made before multi-stop rides cover
+// the whole route
+export function bookingSegment(booking) {
+  const { last } = db.prepare('SELECT MAX(stop_order) as last FROM ride_stops WHERE ride_id = ?').get(booking.ride_id);
+  return { from: booking.from_stop_order ?? 0, to: booking.to_stop_order ?? last };
+}
+
+export function segmentSeats(rideId, from, to) {
+  return db.prepare(`
+    SELECT MIN(seats_available) as seats FROM ride_stops
+    WHERE ride_id = ? AND stop_order >= ? AND stop_order < ?
+  `).get(rideId, from, to).seats;
+}
+
+// Adds `delta` free seats to every segment between two stops, then refreshes
+// rides.available_seats, which tracks the seats free for the whole route.
+export function shiftSegmentSeats(rideId, from, to, delta) {
+  db.prepare(`
+    UPDATE ride_stops SET seats_available = seats_available + ?
+    WHERE ride_id = ? AND stop_order >= ? AND stop_order < ?
+  `).run(delta, rideId, from, to);
+  db.prepare(`
+    UPDATE rides SET available_seats = (SELECT MIN(seats_available) FROM ride_stops WHERE ride_id = rides.id), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(rideId);
+}
+
+export function releaseBookingSeats(booking) {
+  const { from, to } = bookingSegment(booking);
+  shiftSegmentSeats(booking.ride_id, from, to, booking.seats_booked);
+}
@@ -0,0 +1,53 @@
+import db from '../../db/database.js';
+
+export async function create({ id, user_id, refresh_token_hash, user_agent, ip_address, expires_at }) {
+  db.prepare(`
+    INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, user_id, refresh_token_hash, user_agent, ip_address, expires_at);
+
+  return findById(id);
+}
+
+export async function findById(id) {
+  return db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+}
+
+// Swaps the session's refresh token, provided `currentHash` is still the
+// current one and the session is live. Returns the session, or null.
+export async function rotate(id, currentHash, { refresh_token_hash, expires_at }) {
+  const session = db.prepare(`
+    UPDATE sessions SET refresh_token_hash = ?, expires_at = ?, last_used_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > ?
+    RETURNING *
+  `).get(refresh_token_hash, expires_at, id, currentHash, new Date().toISOString());
+  return session ?? null;
+}
+
+export async function revoke(id, reason) {
+  db.prepare(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `).run(reason, id);
+}
+
+// Revokes every live session of a user, except `exceptId` when given
+export async function revokeAllForUser(userId, reason, exceptId = null) {
+  db.prepare(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?
+  `).run(reason, userId, exceptId);
+}
+
+export async function listActiveByUser(userId) {
+  return db.prepare(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_used_at DESC
+  `).all(userId, new Date().toISOString());
+}
+
+// Deletes sessions that expired or were revoked before `time`
+export async function pruneBefore(time) {
+  db.prepare('DELETE FROM sessions WHERE expires_at < ? OR revoked_at < datetime(?)').run(time, time);
+}
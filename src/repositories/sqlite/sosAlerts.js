@@ -0,0 +1,14 @@
+import db from '../../db/database.js';
+
+export async function create({ id, user_id, ride_id, latitude, longitude, location_source, location_recorded_at, message }) {
+  db.prepare(`
+    INSERT INTO sos_alerts (id, user_id, ride_id, latitude, longitude, location_source, location_recorded_at, message)
+    VALUES (@id, @user_id, @ride_id, @latitude, @longitude, @location_source, @location_recorded_at, @message)
+  `).run({ id, user_id, ride_id, latitude, longitude, location_source, location_recorded_at, message });
+
+  return db.prepare('SELECT * FROM sos_alerts WHERE id = ?').get(id);
+}
+
+export async function setContactsNotified(id, count) {
+  db.prepare('UPDATE sos_alerts SET contacts_notified = ? WHERE id = ?').run(count, id);
+}
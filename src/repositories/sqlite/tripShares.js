@@ -0,0 +1,27 @@
+import db from '../../db/database.js';
+
+export async function create({ id, ride_id, booking_id, user_id, token_hash, expires_at }) {
+  db.prepare(`
+    INSERT INTO trip_shares (id, ride_id, booking_id, user_id, token_hash, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, ride_id, booking_id, user_id, token_hash, expires_at);
+
+  return findById(id);
+}
+
+export async function findById(id) {
+  return db.prepare('SELECT * FROM trip_shares WHERE id = ?').get(id);
+}
+
+export async function findByTokenHash(tokenHash) {
+  return db.prepare('SELECT * FROM trip_shares WHERE token_hash = ?').get(tokenHash);
+}
+
+export async function revoke(id) {
+  db.prepare('UPDATE trip_shares SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL').run(id);
+}
+
+// Forgets links that expired before `time`
+export async function pruneExpiredBefore(time) {
+  db.prepare('DELETE FROM trip_shares WHERE expires_at < ?').run(time);
+}
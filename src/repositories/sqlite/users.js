@@ -0,0 +1,101 @@
+import db from '../../db/database.js';
+
+const PUBLIC_COLUMNS = 'id, email, name, username, phone_number, phone_verified, rating, total_rides, late_cancellations, is_verified, created_at';
+const ADMIN_COLUMNS = `${PUBLIC_COLUMNS}, role, account_status, suspended_until, suspension_reason`;
+
+export async function findById(id) {
+  return db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+}
+
+export async function findByEmail(email) {
+  return db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+}
+
+export async function existsByEmailOrUsername(email, username) {
+  return Boolean(db.prepare('SELECT id FROM users WHERE email = ? OR username = ?').get(email, username));
+}
+
+export async function getProfile(id) {
+  return db.prepare(`SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ?`).get(id);
+}
+
+export async function create({ id, email, password, name, username, phone_number }) {
+  db.prepare(`
+    INSERT INTO users (id, email, password, name, username, phone_number)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, email, password, name, username, phone_number || null);
+
+  return getProfile(id);
+}
+
+export async function markEmailVerified(id) {
+  db.prepare('UPDATE users SET is_verified = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+}
+
+export async function updatePassword(id, password) {
+  db.prepare('UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(password, id);
+}
+
+export async function setVerifiedPhone(id, phone_number) {
+  db.prepare('UPDATE users SET phone_number = ?, phone_verified = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(phone_number, id);
+}
+
+// Counts a booked ride the driver cancelled at short notice
+export async function incrementLateCancellations(id) {
+  db.prepare('UPDATE users SET late_cancellations = late_cancellations + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+}
+
+// A new phone number has to be verified again
+export async function updateProfile(id, { name, phone_number }) {
+  db.prepare(`
+    UPDATE users SET
+      name = COALESCE(@name, name),
+      phone_verified = CASE WHEN @phone_number IS NOT NULL AND @phone_number IS NOT phone_number THEN 0 ELSE phone_verified END,
+      phone_number = COALESCE(@phone_number, phone_number),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `).run({ name: name ?? null, phone_number: phone_number ?? null, id });
+
+  return getProfile(id);
+}
+
+export async function getAdminView(id) {
+  return db.prepare(`SELECT ${ADMIN_COLUMNS} FROM users WHERE id = ?`).get(id);
+}
+
+// Users whose name, username, email or phone number contains `q`, newest
+// first
+export async function search({ q, role, account_status, limit, offset }) {
+  let query = `SELECT ${ADMIN_COLUMNS} FROM users WHERE 1 = 1`;
+  const params = [];
+
+  if (q) {
+    query += ' AND (name LIKE ? OR username LIKE ? OR email LIKE ? OR phone_number LIKE ?)';
+    params.push(...Array(4).fill(`%${q}%`));
+  }
+  if (role) {
+    query += ' AND role = ?';
+    params.push(role);
+  }
+  if (account_status) {
+    query += ' AND account_status = ?';
+    params.push(account_status);
+  }
+
+  query += ' ORDER BY created_at DESC, id LIMIT ? OFFSET ?';
+  return db.prepare(query).all(...params, limit, offset);
+}
+
+export async function setAccountStatus(id, { account_status, suspended_until = null, suspension_reason = null }) {
+  db.prepare(`
+    UPDATE users SET account_status = ?, suspended_until = ?, suspension_reason = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(account_status, suspended_until, suspension_reason, id);
+
+  return getAdminView(id);
+}
+
+export async function setRole(id, role) {
+  db.prepare('UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(role, id);
+  return getAdminView(id);
+}
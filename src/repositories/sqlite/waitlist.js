@@ -0,0 +1,139 @@
+import db from '../../db/database.js';
+import { ReservationError } from '../../utils/errors.js';
+import { segmentSeats, shiftSegmentSeats } from './seats.js';
+
+export async function findById(id) {
+  return db.prepare('SELECT * FROM ride_waitlist WHERE id = ?').get(id);
+}
+
+// The passenger's entry on a ride that is still waiting or holding an offer
+export async function findOpen(rideId, passengerId) {
+  return db.prepare("SELECT * FROM ride_waitlist WHERE ride_id = ? AND passenger_id = ? AND status IN ('waiting', 'offered')").get(rideId, passengerId);
+}
+
+export async function create({ id, ride_id, passenger_id, seats_requested, from_stop_order, to_stop_order }) {
+  db.prepare(`
+    INSERT INTO ride_waitlist (id, ride_id, passenger_id, seats_requested, from_stop_order, to_stop_order)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, ride_id, passenger_id, seats_requested, from_stop_order, to_stop_order);
+
+  return findById(id);
+}
+
+export async function listByPassenger(passengerId) {
+  const entries = db.prepare(`
+    SELECT w.*, r.pickup_address, r.drop_address, r.pickup_time, r.vehicle_type, r.price_per_seat
+    FROM ride_waitlist w
+    JOIN rides r ON w.ride_id = r.id
+    WHERE w.passenger_id = ?
+    ORDER BY w.created_at DESC
+  `).all(passengerId);
+
+  return entries.map(w => ({
+    ...w,
+    ride: { id: w.ride_id, pickup_address: w.pickup_address, drop_address: w.drop_address, pickup_time: w.pickup_time, vehicle_type: w.vehicle_type, price_per_seat: w.price_per_seat }
+  }));
+}
+
+// Queue order: oldest entry first
+export async function listByRide(rideId) {
+  const entries = db.prepare(`
+    SELECT w.*, u.name as passenger_name, u.rating as passenger_rating
+    FROM ride_waitlist w
+    JOIN users u ON w.passenger_id = u.id
+    WHERE w.ride_id = ?
+    ORDER BY w.created_at, w.rowid
+  `).all(rideId);
+
+  return entries.map(w => ({
+    ...w,
+    passenger: { id: w.passenger_id, name: w.passenger_name, rating: w.passenger_rating }
+  }));
+}
+
+export async function listExpiredOffers(now) {
+  return db.prepare("SELECT * FROM ride_waitlist WHERE status = 'offered' AND offer_expires_at <= ?").all(now);
+}
+
+// Offers free seats to the first waiting passenger, in queue order, whose
+// requested seats fit on their segment and who has not booked the ride in
+// the meantime. The offered seats are held until the offer is accepted,
+// declined or expires. Returns the offered entry, or null when nobody fits.
+export async function offerNext(rideId, offerExpiresAt) {
+  const offeredId = db.transaction(() => {
+    const ride = db.prepare('SELECT status FROM rides WHERE id = ?').get(rideId);
+    if (!ride || ride.status !== 'available') {
+      return null;
+    }
+
+    const waiting = db.prepare(`
+      SELECT * FROM ride_waitlist w
+      WHERE w.ride_id = ? AND w.status = 'waiting'
+        AND NOT EXISTS (
+          SELECT 1 FROM ride_bookings b
+          WHERE b.ride_id = w.ride_id AND b.passenger_id = w.passenger_id AND b.booking_status != 'cancelled'
+        )
+      ORDER BY w.created_at, w.rowid
+    `).all(rideId);
+
+    const entry = waiting.find(w => segmentSeats(rideId, w.from_stop_order, w.to_stop_order) >= w.seats_requested);
+    if (!entry) {
+      return null;
+    }
+
+    db.prepare("UPDATE ride_waitlist SET status = 'offered', offer_expires_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(offerExpiresAt, entry.id);
+    shiftSegmentSeats(rideId, entry.from_stop_order, entry.to_stop_order, -entry.seats_requested);
+    return entry.id;
+  }).immediate();
+
+  return offeredId ? findById(offeredId) : null;
+}
+
+// Turns a live offer into a booking that takes over the held seats. Returns
+// the booking, or null when the entry no longer holds an unexpired offer.
+// Throws ReservationError when the ride cannot be booked any more.
+export async function accept(id, { booking_id, booking_status, total_price, expires_at = null }) {
+  const accepted = db.transaction(() => {
+    const entry = db.prepare('SELECT * FROM ride_waitlist WHERE id = ?').get(id);
+    if (!entry || entry.status !== 'offered' || entry.offer_expires_at <= new Date().toISOString()) {
+      return false;
+    }
+
+    const ride = db.prepare('SELECT status FROM rides WHERE id = ?').get(entry.ride_id);
+    if (!ride || ride.status !== 'available') {
+      throw new ReservationError('RIDE_UNAVAILABLE');
+    }
+    if (db.prepare("SELECT 1 FROM ride_bookings WHERE ride_id = ? AND passenger_id = ? AND booking_status != 'cancelled'").get(entry.ride_id, entry.passenger_id)) {
+      throw new ReservationError('ALREADY_BOOKED');
+    }
+
+    db.prepare(`
+      INSERT INTO ride_bookings (id, ride_id, passenger_id, seats_booked, booking_status, total_price, from_stop_order, to_stop_order, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(booking_id, entry.ride_id, entry.passenger_id, entry.seats_requested, booking_status, total_price, entry.from_stop_order, entry.to_stop_order, expires_at);
+    db.prepare("UPDATE ride_waitlist SET status = 'accepted', booking_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(booking_id, id);
+    return true;
+  }).immediate();
+
+  return accepted ? db.prepare('SELECT * FROM ride_bookings WHERE id = ?').get(booking_id) : null;
+}
+
+// Moves an entry to status `to` only if it is currently in one of `from`,
+// giving back the seats of an offer it was holding. Returns the updated
+// entry, or null when the entry was no longer in an expected status.
+export async function transitionStatus(id, { from, to }) {
+  const applied = db.transaction(() => {
+    const entry = db.prepare('SELECT * FROM ride_waitlist WHERE id = ?').get(id);
+    if (!entry || !from.includes(entry.status)) {
+      return false;
+    }
+
+    db.prepare('UPDATE ride_waitlist SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(to, id);
+    if (entry.status === 'offered') {
+      shiftSegmentSeats(entry.ride_id, entry.from_stop_order, entry.to_stop_order, entry.seats_requested);
+    }
+    return true;
+  }).immediate();
+
+  return applied ? findById(id) : null;
+}
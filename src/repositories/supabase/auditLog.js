@@ -0,0 +1,34 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+export async function record({ admin_id, action, target_type, target_id, details }) {
+  const { data, error } = await supabase
+    .from('admin_audit_log')
+    .insert({ admin_id, action, target_type, target_id: target_id ?? null, details: details ?? null })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return { ...data, id: Number(data.id) };
+}
+
+// Up to `limit` entries with the admin's name, newest first, older than
+// entry id `before` when given
+export async function list({ before, limit, admin_id, target_type, target_id }) {
+  let query = supabase
+    .from('admin_audit_log')
+    .select('*, admin:users!admin_audit_log_admin_id_fkey(name)');
+
+  if (before) {
+    query = query.lt('id', before);
+  }
+  for (const [column, value] of [['admin_id', admin_id], ['target_type', target_type], ['target_id', target_id]]) {
+    if (value) query = query.eq(column, value);
+  }
+
+  const { data, error } = await query
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return (data || []).map(({ admin, ...entry }) => ({ ...entry, id: Number(entry.id), admin_name: admin?.name ?? null }));
+}
@@ -0,0 +1,36 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+export async function create({ id, user_id, purpose, expires_at }) {
+  const { error } = await supabase.from('auth_tokens').insert({ id, user_id, purpose, expires_at });
+  if (error) throw error;
+}
+
+// Marks an unused, unexpired token as used. Returns the token, or null when
+// it was already used, revoked or expired.
+export async function consume(id, purpose) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('auth_tokens')
+    .update({ used_at: now })
+    .eq('id', id)
+    .eq('purpose', purpose)
+    .is('used_at', null)
+    .gt('expires_at', now)
+    .select();
+
+  if (error) throw error;
+  return data[0] ?? null;
+}
+
+// Retires a user's outstanding tokens for `purpose`, e.g. when a new link is
+// sent
+export async function revokeOutstanding(userId, purpose) {
+  const { error } = await supabase
+    .from('auth_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (error) throw error;
+}
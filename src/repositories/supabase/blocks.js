@@ -0,0 +1,60 @@
+import supabase from '../../db/supabase.js';
+
+// Returns false when `blockerId` had already blocked `blockedId`
+export async function create(blockerId, blockedId) {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .upsert({ blocker_id: blockerId, blocked_id: blockedId }, { onConflict: 'blocker_id,blocked_id', ignoreDuplicates: true })
+    .select('blocker_id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Returns false when there was no such block
+export async function remove(blockerId, blockedId) {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .delete()
+    .eq('blocker_id', blockerId)
+    .eq('blocked_id', blockedId)
+    .select('blocker_id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// The users `blockerId` blocked, most recent first
+export async function listByBlocker(blockerId) {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .select('created_at, user:users!user_blocks_blocked_id_fkey(id, name, username)')
+    .eq('blocker_id', blockerId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(({ user, created_at }) => ({ ...user, blocked_at: created_at }));
+}
+
+// Whether either user blocked the other
+export async function existsBetween(userId, otherId) {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .select('blocker_id')
+    .or(`and(blocker_id.eq.${userId},blocked_id.eq.${otherId}),and(blocker_id.eq.${otherId},blocked_id.eq.${userId})`)
+    .limit(1);
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Everyone `userId` blocked or was blocked by
+export async function listRelatedIds(userId) {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .select('blocker_id, blocked_id')
+    .or(`blocker_id.eq.${userId},blocked_id.eq.${userId}`);
+
+  if (error) throw error;
+  return [...new Set((data || []).map(row => (row.blocker_id === userId ? row.blocked_id : row.blocker_id)))];
+}
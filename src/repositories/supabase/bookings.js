@@ -0,0 +1,115 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+import { ReservationError } from '../../utils/errors.js';
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('ride_bookings')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Atomically checks the ride is bookable, the passenger has no other
+// booking on it and the segment has enough seats, then inserts the booking
+// and takes its seats (reserve_seats() in Postgres). Throws
+// ReservationError otherwise.
+export async function reserve({ id, ride_id, passenger_id, seats_booked, booking_status, total_price, from_stop_order, to_stop_order, expires_at = null }) {
+  const { data, error } = await supabase.rpc('reserve_seats', {
+    p_booking_id: id,
+    p_ride_id: ride_id,
+    p_passenger_id: passenger_id,
+    p_seats: seats_booked,
+    p_status: booking_status,
+    p_total_price: total_price,
+    p_from: from_stop_order,
+    p_to: to_stop_order,
+    p_expires_at: expires_at
+  });
+
+  if (error) {
+    throw ReservationError.isCode(error.message) ? new ReservationError(error.message) : error;
+  }
+  return data[0];
+}
+
+export async function listByPassenger(passengerId) {
+  const { data, error } = await supabase
+    .from('ride_bookings')
+    .select('*, ride:rides(id, pickup_address, drop_address, pickup_time, vehicle_type, price_per_seat)')
+    .eq('passenger_id', passengerId)
+    .order('booked_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function listByRide(rideId) {
+  const { data, error } = await supabase
+    .from('ride_bookings')
+    .select('*, passenger:users!ride_bookings_passenger_id_fkey(id, name, rating)')
+    .eq('ride_id', rideId)
+    .order('booked_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function listConfirmedByRide(rideId) {
+  const { data, error } = await supabase
+    .from('ride_bookings')
+    .select('*')
+    .eq('ride_id', rideId)
+    .eq('booking_status', 'confirmed');
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Bookings holding seats: confirmed ones and requests awaiting the driver
+export async function listActiveByRide(rideId) {
+  const { data, error } = await supabase
+    .from('ride_bookings')
+    .select('*')
+    .eq('ride_id', rideId)
+    .in('booking_status', ['pending', 'confirmed']);
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function listExpiredPending(now) {
+  const { data, error } = await supabase
+    .from('ride_bookings')
+    .select('*')
+    .eq('booking_status', 'pending')
+    .lte('expires_at', now);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Adds to the amount refunded for a cancelled booking (record_booking_refund() in Postgres)
+export async function recordRefund(id, amount) {
+  const { error } = await supabase.rpc('record_booking_refund', { p_booking_id: id, p_amount: amount });
+  if (error) throw error;
+}
+
+// Moves a booking to status `to` only if it is currently in one of `from`,
+// optionally giving its seats back (transition_booking() in Postgres).
+// Returns the updated booking, or null when the booking was no longer in an
+// expected status.
+export async function transitionStatus(id, { from, to, reason = null, releaseSeats = false }) {
+  const { data, error } = await supabase.rpc('transition_booking', {
+    p_booking_id: id,
+    p_from: from,
+    p_to: to,
+    p_reason: reason,
+    p_release: releaseSeats
+  });
+
+  if (error) throw error;
+  return data[0] || null;
+}
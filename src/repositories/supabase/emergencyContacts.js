@@ -0,0 +1,67 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('emergency_contacts')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function listByUser(userId) {
+  const { data, error } = await supabase
+    .from('emergency_contacts')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function countByUser(userId) {
+  const { count, error } = await supabase
+    .from('emergency_contacts')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return count;
+}
+
+export async function create({ id, user_id, name, email, phone_number, relationship }) {
+  const { data, error } = await supabase
+    .from('emergency_contacts')
+    .insert({ id, user_id, name, email, phone_number: phone_number ?? null, relationship: relationship ?? null })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Only the fields present in `changes` are updated
+export async function update(id, changes) {
+  const columns = ['name', 'email', 'phone_number', 'relationship'].filter(column => changes[column] !== undefined);
+  if (columns.length === 0) {
+    return findById(id);
+  }
+
+  const { data, error } = await supabase
+    .from('emergency_contacts')
+    .update({ ...Object.fromEntries(columns.map(column => [column, changes[column]])), updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function remove(id) {
+  const { error } = await supabase.from('emergency_contacts').delete().eq('id', id);
+  if (error) throw error;
+}
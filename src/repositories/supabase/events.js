@@ -0,0 +1,44 @@
+import supabase from '../../db/supabase.js';
+
+// Stores one event per recipient and returns them with their cursor ids
+export async function append(userIds, type, payload) {
+  const { data, error } = await supabase
+    .from('realtime_events')
+    .insert(userIds.map(user_id => ({ user_id, type, payload })))
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+// A user's events after cursor `afterId`, oldest first
+export async function listSince(userId, afterId, limit) {
+  const { data, error } = await supabase
+    .from('realtime_events')
+    .select('*')
+    .eq('user_id', userId)
+    .gt('id', afterId)
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function latestId(userId) {
+  const { data, error } = await supabase
+    .from('realtime_events')
+    .select('id')
+    .eq('user_id', userId)
+    .order('id', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.id ?? 0;
+}
+
+export async function pruneBefore(time) {
+  const { error } = await supabase.from('realtime_events').delete().lt('created_at', time);
+  if (error) throw error;
+}
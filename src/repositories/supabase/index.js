@@ -0,0 +1,23 @@
+import * as users from './users.js';
+import * as rides from './rides.js';
+import * as bookings from './bookings.js';
+import * as messages from './messages.js';
+import * as schedules from './schedules.js';
+import * as reviews from './reviews.js';
+import * as waitlist from './waitlist.js';
+import * as savedSearches from './savedSearches.js';
+import * as events from './events.js';
+import * as locations from './locations.js';
+import * as ledger from './ledger.js';
+import * as authTokens from './authTokens.js';
+import * as sessions from './sessions.js';
+import * as phoneVerifications from './phoneVerifications.js';
+import * as rateLimits from './rateLimits.js';
+import * as auditLog from './auditLog.js';
+import * as reports from './reports.js';
+import * as blocks from './blocks.js';
+import * as emergencyContacts from './emergencyContacts.js';
+import * as tripShares from './tripShares.js';
+import * as sosAlerts from './sosAlerts.js';
+
+export { users, rides, bookings, messages, schedules, reviews, waitlist, savedSearches, events, locations, ledger, authTokens, sessions, phoneVerifications, rateLimits, auditLog, reports, blocks, emergencyContacts, tripShares, sosAlerts };
@@ -0,0 +1,66 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+// Records a transaction and its entries (post_ledger_transaction() in
+// Postgres). Wallet and escrow accounts may not go below zero: returns null
+// instead of posting when they would.
+export async function post(transaction, entries) {
+  const { error } = await supabase.rpc('post_ledger_transaction', {
+    p_transaction: transaction,
+    p_entries: entries
+  });
+
+  if (error) {
+    if (error.message === 'OVERDRAFT') return null;
+    throw error;
+  }
+  return findById(transaction.id);
+}
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('ledger_transactions')
+    .select('*, entries:ledger_entries(account, owner_id, amount_paise)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function setProviderReference(id, providerReference) {
+  const { error } = await supabase
+    .from('ledger_transactions')
+    .update({ provider_reference: providerReference })
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
+// Balance of an account in paise
+export async function balance(account, ownerId) {
+  const { data, error } = await supabase.rpc('ledger_balance', { p_account: account, p_owner_id: ownerId });
+
+  if (error) throw error;
+  return Number(data);
+}
+
+// Up to `limit` entries of an account with their transaction, newest first,
+// older than entry id `before` when given
+export async function listEntries(account, ownerId, { before, limit }) {
+  let query = supabase
+    .from('ledger_entries')
+    .select('id, transaction_id, amount_paise, transaction:ledger_transactions(kind, booking_id, ride_id, description, created_at)')
+    .eq('account', account);
+
+  query = ownerId === null ? query.is('owner_id', null) : query.eq('owner_id', ownerId);
+  if (before) {
+    query = query.lt('id', before);
+  }
+
+  const { data, error } = await query
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return (data || []).map(({ transaction, ...entry }) => ({ ...entry, ...transaction, amount_paise: Number(entry.amount_paise) }));
+}
@@ -0,0 +1,38 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+export async function create({ ride_id, latitude, longitude, heading, speed_kmh, accuracy_m, recorded_at }) {
+  const { data, error } = await supabase
+    .from('ride_locations')
+    .insert({ ride_id, latitude, longitude, heading, speed_kmh, accuracy_m, recorded_at })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// The ride's most recent `limit` pings, oldest first
+export async function listTrail(rideId, limit) {
+  const { data, error } = await supabase
+    .from('ride_locations')
+    .select('*')
+    .eq('ride_id', rideId)
+    .order('recorded_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return (data || []).reverse();
+}
+
+export async function removeForRide(rideId) {
+  const { error } = await supabase.from('ride_locations').delete().eq('ride_id', rideId);
+  if (error) throw error;
+}
+
+// Pings of rides that are no longer in progress (purge_trip_locations() in
+// Postgres)
+export async function removeForInactiveRides() {
+  const { error } = await supabase.rpc('purge_trip_locations');
+  if (error) throw error;
+}
@@ -0,0 +1,123 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+// Supabase timestamps messages with created_at; mirror it as sent_at so both
+// backends return the same message shape.
+function toMessage(row) {
+  return row && { ...row, sent_at: row.sent_at ?? row.created_at };
+}
+
+export async function create({ ride_id, sender_id, receiver_id, message, message_type = 'text', attachment = null }) {
+  const { data, error } = await supabase
+    .from('ride_messages')
+    .insert({ ride_id, sender_id, receiver_id, message, message_type, attachment })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return toMessage(data);
+}
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('ride_messages')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return toMessage(data);
+}
+
+// One row per conversation (ride + other participant) with its latest
+// message and the number of messages the user has not read yet
+// (list_conversations() in Postgres)
+export async function listConversations(userId) {
+  const { data, error } = await supabase.rpc('list_conversations', { p_user_id: userId });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function listBetween(userId, partnerId, rideId) {
+  let query = supabase
+    .from('ride_messages')
+    .select('*, sender:users!ride_messages_sender_id_fkey(name)')
+    .or(`and(sender_id.eq.${userId},receiver_id.eq.${partnerId}),and(sender_id.eq.${partnerId},receiver_id.eq.${userId})`);
+
+  if (rideId) {
+    query = query.eq('ride_id', rideId);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(({ sender, ...msg }) => toMessage({ ...msg, sender_name: sender?.name }));
+}
+
+// Up to `limit` messages of one conversation, newest first, older than the
+// `before` message ({ sent_at, id }) when given
+export async function listPage(userId, partnerId, rideId, { before, limit }) {
+  let query = supabase
+    .from('ride_messages')
+    .select('*, sender:users!ride_messages_sender_id_fkey(name)')
+    .in('sender_id', [userId, partnerId])
+    .in('receiver_id', [userId, partnerId])
+    .eq('ride_id', rideId);
+
+  if (before) {
+    query = query.or(`created_at.lt."${before.sent_at}",and(created_at.eq."${before.sent_at}",id.lt.${before.id})`);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return (data || []).map(({ sender, ...msg }) => toMessage({ ...msg, sender_name: sender?.name }));
+}
+
+// Total messages waiting to be read by the user, across conversations
+export async function countUnread(userId) {
+  const { count, error } = await supabase
+    .from('ride_messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('receiver_id', userId)
+    .eq('is_read', false);
+
+  if (error) throw error;
+  return count;
+}
+
+// Marks every message the partner sent the user about a ride as read and
+// returns the ids of the messages that were unread
+export async function markConversationRead(userId, partnerId, rideId) {
+  const { data, error } = await supabase
+    .from('ride_messages')
+    .update({ is_read: true })
+    .eq('receiver_id', userId)
+    .eq('sender_id', partnerId)
+    .eq('ride_id', rideId)
+    .eq('is_read', false)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).map(row => row.id);
+}
+
+// Returns the message when this call marked it read, or null when it was
+// already read or not addressed to `receiverId`
+export async function markRead(id, receiverId) {
+  const { data, error } = await supabase
+    .from('ride_messages')
+    .update({ is_read: true })
+    .eq('id', id)
+    .eq('receiver_id', receiverId)
+    .eq('is_read', false)
+    .select();
+
+  if (error) throw error;
+  return data[0] ? toMessage(data[0]) : null;
+}
@@ -0,0 +1,45 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+export async function create({ id, user_id, phone_number, code_hash, expires_at, created_at }) {
+  const { error } = await supabase
+    .from('phone_verifications')
+    .insert({ id, user_id, phone_number, code_hash, expires_at, created_at });
+
+  if (error) throw error;
+}
+
+// The user's most recently requested code
+export async function findLatest(userId) {
+  const { data, error } = await supabase
+    .from('phone_verifications')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data[0];
+}
+
+// Counts a guess at the code, unless `maxAttempts` were already used
+// (record_phone_code_attempt() in Postgres). Returns the attempts used so
+// far, or null when none were left.
+export async function recordAttempt(id, maxAttempts) {
+  const { data, error } = await supabase.rpc('record_phone_code_attempt', { p_id: id, p_max_attempts: maxAttempts });
+
+  if (error) throw error;
+  return data;
+}
+
+// Returns false when the code was already used
+export async function markVerified(id) {
+  const { data, error } = await supabase
+    .from('phone_verifications')
+    .update({ verified_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('verified_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+}
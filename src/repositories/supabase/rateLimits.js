@@ -0,0 +1,34 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+// Counts a hit on `key`, starting a new window when the last one is over
+// (hit_rate_limit() in Postgres). Returns the counter.
+export async function hit(key, windowSeconds) {
+  const { data, error } = await supabase.rpc('hit_rate_limit', { p_key: key, p_window_seconds: windowSeconds });
+
+  if (error) throw error;
+  return data[0];
+}
+
+export async function get(key) {
+  const { data, error } = await supabase
+    .from('rate_limits')
+    .select('count, reset_at')
+    .eq('key', key)
+    .gt('reset_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function remove(key) {
+  const { error } = await supabase.from('rate_limits').delete().eq('key', key);
+
+  if (error) throw error;
+}
+
+export async function pruneExpired() {
+  const { error } = await supabase.from('rate_limits').delete().lte('reset_at', new Date().toISOString());
+
+  if (error) throw error;
+}
@@ -0,0 +1,115 @@
+import supabase from '../../db/supabase.js';
+
+const WITH_USERS = '*, reporter:users!user_reports_reporter_id_fkey(name), reported:users!user_reports_reported_user_id_fkey(name, account_status)';
+
+// Flattens the joined users into the same shape as the SQLite backend
+function withUsers(row) {
+  if (!row) return row;
+  const { reporter, reported, ...report } = row;
+  return {
+    ...report,
+    reporter_name: reporter?.name ?? null,
+    reported_user_name: reported?.name ?? null,
+    reported_user_account_status: reported?.account_status ?? null
+  };
+}
+
+export async function create({ id, reporter_id, reported_user_id, ride_id, message_id, category, description }) {
+  const { data, error } = await supabase
+    .from('user_reports')
+    .insert({ id, reporter_id, reported_user_id, ride_id: ride_id ?? null, message_id: message_id ?? null, category, description })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('user_reports')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// A report with the names of both users
+export async function findByIdWithUsers(id) {
+  const { data, error } = await supabase
+    .from('user_reports')
+    .select(WITH_USERS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return withUsers(data);
+}
+
+// Whether the reporter already has an open report about the same thing
+export async function existsOpen({ reporter_id, reported_user_id, ride_id, message_id }) {
+  let query = supabase
+    .from('user_reports')
+    .select('id')
+    .eq('reporter_id', reporter_id)
+    .eq('reported_user_id', reported_user_id)
+    .eq('status', 'open');
+
+  query = ride_id ? query.eq('ride_id', ride_id) : query.is('ride_id', null);
+  query = message_id ? query.eq('message_id', message_id) : query.is('message_id', null);
+
+  const { data, error } = await query.limit(1);
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+export async function listByReporter(reporterId) {
+  const { data, error } = await supabase
+    .from('user_reports')
+    .select('*')
+    .eq('reporter_id', reporterId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// The moderation queue: reports in `status`, oldest first
+export async function listQueue({ status, category, reported_user_id, limit, offset }) {
+  let query = supabase
+    .from('user_reports')
+    .select(WITH_USERS)
+    .eq('status', status);
+
+  if (category) {
+    query = query.eq('category', category);
+  }
+  if (reported_user_id) {
+    query = query.eq('reported_user_id', reported_user_id);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: true })
+    .order('id')
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return (data || []).map(withUsers);
+}
+
+// Closes an open report. Returns it, or null when it was already closed.
+export async function resolve(id, { status, resolved_by, resolution_note }) {
+  const { data, error } = await supabase
+    .from('user_reports')
+    .update({ status, resolved_by, resolution_note: resolution_note ?? null, resolved_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'open')
+    .select(WITH_USERS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return withUsers(data);
+}
@@ -0,0 +1,46 @@
+import supabase from '../../db/supabase.js';
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('reviews')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function findByBookingAndReviewer(bookingId, reviewerId) {
+  const { data, error } = await supabase
+    .from('reviews')
+    .select('*')
+    .eq('booking_id', bookingId)
+    .eq('reviewer_id', reviewerId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function create({ id, booking_id, ride_id, reviewer_id, reviewee_id, rating, comment, tags }) {
+  const { data, error } = await supabase
+    .from('reviews')
+    .insert({ id, booking_id, ride_id, reviewer_id, reviewee_id, rating, comment, tags })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function listForUser(userId) {
+  const { data, error } = await supabase
+    .from('reviews')
+    .select('*, reviewer:users!reviews_reviewer_id_fkey(id, name)')
+    .eq('reviewee_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,226 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+const WITH_DRIVER = '*, driver:users!rides_driver_id_fkey(id, name, rating, total_rides, late_cancellations, phone_verified)';
+const WITH_DRIVER_AND_STOPS = `${WITH_DRIVER}, stops:ride_stops(*)`;
+
+function sortStops(ride) {
+  return ride && { ...ride, stops: [...(ride.stops || [])].sort((a, b) => a.stop_order - b.stop_order) };
+}
+
+// Ids of rides having at least one stop that passes `filter`
+async function rideIdsWithStop(filter) {
+  const { data, error } = await filter(supabase.from('ride_stops').select('ride_id'));
+  if (error) throw error;
+  return new Set(data.map(row => row.ride_id));
+}
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('rides')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function findByIdWithDriver(id) {
+  const { data, error } = await supabase
+    .from('rides')
+    .select(WITH_DRIVER_AND_STOPS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return sortStops(data);
+}
+
+export async function listStops(rideId) {
+  const { data, error } = await supabase
+    .from('ride_stops')
+    .select('*')
+    .eq('ride_id', rideId)
+    .order('stop_order', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Bookable rides, leaving out those of `excludeDriverIds`
+export async function listAvailable({ excludeDriverIds = [] } = {}) {
+  let query = supabase
+    .from('rides')
+    .select(WITH_DRIVER_AND_STOPS)
+    .eq('status', 'available')
+    .gt('available_seats', 0)
+    .gt('pickup_time', new Date().toISOString())
+    .is('hidden_at', null);
+
+  if (excludeDriverIds.length > 0) {
+    query = query.not('driver_id', 'in', `(${excludeDriverIds.join(',')})`);
+  }
+
+  const { data, error } = await query.order('pickup_time', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(sortStops);
+}
+
+// Candidate rides for a search. Text and bounding-box filters only require
+// some stop of the ride to match; callers pick the actual segment. Rides of
+// `excludeDriverIds` are left out.
+export async function search({ pickup_location, drop_location, vehicle_type, pickup_bounds, drop_bounds, excludeDriverIds = [] }) {
+  const stopFilters = [];
+  for (const text of [pickup_location, drop_location]) {
+    if (text) stopFilters.push(q => q.ilike('address', `%${text}%`));
+  }
+  for (const bounds of [pickup_bounds, drop_bounds]) {
+    if (bounds) {
+      stopFilters.push(q => q
+        .gte('latitude', bounds.minLat).lte('latitude', bounds.maxLat)
+        .gte('longitude', bounds.minLng).lte('longitude', bounds.maxLng));
+    }
+  }
+
+  let rideIds = null;
+  for (const filter of stopFilters) {
+    const ids = await rideIdsWithStop(filter);
+    rideIds = rideIds ? new Set([...rideIds].filter(id => ids.has(id))) : ids;
+    if (rideIds.size === 0) return [];
+  }
+
+  let query = supabase
+    .from('rides')
+    .select(WITH_DRIVER_AND_STOPS)
+    .eq('status', 'available')
+    .gt('pickup_time', new Date().toISOString())
+    .is('hidden_at', null);
+
+  if (rideIds) {
+    query = query.in('id', [...rideIds]);
+  }
+  if (excludeDriverIds.length > 0) {
+    query = query.not('driver_id', 'in', `(${excludeDriverIds.join(',')})`);
+  }
+  if (vehicle_type && vehicle_type !== 'all') {
+    query = query.eq('vehicle_type', vehicle_type);
+  }
+
+  const { data, error } = await query.order('pickup_time', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(sortStops);
+}
+
+export async function listByDriver(driverId) {
+  const { data, error } = await supabase
+    .from('rides')
+    .select('*, stops:ride_stops(*)')
+    .eq('driver_id', driverId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(sortStops);
+}
+
+// Occurrences of a recurring schedule on or after `fromDate` (YYYY-MM-DD)
+export async function listBySchedule(scheduleId, fromDate) {
+  const { data, error } = await supabase
+    .from('rides')
+    .select('*')
+    .eq('schedule_id', scheduleId)
+    .gte('occurrence_date', fromDate)
+    .order('occurrence_date', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function create(ride, stops) {
+  const { data, error } = await supabase
+    .from('rides')
+    .insert({ ...ride, status: 'available' })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: stopsError } = await supabase
+    .from('ride_stops')
+    .insert(stops.map(stop => ({ ...stop, ride_id: data.id })));
+
+  if (stopsError) {
+    await supabase.from('rides').delete().eq('id', data.id);
+    throw stopsError;
+  }
+  return data;
+}
+
+// Starts an available ride. Returns the ride, or null when it was no longer
+// available.
+export async function start(id) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('rides')
+    .update({ status: 'active', started_at: now, updated_at: now })
+    .eq('id', id)
+    .eq('status', 'available')
+    .select();
+
+  if (error) throw error;
+  return data[0] ?? null;
+}
+
+// Completes an active ride together with its confirmed bookings and recounts
+// the riders' total_rides (complete_ride() in Postgres). Returns the completed
+// bookings, or null when the ride was not active.
+export async function complete(id) {
+  const { data, error } = await supabase.rpc('complete_ride', { p_ride_id: id });
+
+  if (error) {
+    if (error.message === 'RIDE_NOT_ACTIVE') return null;
+    throw error;
+  }
+  return data;
+}
+
+// Cancels a ride that is not already cancelled or completed, together with
+// every booking still holding seats on it (cancel_ride() in Postgres).
+// Returns the cancelled bookings, or null when the ride could not be
+// cancelled.
+export async function cancel(id) {
+  const { data, error } = await supabase.rpc('cancel_ride', { p_ride_id: id });
+
+  if (error) {
+    if (error.message === 'RIDE_NOT_CANCELLABLE') return null;
+    throw error;
+  }
+  return data;
+}
+
+// Hidden rides are left out of listings and search and cannot be booked
+export async function setHidden(id, hidden) {
+  const { data, error } = await supabase
+    .from('rides')
+    .update({ hidden_at: hidden ? new Date().toISOString() : null })
+    .eq('id', id)
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Deletes a ride with its stops. Returns false, leaving it in place, when
+// other rows (bookings, messages, ledger entries) still reference it.
+export async function remove(id) {
+  const { error } = await supabase.from('rides').delete().eq('id', id);
+
+  if (error) {
+    // foreign_key_violation
+    if (error.code === '23503') return false;
+    throw error;
+  }
+  return true;
+}
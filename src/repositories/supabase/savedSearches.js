@@ -0,0 +1,76 @@
+import supabase from '../../db/supabase.js';
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('saved_searches')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function listByUser(userId) {
+  const { data, error } = await supabase
+    .from('saved_searches')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function countByUser(userId) {
+  const { count, error } = await supabase
+    .from('saved_searches')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return count;
+}
+
+// Saved searches with alerts on that could match a new ride: other users'
+// searches for its vehicle type or any vehicle. Callers check the route,
+// seats and time window.
+export async function listAlertCandidates(ride) {
+  const { data, error } = await supabase
+    .from('saved_searches')
+    .select('*')
+    .eq('alerts_enabled', true)
+    .neq('user_id', ride.driver_id)
+    .or(`vehicle_type.is.null,vehicle_type.eq.${ride.vehicle_type}`);
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function create(search) {
+  const { data, error } = await supabase
+    .from('saved_searches')
+    .insert(search)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function update(id, changes) {
+  const { data, error } = await supabase
+    .from('saved_searches')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function remove(id) {
+  const { error } = await supabase.from('saved_searches').delete().eq('id', id);
+  if (error) throw error;
+}
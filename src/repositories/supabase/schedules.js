@@ -0,0 +1,70 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('ride_schedules')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function listByDriver(driverId) {
+  const { data, error } = await supabase
+    .from('ride_schedules')
+    .select('*')
+    .eq('driver_id', driverId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function listActive() {
+  const { data, error } = await supabase
+    .from('ride_schedules')
+    .select('*')
+    .eq('status', 'active');
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function create(schedule) {
+  const { data, error } = await supabase
+    .from('ride_schedules')
+    .insert(schedule)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function update(id, changes) {
+  const { data, error } = await supabase
+    .from('ride_schedules')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Updates a schedule and, in the same transaction, withdraws its upcoming
+// unbooked occurrences from `fromDate` on
+// (update_schedule_withdrawing_occurrences() in Postgres)
+export async function updateWithdrawingOccurrences(id, changes, fromDate) {
+  const { data, error } = await supabase.rpc('update_schedule_withdrawing_occurrences', {
+    p_schedule_id: id,
+    p_changes: changes,
+    p_from_date: fromDate
+  });
+
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,91 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+const LIST_COLUMNS = 'id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+export async function create({ id, user_id, refresh_token_hash, user_agent, ip_address, expires_at }) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .insert({ id, user_id, refresh_token_hash, user_agent, ip_address, expires_at })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Swaps the session's refresh token, provided `currentHash` is still the
+// current one and the session is live. Returns the session, or null.
+export async function rotate(id, currentHash, { refresh_token_hash, expires_at }) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('sessions')
+    .update({ refresh_token_hash, expires_at, last_used_at: now })
+    .eq('id', id)
+    .eq('refresh_token_hash', currentHash)
+    .is('revoked_at', null)
+    .gt('expires_at', now)
+    .select();
+
+  if (error) throw error;
+  return data[0] ?? null;
+}
+
+export async function revoke(id, reason) {
+  const { error } = await supabase
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', id)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+}
+
+// Revokes every live session of a user, except `exceptId` when given
+export async function revokeAllForUser(userId, reason, exceptId = null) {
+  let query = supabase
+    .from('sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptId) {
+    query = query.neq('id', exceptId);
+  }
+
+  const { error } = await query;
+  if (error) throw error;
+}
+
+export async function listActiveByUser(userId) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select(LIST_COLUMNS)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Deletes sessions that expired or were revoked before `time`
+export async function pruneBefore(time) {
+  const { error } = await supabase
+    .from('sessions')
+    .delete()
+    .or(`expires_at.lt."${time}",revoked_at.lt."${time}"`);
+
+  if (error) throw error;
+}
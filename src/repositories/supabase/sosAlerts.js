@@ -0,0 +1,17 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+export async function create({ id, user_id, ride_id, latitude, longitude, location_source, location_recorded_at, message }) {
+  const { data, error } = await supabase
+    .from('sos_alerts')
+    .insert({ id, user_id, ride_id, latitude, longitude, location_source, location_recorded_at, message })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function setContactsNotified(id, count) {
+  const { error } = await supabase.from('sos_alerts').update({ contacts_notified: count }).eq('id', id);
+  if (error) throw error;
+}
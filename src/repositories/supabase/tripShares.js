@@ -0,0 +1,50 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+export async function create({ id, ride_id, booking_id, user_id, token_hash, expires_at }) {
+  const { data, error } = await supabase
+    .from('trip_shares')
+    .insert({ id, ride_id, booking_id, user_id, token_hash, expires_at })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('trip_shares')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function findByTokenHash(tokenHash) {
+  const { data, error } = await supabase
+    .from('trip_shares')
+    .select('*')
+    .eq('token_hash', tokenHash)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function revoke(id) {
+  const { error } = await supabase
+    .from('trip_shares')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+}
+
+// Forgets links that expired before `time`
+export async function pruneExpiredBefore(time) {
+  const { error } = await supabase.from('trip_shares').delete().lt('expires_at', time);
+  if (error) throw error;
+}
@@ -0,0 +1,184 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+
+const PUBLIC_COLUMNS = 'id, email, name, username, phone_number, phone_verified, rating, total_rides, late_cancellations, is_verified, created_at';
+const ADMIN_COLUMNS = `${PUBLIC_COLUMNS}, role, account_status, suspended_until, suspension_reason`;
+
+// Supabase stores the bcrypt hash as password_hash; expose it as `password`
+// so callers see the same user shape as the SQLite backend.
+function toUser(row) {
+  if (!row) return row;
+  const { password_hash, ...user } = row;
+  return { ...user, password: password_hash };
+}
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return toUser(data);
+}
+
+export async function findByEmail(email) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (error) throw error;
+  return toUser(data);
+}
+
+export async function existsByEmailOrUsername(email, username) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id')
+    .or(`email.eq.${email},username.eq.${username}`)
+    .limit(1);
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+export async function getProfile(id) {
+  const { data, error } = await supabase
+    .from('users')
+    .select(PUBLIC_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function create({ id, email, password, name, username, phone_number }) {
+  const { data, error } = await supabase
+    .from('users')
+    .insert({
+      id,
+      email,
+      password_hash: password,
+      name,
+      username,
+      phone_number: phone_number || null,
+      total_rides: 0,
+      is_verified: false,
+      rating: 5.0
+    })
+    .select(PUBLIC_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function markEmailVerified(id) {
+  const { error } = await supabase.from('users').update({ is_verified: true }).eq('id', id);
+  if (error) throw error;
+}
+
+export async function updatePassword(id, password) {
+  const { error } = await supabase.from('users').update({ password_hash: password }).eq('id', id);
+  if (error) throw error;
+}
+
+export async function setVerifiedPhone(id, phone_number) {
+  const { error } = await supabase.from('users').update({ phone_number, phone_verified: true }).eq('id', id);
+  if (error) throw error;
+}
+
+// Counts a booked ride the driver cancelled at short notice
+// (increment_late_cancellations() in Postgres)
+export async function incrementLateCancellations(id) {
+  const { error } = await supabase.rpc('increment_late_cancellations', { p_user_id: id });
+  if (error) throw error;
+}
+
+// A new phone number has to be verified again
+export async function updateProfile(id, { name, phone_number }) {
+  const changes = {};
+  if (name != null) changes.name = name;
+  if (phone_number != null) {
+    const { data: current, error } = await supabase.from('users').select('phone_number').eq('id', id).single();
+    if (error) throw error;
+    if (current.phone_number !== phone_number) {
+      changes.phone_number = phone_number;
+      changes.phone_verified = false;
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('users')
+    .update(changes)
+    .eq('id', id)
+    .select(PUBLIC_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getAdminView(id) {
+  const { data, error } = await supabase
+    .from('users')
+    .select(ADMIN_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Users whose name, username, email or phone number contains `q`, newest
+// first
+export async function search({ q, role, account_status, limit, offset }) {
+  let query = supabase.from('users').select(ADMIN_COLUMNS);
+
+  if (q) {
+    // PostgREST filter values are quoted so commas and dots in `q` stay literal
+    const pattern = `"%${q.replace(/["\\]/g, '\\$&')}%"`;
+    query = query.or(['name', 'username', 'email', 'phone_number'].map(column => `${column}.ilike.${pattern}`).join(','));
+  }
+  if (role) {
+    query = query.eq('role', role);
+  }
+  if (account_status) {
+    query = query.eq('account_status', account_status);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id')
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function setAccountStatus(id, { account_status, suspended_until = null, suspension_reason = null }) {
+  const { data, error } = await supabase
+    .from('users')
+    .update({ account_status, suspended_until, suspension_reason })
+    .eq('id', id)
+    .select(ADMIN_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function setRole(id, role) {
+  const { data, error } = await supabase
+    .from('users')
+    .update({ role })
+    .eq('id', id)
+    .select(ADMIN_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
@@ -0,0 +1,119 @@
+import { serviceSupabase as supabase } from '../../db/supabase.js';
+import { ReservationError } from '../../utils/errors.js';
+
+export async function findById(id) {
+  const { data, error } = await supabase
+    .from('ride_waitlist')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// The passenger's entry on a ride that is still waiting or holding an offer
+export async function findOpen(rideId, passengerId) {
+  const { data, error } = await supabase
+    .from('ride_waitlist')
+    .select('*')
+    .eq('ride_id', rideId)
+    .eq('passenger_id', passengerId)
+    .in('status', ['waiting', 'offered'])
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function create({ id, ride_id, passenger_id, seats_requested, from_stop_order, to_stop_order }) {
+  const { data, error } = await supabase
+    .from('ride_waitlist')
+    .insert({ id, ride_id, passenger_id, seats_requested, from_stop_order, to_stop_order })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function listByPassenger(passengerId) {
+  const { data, error } = await supabase
+    .from('ride_waitlist')
+    .select('*, ride:rides(id, pickup_address, drop_address, pickup_time, vehicle_type, price_per_seat)')
+    .eq('passenger_id', passengerId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Queue order: oldest entry first
+export async function listByRide(rideId) {
+  const { data, error } = await supabase
+    .from('ride_waitlist')
+    .select('*, passenger:users!ride_waitlist_passenger_id_fkey(id, name, rating)')
+    .eq('ride_id', rideId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function listExpiredOffers(now) {
+  const { data, error } = await supabase
+    .from('ride_waitlist')
+    .select('*')
+    .eq('status', 'offered')
+    .lte('offer_expires_at', now);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Offers free seats to the first waiting passenger whose segment fits,
+// holding them until the offer is answered (offer_next_waitlist() in
+// Postgres). Returns the offered entry, or null when nobody fits.
+export async function offerNext(rideId, offerExpiresAt) {
+  const { data, error } = await supabase.rpc('offer_next_waitlist', {
+    p_ride_id: rideId,
+    p_expires_at: offerExpiresAt
+  });
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+// Turns a live offer into a booking that takes over the held seats
+// (accept_waitlist_offer() in Postgres). Returns the booking, or null when
+// the entry no longer holds an unexpired offer. Throws ReservationError when
+// the ride cannot be booked any more.
+export async function accept(id, { booking_id, booking_status, total_price, expires_at = null }) {
+  const { data, error } = await supabase.rpc('accept_waitlist_offer', {
+    p_entry_id: id,
+    p_booking_id: booking_id,
+    p_status: booking_status,
+    p_total_price: total_price,
+    p_expires_at: expires_at
+  });
+
+  if (error) {
+    throw ReservationError.isCode(error.message) ? new ReservationError(error.message) : error;
+  }
+  return data[0] || null;
+}
+
+// Moves an entry to status `to` only if it is currently in one of `from`,
+// giving back the seats of a held offer (transition_waitlist() in Postgres).
+// Returns the updated entry, or null when the entry was no longer in an
+// expected status.
+export async function transitionStatus(id, { from, to }) {
+  const { data, error } = await supabase.rpc('transition_waitlist', {
+    p_entry_id: id,
+    p_from: from,
+    p_to: to
+  });
+
+  if (error) throw error;
+  return data[0] || null;
+}
@@ -0,0 +1,216 @@
+import express from 'express';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  adminReportParams,
+  adminRideParams,
+  adminUserParams,
+  auditLogQuery,
+  banUserBody,
+  cancelRideBody,
+  conversationQuery,
+  hideRideBody,
+  listReportsQuery,
+  reinstateUserBody,
+  resolveReportBody,
+  searchUsersQuery,
+  setRoleBody,
+  suspendUserBody
+} from '../schemas/admin.js';
+import {
+  banUser,
+  forceCancelRide,
+  getReport,
+  getUser,
+  listAuditLog,
+  listReports,
+  readConversation,
+  reinstateUser,
+  resolveReport,
+  searchUsers,
+  setRideHidden,
+  setUserRole,
+  suspendUser
+} from '../services/moderation.js';
+import { HttpError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Every admin endpoint needs a signed-in admin
+router.use(authenticateToken, requireAdmin);
+
+// Search users by name, username, email or phone (?q=&role=&account_status=&limit=&offset=)
+router.get('/users', validate({ query: searchUsersQuery }), async (req, res) => {
+  try {
+    res.json(await searchUsers(req.user, req.query));
+  } catch (error) {
+    console.error('Admin search users error:', error);
+    res.status(500).json({ message: 'Failed to search users' });
+  }
+});
+
+// Get a user with their role and account status
+router.get('/users/:id', validate({ params: adminUserParams }), async (req, res) => {
+  try {
+    res.json(await getUser(req.user, req.params.id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Admin get user error:', error);
+    res.status(500).json({ message: 'Failed to get user' });
+  }
+});
+
+// Suspend an account, until a date or indefinitely
+router.post('/users/:id/suspend', validate({ params: adminUserParams, body: suspendUserBody }), async (req, res) => {
+  try {
+    res.json(await suspendUser(req.user, req.params.id, req.body));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Suspend user error:', error);
+    res.status(500).json({ message: 'Failed to suspend user' });
+  }
+});
+
+// Ban an account
+router.post('/users/:id/ban', validate({ params: adminUserParams, body: banUserBody }), async (req, res) => {
+  try {
+    res.json(await banUser(req.user, req.params.id, req.body));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Ban user error:', error);
+    res.status(500).json({ message: 'Failed to ban user' });
+  }
+});
+
+// Lift a suspension or ban
+router.post('/users/:id/reinstate', validate({ params: adminUserParams, body: reinstateUserBody }), async (req, res) => {
+  try {
+    res.json(await reinstateUser(req.user, req.params.id, req.body));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Reinstate user error:', error);
+    res.status(500).json({ message: 'Failed to reinstate user' });
+  }
+});
+
+// Make a user an admin or take the role away
+router.post('/users/:id/role', validate({ params: adminUserParams, body: setRoleBody }), async (req, res) => {
+  try {
+    res.json(await setUserRole(req.user, req.params.id, req.body.role));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Set user role error:', error);
+    res.status(500).json({ message: 'Failed to set user role' });
+  }
+});
+
+// Cancel a ride on the driver's behalf; passengers are refunded and notified
+router.post('/rides/:id/cancel', validate({ params: adminRideParams, body: cancelRideBody }), async (req, res) => {
+  try {
+    res.json(await forceCancelRide(req.user, req.params.id, req.body.reason));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Force cancel ride error:', error);
+    res.status(500).json({ message: 'Failed to cancel ride' });
+  }
+});
+
+// Hide a ride from listings and search
+router.post('/rides/:id/hide', validate({ params: adminRideParams, body: hideRideBody }), async (req, res) => {
+  try {
+    res.json(await setRideHidden(req.user, req.params.id, true, req.body.reason));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Hide ride error:', error);
+    res.status(500).json({ message: 'Failed to hide ride' });
+  }
+});
+
+// Show a hidden ride again
+router.post('/rides/:id/unhide', validate({ params: adminRideParams, body: hideRideBody }), async (req, res) => {
+  try {
+    res.json(await setRideHidden(req.user, req.params.id, false, req.body.reason));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Unhide ride error:', error);
+    res.status(500).json({ message: 'Failed to unhide ride' });
+  }
+});
+
+// Read the messages between two users about a ride when investigating a
+// report (?ride_id=&user_id=&partner_id=&before=<next_cursor>&limit=)
+router.get('/conversations', validate({ query: conversationQuery }), async (req, res) => {
+  try {
+    res.json(await readConversation(req.user, req.query));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Admin read conversation error:', error);
+    res.status(500).json({ message: 'Failed to get conversation' });
+  }
+});
+
+// The report queue, oldest first (?status=open&category=&reported_user_id=&limit=&offset=)
+router.get('/reports', validate({ query: listReportsQuery }), async (req, res) => {
+  try {
+    res.json(await listReports(req.user, req.query));
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ message: 'Failed to get reports' });
+  }
+});
+
+// Get a report with the reported message
+router.get('/reports/:id', validate({ params: adminReportParams }), async (req, res) => {
+  try {
+    res.json(await getReport(req.user, req.params.id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get report error:', error);
+    res.status(500).json({ message: 'Failed to get report' });
+  }
+});
+
+// Close a report as resolved or dismissed
+router.post('/reports/:id/resolve', validate({ params: adminReportParams, body: resolveReportBody }), async (req, res) => {
+  try {
+    res.json(await resolveReport(req.user, req.params.id, req.body));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Resolve report error:', error);
+    res.status(500).json({ message: 'Failed to resolve report' });
+  }
+});
+
+// Admin actions, newest first (?before=<next_cursor>&limit=&admin_id=&target_type=&target_id=)
+router.get('/audit-log', validate({ query: auditLogQuery }), async (req, res) => {
+  try {
+    res.json(await listAuditLog(req.user, req.query));
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Failed to get audit log' });
+  }
+});
+
+export default router;
@@ -1,43 +1,72 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
-import db from '../db/database.js';
+import { users } from '../repositories/index.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import {
+  changePasswordBody,
+  forgotPasswordBody,
+  loginBody,
+  refreshBody,
+  registerBody,
+  requestPhoneCodeBody,
+  resetPasswordBody,
+  sessionParams,
+  updateProfileBody,
+  verifyEmailBody,
+  verifyPhoneBody
+} from '../schemas/auth.js';
+import { changePassword, requestPasswordReset, resetPassword, sendVerificationEmail, verifyEmail } from '../services/accounts.js';
+import { accountRestriction } from '../services/moderation.js';
+import { requestPhoneCode, verifyPhoneCode } from '../services/phoneVerification.js';
+import { assertLoginAllowed, clearLoginFailures, recordLoginFailure } from '../services/rateLimits.js';
+import { endAllSessions, endOwnSession, endSession, listSessions, refreshSession, startSession } from '../services/sessions.js';
+import { HttpError, RateLimitError } from '../utils/errors.js';
+import { normalizePhone } from '../utils/phone.js';
 
 const router = express.Router();
 
+// Per client IP; failed logins also lock the account (services/rateLimits.js)
+const LOGIN_LIMIT = { name: 'login', max: 20, windowSeconds: 15 * 60 };
+const REGISTER_LIMIT = { name: 'register', max: 10, windowSeconds: 60 * 60 };
+const PASSWORD_RESET_LIMIT = { name: 'forgot-password', max: 5, windowSeconds: 60 * 60 };
+
 // Register
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit(REGISTER_LIMIT), validate({ body: registerBody }), async (req, res) => {
   try {
     const { email, password, name, username, phone_number } = req.body;
 
-    if (!email || !password || !name || !username) {
-      return res.status(400).json({ message: 'Email, password, name, and username are required' });
-    }
-
     // Check if user exists
-    const existingUser = db.prepare('SELECT id FROM users WHERE email = ? OR username = ?').get(email, username);
-    if (existingUser) {
+    if (await users.existsByEmailOrUsername(email, username)) {
       return res.status(400).json({ message: 'Email or username already exists' });
     }
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
-    const userId = uuidv4();
 
     // Create user
-    db.prepare(`
-      INSERT INTO users (id, email, password, name, username, phone_number)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(userId, email, hashedPassword, name, username, phone_number || null);
+    const user = await users.create({
+      id: uuidv4(),
+      email,
+      password: hashedPassword,
+      name,
+      username,
+      phone_number: phone_number ? normalizePhone(phone_number) : null
+    });
 
-    const user = db.prepare('SELECT id, email, name, username, phone_number, rating, total_rides, is_verified, created_at FROM users WHERE id = ?').get(userId);
+    // Sign in on this device
+    const tokens = await startSession(user, req);
 
-    // Generate token
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // The account works without it, so a mail failure does not fail sign-up
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.warn('Failed to send verification email:', mailError);
+    }
 
-    res.status(201).json({ user, token });
+    res.status(201).json({ user, ...tokens });
   } catch (error) {
     console.error('Register error:', error);
     res.status(500).json({ message: 'Failed to register user' });
@@ -45,34 +74,196 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit(LOGIN_LIMIT), validate({ body: loginBody }), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Email and password are required' });
-    }
+    await assertLoginAllowed(email);
 
-    const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
-    if (!user) {
+    const user = await users.findByEmail(email);
+    const validPassword = user && await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      await recordLoginFailure(email);
       return res.status(401).json({ message: 'Invalid email or password' });
     }
+    await clearLoginFailures(email);
 
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+    const restriction = accountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({ message: restriction });
     }
 
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const tokens = await startSession(user, req);
 
     const { password: _, ...userWithoutPassword } = user;
-    res.json({ user: userWithoutPassword, token });
+    res.json({ user: userWithoutPassword, ...tokens });
   } catch (error) {
+    if (error instanceof RateLimitError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Login error:', error);
     res.status(500).json({ message: 'Failed to login' });
   }
 });
 
+// Exchange a refresh token for new access and refresh tokens
+router.post('/refresh', validate({ body: refreshBody }), async (req, res) => {
+  try {
+    res.json(await refreshSession(req.body.refresh_token));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Failed to refresh session' });
+  }
+});
+
+// Log out this device
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await endSession(req.sessionId);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Failed to log out' });
+  }
+});
+
+// Log out all devices, this one included
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await endAllSessions(req.user.id, 'logout_all');
+    res.status(204).send();
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Failed to log out' });
+  }
+});
+
+// Get my active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listSessions(req.user, req.sessionId));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Failed to get sessions' });
+  }
+});
+
+// Log out one of my devices
+router.delete('/sessions/:id', authenticateToken, validate({ params: sessionParams }), async (req, res) => {
+  try {
+    await endOwnSession(req.user, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('End session error:', error);
+    res.status(500).json({ message: 'Failed to end session' });
+  }
+});
+
+// Change password; other devices are logged out
+router.put('/password', authenticateToken, validate({ body: changePasswordBody }), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    await changePassword(req.user, current_password, new_password, req.sessionId);
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Failed to change password' });
+  }
+});
+
+// Resend the email verification link
+router.post('/verify-email/request', authenticateToken, async (req, res) => {
+  try {
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Send verification email error:', error);
+    res.status(500).json({ message: 'Failed to send verification email' });
+  }
+});
+
+// Verify email with the token from the emailed link
+router.post('/verify-email', validate({ body: verifyEmailBody }), async (req, res) => {
+  try {
+    res.json({ user: await verifyEmail(req.body.token) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Failed to verify email' });
+  }
+});
+
+// Email a password reset link
+router.post('/forgot-password', rateLimit(PASSWORD_RESET_LIMIT), validate({ body: forgotPasswordBody }), async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email);
+    res.json({ message: 'If an account uses this email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Failed to send password reset email' });
+  }
+});
+
+// Set a new password with the token from the emailed link
+router.post('/reset-password', validate({ body: resetPasswordBody }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    await resetPassword(token, password);
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Failed to reset password' });
+  }
+});
+
+// Text a one-time code to my phone number (or to `phone_number`, which
+// replaces it once verified)
+router.post('/phone/request-code', authenticateToken, validate({ body: requestPhoneCodeBody }), async (req, res) => {
+  try {
+    res.json(await requestPhoneCode(req.user, req.body.phone_number));
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Request phone code error:', error);
+    res.status(500).json({ message: 'Failed to send verification code' });
+  }
+});
+
+// Verify my phone number with the texted code
+router.post('/phone/verify', authenticateToken, validate({ body: verifyPhoneBody }), async (req, res) => {
+  try {
+    res.json({ user: await verifyPhoneCode(req.user, req.body.code) });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Verify phone error:', error);
+    res.status(500).json({ message: 'Failed to verify phone number' });
+  }
+});
+
 // Get profile
 router.get('/profile', authenticateToken, (req, res) => {
   const { password: _, ...userWithoutPassword } = req.user;
@@ -80,17 +271,11 @@ router.get('/profile', authenticateToken, (req, res) => {
 });
 
 // Update profile
-router.put('/profile', authenticateToken, (req, res) => {
+router.put('/profile', authenticateToken, validate({ body: updateProfileBody }), async (req, res) => {
   try {
     const { name, phone_number } = req.body;
-    const userId = req.user.id;
-
-    db.prepare(`
-      UPDATE users SET name = COALESCE(?, name), phone_number = COALESCE(?, phone_number), updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(name, phone_number, userId);
 
-    const user = db.prepare('SELECT id, email, name, username, phone_number, rating, total_rides, is_verified, created_at FROM users WHERE id = ?').get(userId);
+    const user = await users.updateProfile(req.user.id, { name, phone_number: phone_number && normalizePhone(phone_number) });
     res.json(user);
   } catch (error) {
     console.error('Update profile error:', error);
@@ -0,0 +1,49 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { blockUserBody, blockedUserParams } from '../schemas/blocks.js';
+import { blockUser, listBlockedUsers, unblockUser } from '../services/blocks.js';
+import { HttpError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Get the users I blocked
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listBlockedUsers(req.user));
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ message: 'Failed to get blocked users' });
+  }
+});
+
+// Block a user: neither of us can message the other, book the other's
+// rides or see them in listings
+router.post('/', authenticateToken, validate({ body: blockUserBody }), async (req, res) => {
+  try {
+    await blockUser(req.user, req.body.user_id);
+    res.status(204).send();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Block user error:', error);
+    res.status(500).json({ message: 'Failed to block user' });
+  }
+});
+
+// Unblock a user
+router.delete('/:userId', authenticateToken, validate({ params: blockedUserParams }), async (req, res) => {
+  try {
+    await unblockUser(req.user, req.params.userId);
+    res.status(204).send();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Unblock user error:', error);
+    res.status(500).json({ message: 'Failed to unblock user' });
+  }
+});
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { runJobs } from '../jobs/index.js';
+
+const router = express.Router();
+
+// Run background jobs (called by Vercel Cron with CRON_SECRET as bearer token)
+router.get('/run', async (req, res) => {
+  const authHeader = req.headers['authorization'];
+  if (!process.env.CRON_SECRET || authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ message: 'Not authorized' });
+  }
+
+  await runJobs();
+  res.json({ success: true });
+});
+
+export default router;
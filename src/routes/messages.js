@@ -1,44 +1,150 @@
 import express from 'express';
-import { v4 as uuidv4 } from 'uuid';
-import db from '../db/database.js';
-import { authenticateToken } from '../middleware/auth.js';
+import multer from 'multer';
+import { messages, events } from '../repositories/index.js';
+import { authenticateStream, authenticateToken } from '../middleware/auth.js';
+import { sendFieldErrors, validate } from '../middleware/validate.js';
+import {
+  conversationQuery,
+  messageParams,
+  messagesWithParams,
+  sendImageBody,
+  sendMessageBody,
+  streamQuery,
+  typingBody,
+  updatesQuery
+} from '../schemas/messages.js';
+import {
+  CONVERSATION_ID_PATTERN,
+  assertConversationParticipants,
+  conversationId,
+  listConversationMessages,
+  markConversationRead,
+  markMessageRead,
+  sendMessage,
+  sendTyping
+} from '../services/messages.js';
+import { assertNotBlocked } from '../services/blocks.js';
+import { subscribe } from '../services/realtime.js';
+import { IMAGE_TYPES, MAX_UPLOAD_BYTES, saveChatImage } from '../services/uploads.js';
+import { HttpError } from '../utils/errors.js';
 
 const router = express.Router();
 
+const MAX_EVENTS_PER_POLL = 100;
+const STREAM_HEARTBEAT_MS = 25000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    cb(IMAGE_TYPES.includes(file.mimetype) ? null : new HttpError(400, `image must be one of: ${IMAGE_TYPES.join(', ')}`), true);
+  }
+});
+
+// Accepts one image in the multipart field `image`, answering upload errors
+// with 400 (413 when the file is too large)
+function uploadImage(req, res, next) {
+  upload.single('image')(req, res, error => {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+      return error.code === 'LIMIT_FILE_SIZE'
+        ? res.status(413).json({ message: `image must be at most ${Math.floor(MAX_UPLOAD_BYTES / (1024 * 1024))} MB` })
+        : res.status(400).json({ message: error.message });
+    }
+    next(error);
+  });
+}
+
+// Reads an event cursor (the id of the last event a client has seen) from
+// the Last-Event-ID header
+function parseCursor(value) {
+  const cursor = Number(value);
+  return Number.isInteger(cursor) && cursor >= 0 ? cursor : null;
+}
+
+// Live events (new messages, read receipts, typing) as Server-Sent Events.
+// Reconnecting clients resume after Last-Event-ID (or ?since=). Serverless
+// deployments cut long requests short, so clients there poll /updates.
+router.get('/stream', authenticateStream, validate({ query: streamQuery }), async (req, res) => {
+  const resumeFrom = req.headers['last-event-id'] ?? req.query.since;
+  let lastSent = resumeFrom === undefined ? null : parseCursor(resumeFrom);
+  if (resumeFrom !== undefined && lastSent === null) {
+    return res.status(400).json({ message: 'Last-Event-ID/since must be an event id' });
+  }
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+
+  const send = event => {
+    if (lastSent !== null && event.id <= lastSent) return;
+    lastSent = event.id;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.payload)}\n\n`);
+  };
+
+  // Events published while the backlog is replayed are sent after it
+  let pending = [];
+  const unsubscribe = subscribe(req.user.id, event => (pending ? pending.push(event) : send(event)));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    if (lastSent !== null) {
+      let backlog;
+      do {
+        backlog = await events.listSince(req.user.id, lastSent, MAX_EVENTS_PER_POLL);
+        backlog.forEach(send);
+      } while (backlog.length === MAX_EVENTS_PER_POLL);
+    }
+  } catch (error) {
+    console.error('Replay events error:', error);
+  }
+  pending.forEach(send);
+  pending = null;
+});
+
+// Polling fallback for the stream: events after cursor ?since=. Without a
+// cursor only the current cursor is returned, to start polling from.
+router.get('/updates', authenticateToken, validate({ query: updatesQuery }), async (req, res) => {
+  try {
+    const { since } = req.query;
+    if (since === undefined) {
+      return res.json({ cursor: await events.latestId(req.user.id), events: [], has_more: false });
+    }
+
+    const updates = await events.listSince(req.user.id, since, MAX_EVENTS_PER_POLL);
+    res.json({
+      cursor: updates.length > 0 ? updates[updates.length - 1].id : since,
+      events: updates.map(({ id, type, payload, created_at }) => ({ id, type, payload, created_at })),
+      has_more: updates.length === MAX_EVENTS_PER_POLL
+    });
+  } catch (error) {
+    console.error('Get updates error:', error);
+    res.status(500).json({ message: 'Failed to get updates' });
+  }
+});
+
 // Get conversations
-router.get('/conversations', authenticateToken, (req, res) => {
+router.get('/conversations', authenticateToken, async (req, res) => {
   try {
-    const conversations = db.prepare(`
-      SELECT DISTINCT 
-        CASE WHEN sender_id = ? THEN receiver_id ELSE sender_id END as partnerId,
-        u.name as partnerName,
-        m.ride_id as rideId,
-        r.pickup_address,
-        r.drop_address,
-        MAX(m.sent_at) as lastMessageTime,
-        (SELECT message FROM ride_messages WHERE 
-          (sender_id = ? AND receiver_id = u.id) OR (sender_id = u.id AND receiver_id = ?)
-          ORDER BY sent_at DESC LIMIT 1) as lastMessage
-      FROM ride_messages m
-      JOIN users u ON u.id = CASE WHEN m.sender_id = ? THEN m.receiver_id ELSE m.sender_id END
-      LEFT JOIN rides r ON r.id = m.ride_id
-      WHERE m.sender_id = ? OR m.receiver_id = ?
-      GROUP BY partnerId
-      ORDER BY lastMessageTime DESC
-    `).all(req.user.id, req.user.id, req.user.id, req.user.id, req.user.id, req.user.id);
+    const conversations = await messages.listConversations(req.user.id);
 
     // Format response with route info
     const formatted = conversations.map(conv => ({
-      id: `${conv.rideId}-${conv.partnerId}`,
+      id: conversationId(conv.rideId, conv.partnerId),
       partnerId: conv.partnerId,
       partnerName: conv.partnerName,
       rideId: conv.rideId,
-      route: conv.pickup_address && conv.drop_address 
-        ? `${conv.pickup_address} → ${conv.drop_address}` 
+      route: conv.pickup_address && conv.drop_address
+        ? `${conv.pickup_address} → ${conv.drop_address}`
         : 'Unknown Route',
       lastMessage: conv.lastMessage,
       lastMessageTime: conv.lastMessageTime,
-      unreadCount: 0
+      unreadCount: conv.unreadCount
     }));
 
     res.json(formatted);
@@ -48,51 +154,143 @@ router.get('/conversations', authenticateToken, (req, res) => {
   }
 });
 
-// Get messages with a user
-router.get('/:conversationId', authenticateToken, (req, res) => {
+// Total unread messages, for the inbox badge
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    res.json({ unreadCount: await messages.countUnread(req.user.id) });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Failed to get unread count' });
+  }
+});
+
+// Get a page of a conversation's messages (?before=<next_cursor>&limit=)
+router.get(`/:conversationId(${CONVERSATION_ID_PATTERN})`, authenticateToken, validate({ query: conversationQuery }), async (req, res) => {
+  try {
+    res.json(await listConversationMessages(req.user, req.params.conversationId, req.query));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({ message: 'Failed to get messages' });
+  }
+});
+
+// Mark every message in a conversation as read
+router.patch(`/:conversationId(${CONVERSATION_ID_PATTERN})/read`, authenticateToken, async (req, res) => {
+  try {
+    const marked = await markConversationRead(req.user, req.params.conversationId);
+    res.json({ success: true, marked });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ message: 'Failed to mark conversation as read' });
+  }
+});
+
+// Get messages with a user, optionally scoped to one ride
+router.get('/:partnerId/:rideId?', authenticateToken, validate({ params: messagesWithParams }), async (req, res) => {
   try {
-    const messages = db.prepare(`
-      SELECT m.*, u.name as sender_name
-      FROM ride_messages m
-      JOIN users u ON m.sender_id = u.id
-      WHERE (m.sender_id = ? AND m.receiver_id = ?) OR (m.sender_id = ? AND m.receiver_id = ?)
-      ORDER BY m.sent_at ASC
-    `).all(req.user.id, req.params.conversationId, req.params.conversationId, req.user.id);
-
-    res.json(messages);
+    res.json(await messages.listBetween(req.user.id, req.params.partnerId, req.params.rideId));
   } catch (error) {
     console.error('Get messages error:', error);
     res.status(500).json({ message: 'Failed to get messages' });
   }
 });
 
-// Send message
-router.post('/', authenticateToken, (req, res) => {
+// Send a text message, or a location pin (message_type "location" with
+// location: { latitude, longitude, label })
+router.post('/', authenticateToken, validate({ body: sendMessageBody }), async (req, res) => {
   try {
-    const { receiver_id, ride_id, message } = req.body;
+    const { receiver_id, ride_id, message, message_type = 'text', location } = req.body;
 
-    if (!receiver_id || !ride_id || !message) {
-      return res.status(400).json({ message: 'receiver_id, ride_id, and message are required' });
+    if (message_type === 'image') {
+      return res.status(400).json({ message: 'Send images to POST /api/messages/image' });
     }
+    await assertConversationParticipants(req.user.id, receiver_id, ride_id);
+    await assertNotBlocked(req.user.id, receiver_id, 'You cannot message this user');
 
-    const messageId = uuidv4();
-    db.prepare(`
-      INSERT INTO ride_messages (id, ride_id, sender_id, receiver_id, message)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(messageId, ride_id, req.user.id, receiver_id, message);
+    let newMessage;
+    if (message_type === 'location') {
+      const pin = { latitude: location.latitude, longitude: location.longitude, label: location.label?.trim() || null };
+      newMessage = await sendMessage({
+        ride_id,
+        sender_id: req.user.id,
+        receiver_id,
+        message: `📍 ${pin.label || 'Shared a location'}`,
+        message_type,
+        attachment: pin
+      });
+    } else {
+      newMessage = await sendMessage({
+        ride_id,
+        sender_id: req.user.id,
+        receiver_id,
+        message
+      });
+    }
 
-    const newMessage = db.prepare('SELECT * FROM ride_messages WHERE id = ?').get(messageId);
     res.status(201).json(newMessage);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Send message error:', error);
     res.status(500).json({ message: 'Failed to send message' });
   }
 });
 
+// Send a photo (multipart: image, receiver_id, ride_id and optional caption)
+router.post('/image', authenticateToken, uploadImage, validate({ body: sendImageBody }), async (req, res) => {
+  try {
+    const { receiver_id, ride_id, caption } = req.body;
+
+    if (!req.file) {
+      return sendFieldErrors(res, [{ in: 'body', field: 'image', message: 'is required' }]);
+    }
+    await assertConversationParticipants(req.user.id, receiver_id, ride_id);
+    await assertNotBlocked(req.user.id, receiver_id, 'You cannot message this user');
+
+    const attachment = await saveChatImage(req.file.buffer);
+    const newMessage = await sendMessage({
+      ride_id,
+      sender_id: req.user.id,
+      receiver_id,
+      message: caption?.trim() || '📷 Photo',
+      message_type: 'image',
+      attachment
+    });
+
+    res.status(201).json(newMessage);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Send image error:', error);
+    res.status(500).json({ message: 'Failed to send image' });
+  }
+});
+
+// Tell the other participant the user is (or stopped) typing
+router.post('/typing', authenticateToken, validate({ body: typingBody }), async (req, res) => {
+  try {
+    const { receiver_id, ride_id, is_typing = true } = req.body;
+
+    await sendTyping(req.user, { receiver_id, ride_id, is_typing });
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Typing indicator error:', error);
+    res.status(500).json({ message: 'Failed to send typing indicator' });
+  }
+});
+
 // Mark message as read
-router.patch('/:id/read', authenticateToken, (req, res) => {
+router.patch('/:id/read', authenticateToken, validate({ params: messageParams }), async (req, res) => {
   try {
-    db.prepare('UPDATE ride_messages SET is_read = 1 WHERE id = ? AND receiver_id = ?').run(req.params.id, req.user.id);
+    await markMessageRead(req.user, req.params.id);
     res.json({ success: true });
   } catch (error) {
     console.error('Mark read error:', error);
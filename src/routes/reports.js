@@ -0,0 +1,45 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { createReportBody } from '../schemas/reports.js';
+import { REPORT_CATEGORIES, createReport, listOwnReports } from '../services/reports.js';
+import { HttpError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Per reporting user
+const REPORT_LIMIT = { name: 'report', max: 10, windowSeconds: 60 * 60 };
+
+// Report a user, ride or message to the moderators
+router.post('/', authenticateToken, rateLimit(REPORT_LIMIT, req => req.user.id), validate({ body: createReportBody }), async (req, res) => {
+  try {
+    const { user_id, ride_id, message_id, category, description } = req.body;
+
+    const report = await createReport(req.user, { user_id, ride_id, message_id, category, description });
+    res.status(201).json(report);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Create report error:', error);
+    res.status(500).json({ message: 'Failed to create report' });
+  }
+});
+
+// Report categories accepted by POST /api/reports
+router.get('/categories', authenticateToken, (req, res) => {
+  res.json(REPORT_CATEGORIES);
+});
+
+// Get the reports I filed and where they stand
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listOwnReports(req.user));
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ message: 'Failed to get reports' });
+  }
+});
+
+export default router;
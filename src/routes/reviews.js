@@ -0,0 +1,50 @@
+import express from 'express';
+import { users, reviews } from '../repositories/index.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { createReviewBody, userReviewsParams } from '../schemas/reviews.js';
+import { REVIEW_TAGS, createReview } from '../services/reviews.js';
+import { HttpError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Review the other party of a completed booking
+router.post('/', authenticateToken, validate({ body: createReviewBody }), async (req, res) => {
+  try {
+    const { booking_id, rating, comment, tags } = req.body;
+
+    const review = await createReview(req.user, { booking_id, rating, comment, tags });
+    res.status(201).json(review);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Create review error:', error);
+    res.status(500).json({ message: 'Failed to create review' });
+  }
+});
+
+// Review tags accepted by POST /api/reviews
+router.get('/tags', authenticateToken, (req, res) => {
+  res.json(REVIEW_TAGS);
+});
+
+// Reviews received by a user, with their aggregate rating
+router.get('/user/:userId', authenticateToken, validate({ params: userReviewsParams }), async (req, res) => {
+  try {
+    const user = await users.getProfile(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      user: { id: user.id, name: user.name, rating: user.rating, total_rides: user.total_rides, late_cancellations: user.late_cancellations },
+      reviews: await reviews.listForUser(user.id)
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ message: 'Failed to get reviews' });
+  }
+});
+
+export default router;
@@ -1,27 +1,43 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import db from '../db/database.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { rides, bookings, blocks } from '../repositories/index.js';
+import { authenticateToken, requireVerifiedEmail } from '../middleware/auth.js';
+import { sendFieldErrors, validate } from '../middleware/validate.js';
+import { createRideBody, fareEstimateQuery, locationPingBody, rideParams, rideStatusBody, searchRidesQuery } from '../schemas/rides.js';
+import { blockedUserIds } from '../services/blocks.js';
+import { estimateFare, priceCap } from '../services/fares.js';
+import { changeRideStatus } from '../services/rides.js';
+import { alertSavedSearches } from '../services/savedSearches.js';
+import { getTracking, recordPing } from '../services/tracking.js';
+import { HttpError } from '../utils/errors.js';
+import { boundingBox, parseSearchPoint } from '../utils/geo.js';
+import { buildStops, findSegment } from '../utils/stops.js';
 
 const router = express.Router();
 
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+// Builds a GPS ping from the driver's app (validated by locationPingBody),
+// or returns null when it was recorded in the future
+function parsePing({ latitude, longitude, heading, speed_kmh, accuracy_m, recorded_at }) {
+  const recordedAt = recorded_at ? new Date(recorded_at) : new Date();
+  if (recordedAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) return null;
+
+  return {
+    latitude,
+    longitude,
+    heading: heading ?? null,
+    speed_kmh: speed_kmh ?? null,
+    accuracy_m: accuracy_m ?? null,
+    recorded_at: recordedAt.toISOString()
+  };
+}
+
 // Get available rides
-router.get('/available', authenticateToken, (req, res) => {
+router.get('/available', authenticateToken, async (req, res) => {
   try {
-    const rides = db.prepare(`
-      SELECT r.*, u.name as driver_name, u.rating as driver_rating, u.total_rides as driver_total_rides
-      FROM rides r
-      JOIN users u ON r.driver_id = u.id
-      WHERE r.status = 'available' AND r.available_seats > 0 AND r.pickup_time > datetime('now')
-      ORDER BY r.pickup_time ASC
-    `).all();
-
-    const ridesWithDriver = rides.map(ride => ({
-      ...ride,
-      driver: { id: ride.driver_id, name: ride.driver_name, rating: ride.driver_rating, total_rides: ride.driver_total_rides }
-    }));
-
-    res.json(ridesWithDriver);
+    // Drivers and passengers who blocked each other do not see each other's rides
+    res.json(await rides.listAvailable({ excludeDriverIds: await blockedUserIds(req.user.id) }));
   } catch (error) {
     console.error('Get available rides error:', error);
     res.status(500).json({ message: 'Failed to get rides' });
@@ -29,66 +45,69 @@ router.get('/available', authenticateToken, (req, res) => {
 });
 
 // Search rides
-router.get('/search', authenticateToken, (req, res) => {
+router.get('/search', authenticateToken, validate({ query: searchRidesQuery }), async (req, res) => {
   try {
     const { pickup_location, drop_location, vehicle_type, seats_needed } = req.query;
-    
-    let query = `
-      SELECT r.*, u.name as driver_name, u.rating as driver_rating
-      FROM rides r
-      JOIN users u ON r.driver_id = u.id
-      WHERE r.status = 'available' AND r.pickup_time > datetime('now')
-    `;
-    const params = [];
-
-    if (pickup_location) {
-      query += ' AND r.pickup_address LIKE ?';
-      params.push(`%${pickup_location}%`);
-    }
-    if (drop_location) {
-      query += ' AND r.drop_address LIKE ?';
-      params.push(`%${drop_location}%`);
-    }
-    if (vehicle_type && vehicle_type !== 'all') {
-      query += ' AND r.vehicle_type = ?';
-      params.push(vehicle_type);
-    }
-    if (seats_needed) {
-      query += ' AND r.available_seats >= ?';
-      params.push(parseInt(seats_needed));
+    const pickup = parseSearchPoint(req.query, 'pickup');
+    const drop = parseSearchPoint(req.query, 'drop');
+
+    const candidates = await rides.search({
+      pickup_location,
+      drop_location,
+      vehicle_type,
+      pickup_bounds: pickup && boundingBox(pickup.lat, pickup.lng, pickup.radiusKm),
+      drop_bounds: drop && boundingBox(drop.lat, drop.lng, drop.radiusKm),
+      excludeDriverIds: await blockedUserIds(req.user.id)
+    });
+
+    const results = [];
+    for (const ride of candidates) {
+      const match = findSegment(ride, { pickup_location, drop_location, pickup, drop, seats_needed });
+      if (match) results.push({ ...ride, ...match });
     }
 
-    query += ' ORDER BY r.pickup_time ASC';
+    if (pickup || drop) {
+      results.sort((a, b) => a.detour_km - b.detour_km || new Date(a.segment.pickup_time) - new Date(b.segment.pickup_time));
+    }
 
-    const rides = db.prepare(query).all(...params);
-    res.json(rides.map(ride => ({
-      ...ride,
-      driver: { id: ride.driver_id, name: ride.driver_name, rating: ride.driver_rating }
-    })));
+    res.json(results);
   } catch (error) {
     console.error('Search rides error:', error);
     res.status(500).json({ message: 'Failed to search rides' });
   }
 });
 
+// Suggested price per seat for a trip (pickup/drop coordinates, vehicle_type
+// and seats offered)
+router.get('/fare-estimate', authenticateToken, validate({ query: fareEstimateQuery }), (req, res) => {
+  const { vehicle_type, seats } = req.query;
+  const pickup = parseSearchPoint(req.query, 'pickup');
+  const drop = parseSearchPoint(req.query, 'drop');
+
+  res.json(estimateFare({ pickup, drop, vehicle_type, seats }));
+});
+
+// Get my published rides
+router.get('/my/published', authenticateToken, async (req, res) => {
+  try {
+    res.json(await rides.listByDriver(req.user.id));
+  } catch (error) {
+    console.error('Get my rides error:', error);
+    res.status(500).json({ message: 'Failed to get rides' });
+  }
+});
+
 // Get ride by ID
-router.get('/:id', authenticateToken, (req, res) => {
+router.get('/:id', authenticateToken, validate({ params: rideParams }), async (req, res) => {
   try {
-    const ride = db.prepare(`
-      SELECT r.*, u.name as driver_name, u.rating as driver_rating
-      FROM rides r
-      JOIN users u ON r.driver_id = u.id
-      WHERE r.id = ?
-    `).get(req.params.id);
+    const ride = await rides.findByIdWithDriver(req.params.id);
 
-    if (!ride) {
+    // Blocked users' rides are hidden here as they are from listings and search
+    if (!ride || await blocks.existsBetween(req.user.id, ride.driver_id)) {
       return res.status(404).json({ message: 'Ride not found' });
     }
 
-    res.json({
-      ...ride,
-      driver: { id: ride.driver_id, name: ride.driver_name, rating: ride.driver_rating }
-    });
+    res.json(ride);
   } catch (error) {
     console.error('Get ride error:', error);
     res.status(500).json({ message: 'Failed to get ride' });
@@ -96,21 +115,39 @@ router.get('/:id', authenticateToken, (req, res) => {
 });
 
 // Create ride
-router.post('/', authenticateToken, (req, res) => {
+router.post('/', authenticateToken, requireVerifiedEmail, validate({ body: createRideBody }), async (req, res) => {
   try {
-    const { pickup_address, drop_address, pickup_time, total_seats, available_seats, vehicle_type, price_per_seat, description, pickup_latitude, pickup_longitude, drop_latitude, drop_longitude } = req.body;
+    const { pickup_address, drop_address, pickup_time, expected_drop_time, total_seats, available_seats, vehicle_type, price_per_seat, description, pickup_latitude, pickup_longitude, drop_latitude, drop_longitude, stops = [], booking_mode = 'instant' } = req.body;
 
-    if (!pickup_address || !drop_address || !pickup_time || !total_seats || !vehicle_type || !price_per_seat) {
-      return res.status(400).json({ message: 'Missing required fields' });
+    const price_cap = priceCap(req.body);
+    if (price_per_seat > price_cap) {
+      return sendFieldErrors(res, [{ in: 'body', field: 'price_per_seat', message: `cannot exceed ₹${price_cap} for this trip` }], { price_cap });
     }
 
-    const rideId = uuidv4();
-    db.prepare(`
-      INSERT INTO rides (id, driver_id, pickup_address, drop_address, pickup_time, total_seats, available_seats, vehicle_type, price_per_seat, description, pickup_latitude, pickup_longitude, drop_latitude, drop_longitude)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(rideId, req.user.id, pickup_address, drop_address, pickup_time, total_seats, available_seats || total_seats, vehicle_type, price_per_seat, description || null, pickup_latitude || null, pickup_longitude || null, drop_latitude || null, drop_longitude || null);
+    const newRide = {
+      id: uuidv4(),
+      driver_id: req.user.id,
+      pickup_address,
+      drop_address,
+      pickup_time,
+      expected_drop_time: expected_drop_time || null,
+      total_seats,
+      available_seats: available_seats ?? total_seats,
+      vehicle_type,
+      price_per_seat,
+      description: description || null,
+      booking_mode,
+      pickup_latitude: pickup_latitude ?? null,
+      pickup_longitude: pickup_longitude ?? null,
+      drop_latitude: drop_latitude ?? null,
+      drop_longitude: drop_longitude ?? null
+    };
+
+    await rides.create(newRide, buildStops(newRide, stops));
+
+    const ride = await rides.findByIdWithDriver(newRide.id);
+    await alertSavedSearches(ride);
 
-    const ride = db.prepare('SELECT * FROM rides WHERE id = ?').get(rideId);
     res.status(201).json(ride);
   } catch (error) {
     console.error('Create ride error:', error);
@@ -118,22 +155,11 @@ router.post('/', authenticateToken, (req, res) => {
   }
 });
 
-// Get my published rides
-router.get('/my/published', authenticateToken, (req, res) => {
-  try {
-    const rides = db.prepare('SELECT * FROM rides WHERE driver_id = ? ORDER BY created_at DESC').all(req.user.id);
-    res.json(rides);
-  } catch (error) {
-    console.error('Get my rides error:', error);
-    res.status(500).json({ message: 'Failed to get rides' });
-  }
-});
-
 // Update ride status
-router.patch('/:id/status', authenticateToken, (req, res) => {
+router.patch('/:id/status', authenticateToken, validate({ params: rideParams, body: rideStatusBody }), async (req, res) => {
   try {
     const { status, cancellation_reason } = req.body;
-    const ride = db.prepare('SELECT * FROM rides WHERE id = ?').get(req.params.id);
+    const ride = await rides.findById(req.params.id);
 
     if (!ride) {
       return res.status(404).json({ message: 'Ride not found' });
@@ -142,55 +168,52 @@ router.patch('/:id/status', authenticateToken, (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    // If cancelling, notify all confirmed passengers
-    if (status === 'cancelled') {
-      try {
-        const bookings = db.prepare(`
-          SELECT b.*, u.name as passenger_name 
-          FROM ride_bookings b 
-          JOIN users u ON b.passenger_id = u.id 
-          WHERE b.ride_id = ? AND b.booking_status = 'confirmed'
-        `).all(req.params.id);
-
-        const driver = db.prepare('SELECT name FROM users WHERE id = ?').get(ride.driver_id);
-        const pickupDate = new Date(ride.pickup_time);
-        const formattedDate = pickupDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
-        const formattedTime = pickupDate.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true });
-
-        for (const booking of bookings) {
-          let messageText = `🚫 Ride Cancelled\n\n${driver?.name || 'The driver'} has cancelled the ride you booked.\n\n📍 Route: ${ride.pickup_address} → ${ride.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}\n🪑 Your seats: ${booking.seats_booked}\n💰 Refund: ₹${booking.total_price}`;
-          if (cancellation_reason) {
-            messageText += `\n\nReason: ${cancellation_reason}`;
-          }
-          messageText += `\n\nWe apologize for the inconvenience. Please search for alternative rides.`;
-
-          const messageId = uuidv4();
-          db.prepare(`
-            INSERT INTO ride_messages (id, ride_id, sender_id, receiver_id, message, message_type)
-            VALUES (?, ?, ?, ?, ?, 'text')
-          `).run(messageId, ride.id, ride.driver_id, booking.passenger_id, messageText);
-
-          // Also cancel the booking
-          db.prepare('UPDATE ride_bookings SET booking_status = ? WHERE id = ?').run('cancelled', booking.id);
-        }
-      } catch (msgError) {
-        console.warn('Failed to send ride cancellation notifications:', msgError);
-      }
-    }
-
-    db.prepare('UPDATE rides SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, req.params.id);
-    const updated = db.prepare('SELECT * FROM rides WHERE id = ?').get(req.params.id);
-    res.json(updated);
+    res.json(await changeRideStatus(ride, req.user, status, cancellation_reason));
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Update ride status error:', error);
     res.status(500).json({ message: 'Failed to update ride' });
   }
 });
 
-// Delete ride
-router.delete('/:id', authenticateToken, (req, res) => {
+// Post a GPS ping for an active ride (driver)
+router.post('/:id/locations', authenticateToken, validate({ params: rideParams, body: locationPingBody }), async (req, res) => {
+  try {
+    const ping = parsePing(req.body);
+    if (!ping) {
+      return sendFieldErrors(res, [{ in: 'body', field: 'recorded_at', message: 'cannot be in the future' }]);
+    }
+
+    res.status(201).json(await recordPing(req.user, req.params.id, ping));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Record location error:', error);
+    res.status(500).json({ message: 'Failed to record location' });
+  }
+});
+
+// Latest position, trail and pickup ETA of an active ride (driver and
+// confirmed passengers)
+router.get('/:id/tracking', authenticateToken, validate({ params: rideParams }), async (req, res) => {
+  try {
+    res.json(await getTracking(req.user, req.params.id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get tracking error:', error);
+    res.status(500).json({ message: 'Failed to get ride location' });
+  }
+});
+
+// Delete a ride nobody has booked or messaged about yet
+router.delete('/:id', authenticateToken, validate({ params: rideParams }), async (req, res) => {
   try {
-    const ride = db.prepare('SELECT * FROM rides WHERE id = ?').get(req.params.id);
+    const ride = await rides.findById(req.params.id);
 
     if (!ride) {
       return res.status(404).json({ message: 'Ride not found' });
@@ -198,8 +221,15 @@ router.delete('/:id', authenticateToken, (req, res) => {
     if (ride.driver_id !== req.user.id) {
       return res.status(403).json({ message: 'Not authorized' });
     }
+    // Anything passengers already took part in is cancelled instead, so the
+    // refund policy and notifications apply
+    if (ride.status !== 'available') {
+      return res.status(409).json({ message: `A ${ride.status} ride cannot be deleted` });
+    }
+    if ((await bookings.listByRide(ride.id)).length > 0 || !await rides.remove(ride.id)) {
+      return res.status(409).json({ message: 'This ride has bookings or messages; cancel it instead' });
+    }
 
-    db.prepare('DELETE FROM rides WHERE id = ?').run(req.params.id);
     res.status(204).send();
   } catch (error) {
     console.error('Delete ride error:', error);
@@ -0,0 +1,139 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import {
+  emergencyContactBody,
+  emergencyContactParams,
+  sharedTripParams,
+  shareRideParams,
+  sosBody,
+  tripShareParams,
+  updateEmergencyContactBody
+} from '../schemas/safety.js';
+import {
+  addEmergencyContact,
+  listEmergencyContacts,
+  raiseSos,
+  removeEmergencyContact,
+  revokeTripShare,
+  shareTrip,
+  updateEmergencyContact,
+  viewSharedTrip
+} from '../services/safety.js';
+import { HttpError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Per client IP, for the unauthenticated trip page
+const SHARED_TRIP_LIMIT = { name: 'shared-trip', max: 120, windowSeconds: 60 * 60 };
+
+// Per user: each SOS emails every emergency contact, and contacts are
+// addresses the user typed in, so neither may be used to send mail at will
+const SOS_LIMIT = { name: 'sos', max: 5, windowSeconds: 60 * 60 };
+const EMERGENCY_CONTACT_LIMIT = { name: 'emergency-contact', max: 10, windowSeconds: 24 * 60 * 60 };
+
+// Get my emergency contacts
+router.get('/contacts', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listEmergencyContacts(req.user));
+  } catch (error) {
+    console.error('Get emergency contacts error:', error);
+    res.status(500).json({ message: 'Failed to get emergency contacts' });
+  }
+});
+
+// Add an emergency contact
+router.post('/contacts', authenticateToken, rateLimit(EMERGENCY_CONTACT_LIMIT, req => req.user.id), validate({ body: emergencyContactBody }), async (req, res) => {
+  try {
+    res.status(201).json(await addEmergencyContact(req.user, req.body));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Add emergency contact error:', error);
+    res.status(500).json({ message: 'Failed to add emergency contact' });
+  }
+});
+
+// Update an emergency contact
+router.patch('/contacts/:id', authenticateToken, validate({ params: emergencyContactParams, body: updateEmergencyContactBody }), async (req, res) => {
+  try {
+    res.json(await updateEmergencyContact(req.user, req.params.id, req.body));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Update emergency contact error:', error);
+    res.status(500).json({ message: 'Failed to update emergency contact' });
+  }
+});
+
+// Remove an emergency contact
+router.delete('/contacts/:id', authenticateToken, validate({ params: emergencyContactParams }), async (req, res) => {
+  try {
+    await removeEmergencyContact(req.user, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Remove emergency contact error:', error);
+    res.status(500).json({ message: 'Failed to remove emergency contact' });
+  }
+});
+
+// Create a link to my trip on an active ride that anyone can open
+router.post('/rides/:id/share', authenticateToken, validate({ params: shareRideParams }), async (req, res) => {
+  try {
+    res.status(201).json(await shareTrip(req.user, req.params.id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Share trip error:', error);
+    res.status(500).json({ message: 'Failed to share trip' });
+  }
+});
+
+// Stop a trip link from working
+router.delete('/shares/:id', authenticateToken, validate({ params: tripShareParams }), async (req, res) => {
+  try {
+    await revokeTripShare(req.user, req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Revoke trip link error:', error);
+    res.status(500).json({ message: 'Failed to revoke trip link' });
+  }
+});
+
+// Follow a shared trip (no sign-in; the token in the link is the key)
+router.get('/trips/:token', rateLimit(SHARED_TRIP_LIMIT), validate({ params: sharedTripParams }), async (req, res) => {
+  try {
+    res.json(await viewSharedTrip(req.params.token));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get shared trip error:', error);
+    res.status(500).json({ message: 'Failed to get trip' });
+  }
+});
+
+// Raise an SOS: recorded and emailed to my emergency contacts
+router.post('/sos', authenticateToken, rateLimit(SOS_LIMIT, req => req.user.id), validate({ body: sosBody }), async (req, res) => {
+  try {
+    res.status(201).json(await raiseSos(req.user, req.body));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('SOS error:', error);
+    res.status(500).json({ message: 'Failed to raise SOS' });
+  }
+});
+
+export default router;
@@ -0,0 +1,119 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { savedSearches } from '../repositories/index.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { savedSearchBody, savedSearchParams } from '../schemas/savedSearches.js';
+import { createSavedSearch } from '../services/savedSearches.js';
+import { HttpError } from '../utils/errors.js';
+import { parseSearchPoint } from '../utils/geo.js';
+
+const router = express.Router();
+
+const FIELDS = [
+  'name', 'pickup_location', 'pickup_latitude', 'pickup_longitude', 'pickup_radius_km',
+  'drop_location', 'drop_latitude', 'drop_longitude', 'drop_radius_km',
+  'vehicle_type', 'seats_needed', 'earliest_time', 'latest_time', 'utc_offset_minutes', 'alerts_enabled'
+];
+
+// Checks that a complete saved search (fields validated by savedSearchBody)
+// is usable and fills in the default search radius for coordinates. Returns
+// { error } or { search } with every field set.
+function prepareSavedSearch(input) {
+  const search = Object.fromEntries(FIELDS.map(field => [field, input[field] ?? null]));
+  search.utc_offset_minutes ??= 330;
+  search.alerts_enabled ??= true;
+
+  if (!search.pickup_location && !search.drop_location && search.pickup_latitude == null && search.drop_latitude == null) {
+    return { error: 'A saved search needs a pickup or drop location (text or coordinates)' };
+  }
+  for (const prefix of ['pickup', 'drop']) {
+    const point = parseSearchPoint(search, prefix);
+    if (point?.error) {
+      return { error: point.error };
+    }
+    search[`${prefix}_radius_km`] = point ? point.radiusKm : null;
+  }
+  return { search };
+}
+
+// Loads a saved search owned by the current user, or responds with 404/403
+async function findOwnSavedSearch(req, res) {
+  const search = await savedSearches.findById(req.params.id);
+  if (!search) {
+    res.status(404).json({ message: 'Saved search not found' });
+    return null;
+  }
+  if (search.user_id !== req.user.id) {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+  return search;
+}
+
+// Save a search
+router.post('/', authenticateToken, validate({ body: savedSearchBody }), async (req, res) => {
+  try {
+    const { search, error } = prepareSavedSearch(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const saved = await createSavedSearch(req.user, { id: uuidv4(), ...search });
+    res.status(201).json(saved);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Create saved search error:', error);
+    res.status(500).json({ message: 'Failed to save search' });
+  }
+});
+
+// Get my saved searches
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json(await savedSearches.listByUser(req.user.id));
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ message: 'Failed to get saved searches' });
+  }
+});
+
+// Update a saved search
+router.patch('/:id', authenticateToken, validate({ params: savedSearchParams, body: savedSearchBody }), async (req, res) => {
+  try {
+    const existing = await findOwnSavedSearch(req, res);
+    if (!existing) return;
+
+    const changes = {};
+    for (const field of FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    const { search, error } = prepareSavedSearch({ ...existing, ...changes });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json(await savedSearches.update(existing.id, search));
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({ message: 'Failed to update saved search' });
+  }
+});
+
+// Delete a saved search
+router.delete('/:id', authenticateToken, validate({ params: savedSearchParams }), async (req, res) => {
+  try {
+    const search = await findOwnSavedSearch(req, res);
+    if (!search) return;
+
+    await savedSearches.remove(search.id);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ message: 'Failed to delete saved search' });
+  }
+});
+
+export default router;
@@ -0,0 +1,258 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { rides, schedules } from '../repositories/index.js';
+import { authenticateToken, requireVerifiedEmail } from '../middleware/auth.js';
+import { sendFieldErrors, validate } from '../middleware/validate.js';
+import {
+  bookScheduleBody,
+  cancelScheduleBody,
+  createScheduleBody,
+  occurrenceParams,
+  scheduleParams,
+  updateScheduleBody
+} from '../schemas/schedules.js';
+import {
+  SCHEDULE_HORIZON_DAYS,
+  addDays,
+  bookOccurrences,
+  cancelOccurrence,
+  cancelSchedule,
+  localDate,
+  materializeSchedule,
+  updateSchedule
+} from '../services/schedules.js';
+import { priceCap } from '../services/fares.js';
+import { HttpError } from '../utils/errors.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'pickup_address', 'pickup_latitude', 'pickup_longitude', 'drop_address', 'drop_latitude', 'drop_longitude',
+  'stops', 'total_seats', 'vehicle_type', 'price_per_seat', 'description', 'booking_mode', 'days_of_week', 'departure_time',
+  'duration_minutes', 'utc_offset_minutes', 'start_date', 'end_date', 'skip_dates'
+];
+
+// Loads a schedule owned by the current user, or responds with 404/403
+async function findOwnSchedule(req, res) {
+  const schedule = await schedules.findById(req.params.id);
+  if (!schedule) {
+    res.status(404).json({ message: 'Schedule not found' });
+    return null;
+  }
+  if (schedule.driver_id !== req.user.id) {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+  return schedule;
+}
+
+async function withOccurrences(schedule) {
+  return { ...schedule, occurrences: await rides.listBySchedule(schedule.id, localDate(schedule)) };
+}
+
+// Create schedule
+router.post('/', authenticateToken, requireVerifiedEmail, validate({ body: createScheduleBody }), async (req, res) => {
+  try {
+    const { pickup_address, drop_address, total_seats, vehicle_type, price_per_seat, days_of_week, departure_time, start_date } = req.body;
+
+    const price_cap = priceCap(req.body);
+    if (price_per_seat > price_cap) {
+      return sendFieldErrors(res, [{ in: 'body', field: 'price_per_seat', message: `cannot exceed ₹${price_cap} for this trip` }], { price_cap });
+    }
+
+    const schedule = await schedules.create({
+      id: uuidv4(),
+      driver_id: req.user.id,
+      pickup_address,
+      pickup_latitude: req.body.pickup_latitude ?? null,
+      pickup_longitude: req.body.pickup_longitude ?? null,
+      drop_address,
+      drop_latitude: req.body.drop_latitude ?? null,
+      drop_longitude: req.body.drop_longitude ?? null,
+      stops: req.body.stops || [],
+      total_seats,
+      vehicle_type,
+      price_per_seat,
+      description: req.body.description || null,
+      booking_mode: req.body.booking_mode || 'instant',
+      days_of_week,
+      departure_time,
+      duration_minutes: req.body.duration_minutes || null,
+      utc_offset_minutes: req.body.utc_offset_minutes ?? 330,
+      start_date,
+      end_date: req.body.end_date || null,
+      skip_dates: req.body.skip_dates || []
+    });
+
+    await materializeSchedule(schedule);
+    res.status(201).json(await withOccurrences(schedule));
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({ message: 'Failed to create schedule' });
+  }
+});
+
+// Get my schedules
+router.get('/my', authenticateToken, async (req, res) => {
+  try {
+    res.json(await schedules.listByDriver(req.user.id));
+  } catch (error) {
+    console.error('Get my schedules error:', error);
+    res.status(500).json({ message: 'Failed to get schedules' });
+  }
+});
+
+// Get schedule with its upcoming occurrences
+router.get('/:id', authenticateToken, validate({ params: scheduleParams }), async (req, res) => {
+  try {
+    const schedule = await schedules.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+
+    res.json(await withOccurrences(schedule));
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({ message: 'Failed to get schedule' });
+  }
+});
+
+// Edit schedule. Upcoming occurrences without bookings are regenerated;
+// booked ones keep their original details.
+router.patch('/:id', authenticateToken, validate({ params: scheduleParams, body: updateScheduleBody }), async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+    if (schedule.status === 'cancelled') {
+      return res.status(400).json({ message: 'Schedule is cancelled' });
+    }
+
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    const startDate = changes.start_date ?? schedule.start_date;
+    const endDate = changes.end_date === undefined ? schedule.end_date : changes.end_date;
+    if (endDate && endDate < startDate) {
+      return sendFieldErrors(res, [{ in: 'body', field: 'end_date', message: 'cannot be before start_date' }]);
+    }
+    const edited = { ...schedule, ...changes };
+    const price_cap = priceCap(edited);
+    if (edited.price_per_seat > price_cap) {
+      return sendFieldErrors(res, [{ in: 'body', field: 'price_per_seat', message: `cannot exceed ₹${price_cap} for this trip` }], { price_cap });
+    }
+
+    const updated = await updateSchedule(schedule, changes);
+
+    res.json(await withOccurrences(updated));
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({ message: 'Failed to update schedule' });
+  }
+});
+
+// Pause schedule: no new occurrences, unbooked upcoming ones are withdrawn
+router.post('/:id/pause', authenticateToken, validate({ params: scheduleParams }), async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+    if (schedule.status !== 'active') {
+      return res.status(400).json({ message: 'Only active schedules can be paused' });
+    }
+
+    const updated = await updateSchedule(schedule, { status: 'paused' });
+
+    res.json(await withOccurrences(updated));
+  } catch (error) {
+    console.error('Pause schedule error:', error);
+    res.status(500).json({ message: 'Failed to pause schedule' });
+  }
+});
+
+// Resume a paused schedule
+router.post('/:id/resume', authenticateToken, validate({ params: scheduleParams }), async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+    if (schedule.status !== 'paused') {
+      return res.status(400).json({ message: 'Only paused schedules can be resumed' });
+    }
+
+    const updated = await schedules.update(schedule.id, { status: 'active' });
+    await materializeSchedule(updated);
+
+    res.json(await withOccurrences(updated));
+  } catch (error) {
+    console.error('Resume schedule error:', error);
+    res.status(500).json({ message: 'Failed to resume schedule' });
+  }
+});
+
+// Cancel a single occurrence
+router.post('/:id/occurrences/:date/cancel', authenticateToken, validate({ params: occurrenceParams, body: cancelScheduleBody }), async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+
+    const updated = await cancelOccurrence(schedule, req.params.date, req.user, req.body?.cancellation_reason);
+    res.json(await withOccurrences(updated));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Cancel occurrence error:', error);
+    res.status(500).json({ message: 'Failed to cancel occurrence' });
+  }
+});
+
+// Cancel the whole schedule
+router.delete('/:id', authenticateToken, validate({ params: scheduleParams, body: cancelScheduleBody }), async (req, res) => {
+  try {
+    const schedule = await findOwnSchedule(req, res);
+    if (!schedule) return;
+    if (schedule.status === 'cancelled') {
+      return res.status(400).json({ message: 'Schedule already cancelled' });
+    }
+
+    res.json(await cancelSchedule(schedule, req.user, req.body?.cancellation_reason));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Cancel schedule error:', error);
+    res.status(500).json({ message: 'Failed to cancel schedule' });
+  }
+});
+
+// Book every occurrence in a date range (e.g. a whole week) at once
+router.post('/:id/bookings', authenticateToken, validate({ params: scheduleParams, body: bookScheduleBody }), async (req, res) => {
+  try {
+    const { from_date, to_date, seats_booked, from_stop_order, to_stop_order } = req.body;
+
+    const schedule = await schedules.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+    if (schedule.status !== 'active') {
+      return res.status(400).json({ message: 'Schedule is not active' });
+    }
+    if (to_date > addDays(localDate(schedule), SCHEDULE_HORIZON_DAYS)) {
+      return res.status(400).json({ message: `Occurrences can only be booked up to ${SCHEDULE_HORIZON_DAYS} days ahead` });
+    }
+
+    const result = await bookOccurrences(req.user, schedule, { from_date, to_date, seats_booked, from_stop_order, to_stop_order });
+    if (result.bookings.length === 0) {
+      return res.status(400).json({ message: 'No occurrences could be booked', ...result });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Book schedule error:', error);
+    res.status(500).json({ message: 'Failed to book schedule' });
+  }
+});
+
+export default router;
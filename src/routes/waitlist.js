@@ -0,0 +1,81 @@
+import express from 'express';
+import { rides, waitlist } from '../repositories/index.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { joinWaitlistBody, rideWaitlistParams, waitlistEntryParams } from '../schemas/waitlist.js';
+import { acceptOffer, joinWaitlist, leaveWaitlist } from '../services/waitlist.js';
+import { HttpError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Join the waitlist for a full ride
+router.post('/', authenticateToken, validate({ body: joinWaitlistBody }), async (req, res) => {
+  try {
+    const { ride_id, seats_requested, from_stop_order, to_stop_order } = req.body;
+
+    const entry = await joinWaitlist(req.user, { ride_id, seats_requested, from_stop_order, to_stop_order });
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ message: 'Failed to join waitlist' });
+  }
+});
+
+// Get my waitlist entries
+router.get('/my', authenticateToken, async (req, res) => {
+  try {
+    res.json(await waitlist.listByPassenger(req.user.id));
+  } catch (error) {
+    console.error('Get my waitlist error:', error);
+    res.status(500).json({ message: 'Failed to get waitlist' });
+  }
+});
+
+// Get the waitlist for a ride, in queue order (driver)
+router.get('/ride/:rideId', authenticateToken, validate({ params: rideWaitlistParams }), async (req, res) => {
+  try {
+    const ride = await rides.findById(req.params.rideId);
+    if (!ride) {
+      return res.status(404).json({ message: 'Ride not found' });
+    }
+    if (ride.driver_id !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    res.json(await waitlist.listByRide(ride.id));
+  } catch (error) {
+    console.error('Get ride waitlist error:', error);
+    res.status(500).json({ message: 'Failed to get waitlist' });
+  }
+});
+
+// Accept a seat offer, turning it into a booking
+router.patch('/:id/accept', authenticateToken, validate({ params: waitlistEntryParams }), async (req, res) => {
+  try {
+    res.status(201).json(await acceptOffer(req.user, req.params.id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({ message: 'Failed to accept offer' });
+  }
+});
+
+// Leave the waitlist (declines an open offer)
+router.patch('/:id/cancel', authenticateToken, validate({ params: waitlistEntryParams }), async (req, res) => {
+  try {
+    res.json(await leaveWaitlist(req.user, req.params.id));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ message: 'Failed to leave waitlist' });
+  }
+});
+
+export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { payoutBody, walletTransactionsQuery } from '../schemas/wallet.js';
+import { getWallet, listWalletTransactions, requestPayout } from '../services/payments.js';
+import { HttpError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Get my wallet balance
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getWallet(req.user));
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({ message: 'Failed to get wallet' });
+  }
+});
+
+// Get my wallet transactions, newest first (?before=<next_cursor>&limit=)
+router.get('/transactions', authenticateToken, validate({ query: walletTransactionsQuery }), async (req, res) => {
+  try {
+    const { before, limit } = req.query;
+    res.json(await listWalletTransactions(req.user, { before, limit }));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get wallet transactions error:', error);
+    res.status(500).json({ message: 'Failed to get wallet transactions' });
+  }
+});
+
+// Pay out part of my wallet balance
+router.post('/payouts', authenticateToken, validate({ body: payoutBody }), async (req, res) => {
+  try {
+    res.status(201).json(await requestPayout(req.user, req.body.amount));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Payout error:', error);
+    res.status(500).json({ message: 'Failed to pay out' });
+  }
+});
+
+export default router;
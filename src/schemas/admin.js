@@ -0,0 +1,108 @@
+import { AUDIT_LOG_PAGE_SIZE, REPORTS_PAGE_SIZE, USERS_PAGE_SIZE } from '../services/moderation.js';
+import { REPORT_CATEGORIES, REPORT_STATUSES } from '../services/reports.js';
+import { MAX_PAGE_SIZE } from '../services/messages.js';
+import { dateTime, id, idParams, reason, text } from './common.js';
+
+export const ROLES = ['user', 'admin'];
+export const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+
+// Reasons are kept in the audit log, so restricting an account needs one
+const requiredReason = text(500);
+
+export const adminUserParams = idParams;
+export const adminRideParams = idParams;
+export const adminReportParams = idParams;
+
+export const searchUsersQuery = {
+  type: 'object',
+  properties: {
+    q: { type: 'string', maxLength: 100 },
+    role: { type: 'string', enum: ROLES },
+    account_status: { type: 'string', enum: ACCOUNT_STATUSES },
+    limit: { type: 'integer', minimum: 1, maximum: USERS_PAGE_SIZE * 5 },
+    offset: { type: 'integer', minimum: 0 }
+  }
+};
+
+// Without `until` the suspension lasts until the account is reinstated
+export const suspendUserBody = {
+  type: 'object',
+  required: ['reason'],
+  properties: {
+    reason: requiredReason,
+    until: { ...dateTime, 'x-future': true }
+  }
+};
+
+export const banUserBody = {
+  type: 'object',
+  required: ['reason'],
+  properties: { reason: requiredReason }
+};
+
+export const reinstateUserBody = {
+  type: 'object',
+  properties: { reason }
+};
+
+export const setRoleBody = {
+  type: 'object',
+  required: ['role'],
+  properties: { role: { type: 'string', enum: ROLES } }
+};
+
+export const cancelRideBody = {
+  type: 'object',
+  required: ['reason'],
+  properties: { reason: requiredReason }
+};
+
+export const hideRideBody = {
+  type: 'object',
+  properties: { reason }
+};
+
+export const listReportsQuery = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: REPORT_STATUSES },
+    category: { type: 'string', enum: REPORT_CATEGORIES },
+    reported_user_id: id,
+    limit: { type: 'integer', minimum: 1, maximum: REPORTS_PAGE_SIZE * 5 },
+    offset: { type: 'integer', minimum: 0 }
+  }
+};
+
+// Resolved means action was taken; dismissed means none was needed
+export const resolveReportBody = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: REPORT_STATUSES.filter(status => status !== 'open') },
+    note: reason
+  }
+};
+
+// The conversation between `user_id` and `partner_id` about a ride
+export const conversationQuery = {
+  type: 'object',
+  required: ['ride_id', 'user_id', 'partner_id'],
+  properties: {
+    ride_id: id,
+    user_id: id,
+    partner_id: id,
+    before: { type: 'string' },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }
+  }
+};
+
+export const auditLogQuery = {
+  type: 'object',
+  properties: {
+    before: { type: 'integer', minimum: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: AUDIT_LOG_PAGE_SIZE * 2 },
+    admin_id: id,
+    target_type: { type: 'string', enum: ['user', 'ride', 'report'] },
+    target_id: { type: 'string', maxLength: 100 }
+  }
+};
@@ -0,0 +1,74 @@
+import { idParams, text } from './common.js';
+
+const email = { type: 'string', format: 'email', maxLength: 254 };
+
+// bcrypt only uses the first 72 bytes
+const newPassword = { type: 'string', minLength: 8, maxLength: 72 };
+
+const phoneNumber = { type: 'string', format: 'phone' };
+
+export const registerBody = {
+  type: 'object',
+  required: ['email', 'password', 'name', 'username'],
+  properties: {
+    email,
+    password: newPassword,
+    name: text(100),
+    username: { type: 'string', pattern: '^[A-Za-z0-9_.]{1,30}$', errorMessage: 'must be up to 30 letters, digits, dots or underscores' },
+    phone_number: phoneNumber
+  }
+};
+
+export const loginBody = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: { email: text(254), password: text(200) }
+};
+
+export const refreshBody = {
+  type: 'object',
+  required: ['refresh_token'],
+  properties: { refresh_token: text(200) }
+};
+
+export const sessionParams = idParams;
+
+export const changePasswordBody = {
+  type: 'object',
+  required: ['current_password', 'new_password'],
+  properties: { current_password: text(200), new_password: newPassword }
+};
+
+export const verifyEmailBody = {
+  type: 'object',
+  required: ['token'],
+  properties: { token: text(2000) }
+};
+
+export const forgotPasswordBody = {
+  type: 'object',
+  required: ['email'],
+  properties: { email }
+};
+
+export const resetPasswordBody = {
+  type: 'object',
+  required: ['token', 'password'],
+  properties: { token: text(2000), password: newPassword }
+};
+
+export const requestPhoneCodeBody = {
+  type: 'object',
+  properties: { phone_number: phoneNumber }
+};
+
+export const verifyPhoneBody = {
+  type: 'object',
+  required: ['code'],
+  properties: { code: { type: 'string', pattern: '^\\d{6}$', errorMessage: 'must be the 6-digit code' } }
+};
+
+export const updateProfileBody = {
+  type: 'object',
+  properties: { name: text(100), phone_number: phoneNumber }
+};
@@ -0,0 +1,9 @@
+import { id } from './common.js';
+
+export const blockUserBody = {
+  type: 'object',
+  required: ['user_id'],
+  properties: { user_id: id }
+};
+
+export const blockedUserParams = { type: 'object', required: ['userId'], properties: { userId: id } };
@@ -0,0 +1,21 @@
+import { id, idParams, reason, seats, stopOrder } from './common.js';
+
+export const createBookingBody = {
+  type: 'object',
+  required: ['ride_id', 'seats_booked'],
+  properties: {
+    ride_id: id,
+    seats_booked: seats,
+    from_stop_order: stopOrder,
+    to_stop_order: { ...stopOrder, minimum: 1 }
+  }
+};
+
+export const bookingParams = idParams;
+
+export const rideBookingsParams = { type: 'object', required: ['rideId'], properties: { rideId: id } };
+
+export const rejectBookingBody = {
+  type: 'object',
+  properties: { reason }
+};
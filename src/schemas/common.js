@@ -0,0 +1,50 @@
+// Building blocks shared by the request schemas (see utils/validation.js)
+
+export const VEHICLE_TYPES = ['bike', 'car', 'cab', 'suv'];
+export const BOOKING_MODES = ['instant', 'request'];
+export const MAX_SEATS = 8;
+
+export const id = { type: 'string', format: 'uuid' };
+export const dateTime = { type: 'string', format: 'date-time' };
+export const date = { type: 'string', format: 'date' };
+export const time = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', errorMessage: 'must be HH:MM' };
+export const text = maxLength => ({ type: 'string', minLength: 1, maxLength });
+export const optionalText = maxLength => ({ type: ['string', 'null'], maxLength });
+
+export const latitude = { type: 'number', minimum: -90, maximum: 90 };
+export const longitude = { type: 'number', minimum: -180, maximum: 180 };
+export const nullable = schema => ({ ...schema, type: [].concat(schema.type, 'null') });
+
+export const seats = { type: 'integer', minimum: 1, maximum: MAX_SEATS };
+export const price = { type: 'number', exclusiveMinimum: 0, multipleOf: 0.01 };
+export const stopOrder = { type: 'integer', minimum: 0 };
+export const vehicleType = { type: 'string', enum: VEHICLE_TYPES };
+export const bookingMode = { type: 'string', enum: BOOKING_MODES };
+
+// Minutes east of UTC, e.g. 330 for India
+export const utcOffsetMinutes = { type: 'integer', minimum: -14 * 60, maximum: 14 * 60 };
+
+// Radius around search coordinates, in kilometres
+export const radiusKm = { type: 'number', exclusiveMinimum: 0, maximum: 100 };
+
+export const reason = optionalText(500);
+
+// Intermediate stops of a ride or schedule, between pickup and drop
+export const stops = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['address'],
+    properties: {
+      address: text(300),
+      latitude: nullable(latitude),
+      longitude: nullable(longitude),
+      arrival_time: nullable(dateTime)
+    }
+  }
+};
+
+export const idParams = { type: 'object', required: ['id'], properties: { id } };
+
+// Schema for a partial update: the same fields, none of them required
+export const partial = ({ required, ...schema }) => schema;
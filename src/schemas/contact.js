@@ -0,0 +1,14 @@
+import { text } from './common.js';
+
+export const contactBody = {
+  type: 'object',
+  required: ['name', 'email', 'subject', 'message'],
+  properties: {
+    name: text(100),
+    email: { type: 'string', format: 'email', maxLength: 254 },
+    subject: text(200),
+    message: text(5000),
+    // Honeypot, see routes/contact.js
+    website: { type: 'string' }
+  }
+};
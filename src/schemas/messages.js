@@ -0,0 +1,76 @@
+import { MAX_PAGE_SIZE } from '../services/messages.js';
+import { id, idParams, latitude, longitude, optionalText, text } from './common.js';
+
+// Event ids the client has already seen
+const eventCursor = { type: 'integer', minimum: 0 };
+
+export const streamQuery = {
+  type: 'object',
+  properties: { since: eventCursor, access_token: { type: 'string' } }
+};
+
+export const updatesQuery = {
+  type: 'object',
+  properties: { since: eventCursor }
+};
+
+export const conversationQuery = {
+  type: 'object',
+  properties: {
+    before: { type: 'string' },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE }
+  }
+};
+
+export const messagesWithParams = {
+  type: 'object',
+  required: ['partnerId'],
+  properties: { partnerId: id, rideId: id }
+};
+
+export const messageParams = idParams;
+
+// A text message, or a location pin (message_type "location"). Images are
+// sent as multipart to POST /api/messages/image.
+export const sendMessageBody = {
+  type: 'object',
+  required: ['receiver_id', 'ride_id'],
+  properties: {
+    receiver_id: id,
+    ride_id: id,
+    message: text(2000),
+    message_type: { type: 'string', enum: ['text', 'location', 'image'] },
+    location: {
+      type: 'object',
+      required: ['latitude', 'longitude'],
+      properties: { latitude, longitude, label: optionalText(200) }
+    }
+  },
+  if: { type: 'object', required: ['message_type'], properties: { message_type: { const: 'location' } } },
+  then: { required: ['location'] },
+  else: {
+    if: { type: 'object', required: ['message_type'], properties: { message_type: { const: 'image' } } },
+    else: { required: ['message'] }
+  }
+};
+
+// Multipart fields sent along with the image
+export const sendImageBody = {
+  type: 'object',
+  required: ['receiver_id', 'ride_id'],
+  properties: {
+    receiver_id: id,
+    ride_id: id,
+    caption: optionalText(2000)
+  }
+};
+
+export const typingBody = {
+  type: 'object',
+  required: ['receiver_id', 'ride_id'],
+  properties: {
+    receiver_id: id,
+    ride_id: id,
+    is_typing: { type: 'boolean' }
+  }
+};
@@ -0,0 +1,17 @@
+import { REPORT_CATEGORIES } from '../services/reports.js';
+import { id, text } from './common.js';
+
+// A report is about a user, a ride (its driver unless user_id says
+// otherwise) or a message the reporter received (its sender); one of the
+// ids is required and message_id takes precedence
+export const createReportBody = {
+  type: 'object',
+  required: ['category', 'description'],
+  properties: {
+    user_id: id,
+    ride_id: id,
+    message_id: id,
+    category: { type: 'string', enum: REPORT_CATEGORIES },
+    description: text(2000)
+  }
+};
@@ -0,0 +1,15 @@
+import { REVIEW_TAGS } from '../services/reviews.js';
+import { id, optionalText } from './common.js';
+
+export const createReviewBody = {
+  type: 'object',
+  required: ['booking_id', 'rating'],
+  properties: {
+    booking_id: id,
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    comment: optionalText(1000),
+    tags: { type: 'array', uniqueItems: true, items: { type: 'string', enum: REVIEW_TAGS } }
+  }
+};
+
+export const userReviewsParams = { type: 'object', required: ['userId'], properties: { userId: id } };
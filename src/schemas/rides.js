@@ -0,0 +1,91 @@
+import { RIDE_TRANSITIONS } from '../services/rides.js';
+import {
+  MAX_SEATS, bookingMode, dateTime, idParams, latitude, longitude, nullable, optionalText, price, radiusKm, reason, seats, stops, text, vehicleType
+} from './common.js';
+
+// Coordinates of a search point in a query string, read by
+// parseSearchPoint()
+const searchPoint = prefix => ({
+  [`${prefix}_latitude`]: latitude,
+  [`${prefix}_longitude`]: longitude,
+  [`${prefix}_radius_km`]: radiusKm
+});
+
+const searchPointDependencies = prefix => ({
+  [`${prefix}_latitude`]: [`${prefix}_longitude`],
+  [`${prefix}_longitude`]: [`${prefix}_latitude`],
+  [`${prefix}_radius_km`]: [`${prefix}_latitude`, `${prefix}_longitude`]
+});
+
+export const searchRidesQuery = {
+  type: 'object',
+  properties: {
+    pickup_location: { type: 'string' },
+    drop_location: { type: 'string' },
+    vehicle_type: vehicleType,
+    seats_needed: { type: 'integer', minimum: 1, maximum: MAX_SEATS },
+    ...searchPoint('pickup'),
+    ...searchPoint('drop')
+  },
+  dependentRequired: { ...searchPointDependencies('pickup'), ...searchPointDependencies('drop') }
+};
+
+export const fareEstimateQuery = {
+  type: 'object',
+  required: ['pickup_latitude', 'pickup_longitude', 'drop_latitude', 'drop_longitude', 'vehicle_type', 'seats'],
+  properties: {
+    pickup_latitude: latitude,
+    pickup_longitude: longitude,
+    drop_latitude: latitude,
+    drop_longitude: longitude,
+    vehicle_type: vehicleType,
+    seats
+  }
+};
+
+export const rideParams = idParams;
+
+export const createRideBody = {
+  type: 'object',
+  required: ['pickup_address', 'drop_address', 'pickup_time', 'total_seats', 'vehicle_type', 'price_per_seat'],
+  properties: {
+    pickup_address: text(300),
+    drop_address: text(300),
+    pickup_time: { ...dateTime, 'x-future': true },
+    expected_drop_time: { ...nullable(dateTime), 'x-minimum-field': 'pickup_time' },
+    total_seats: seats,
+    available_seats: { ...seats, 'x-maximum-field': 'total_seats' },
+    vehicle_type: vehicleType,
+    price_per_seat: price,
+    description: optionalText(1000),
+    pickup_latitude: nullable(latitude),
+    pickup_longitude: nullable(longitude),
+    drop_latitude: nullable(latitude),
+    drop_longitude: nullable(longitude),
+    stops,
+    booking_mode: bookingMode
+  }
+};
+
+export const rideStatusBody = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: [...new Set(Object.values(RIDE_TRANSITIONS).flat())] },
+    cancellation_reason: reason
+  }
+};
+
+// A GPS ping from the driver's app
+export const locationPingBody = {
+  type: 'object',
+  required: ['latitude', 'longitude'],
+  properties: {
+    latitude,
+    longitude,
+    heading: { type: ['number', 'null'], minimum: 0, exclusiveMaximum: 360 },
+    speed_kmh: { type: ['number', 'null'], minimum: 0 },
+    accuracy_m: { type: ['number', 'null'], minimum: 0 },
+    recorded_at: dateTime
+  }
+};
@@ -0,0 +1,38 @@
+import { id, idParams, latitude, longitude, optionalText, partial, text } from './common.js';
+
+export const emergencyContactParams = idParams;
+export const tripShareParams = idParams;
+export const shareRideParams = idParams;
+
+export const sharedTripParams = {
+  type: 'object',
+  required: ['token'],
+  properties: { token: { type: 'string', pattern: '^[A-Za-z0-9_-]{32}$', errorMessage: 'is not a valid trip link' } }
+};
+
+// SOS alerts go out by email, so every contact needs an address
+export const emergencyContactBody = {
+  type: 'object',
+  required: ['name', 'email'],
+  properties: {
+    name: text(100),
+    email: { type: 'string', format: 'email', maxLength: 254 },
+    phone_number: { type: ['string', 'null'], format: 'phone' },
+    relationship: optionalText(50)
+  }
+};
+
+export const updateEmergencyContactBody = partial(emergencyContactBody);
+
+// The device's location when it has one; otherwise the driver's last ping
+// on `ride_id` is used
+export const sosBody = {
+  type: 'object',
+  properties: {
+    ride_id: id,
+    latitude,
+    longitude,
+    message: optionalText(500)
+  },
+  dependentRequired: { latitude: ['longitude'], longitude: ['latitude'] }
+};
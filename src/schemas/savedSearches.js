@@ -0,0 +1,26 @@
+import { idParams, latitude, longitude, nullable, optionalText, radiusKm, time, utcOffsetMinutes, vehicleType } from './common.js';
+
+// Every field may be null; which combinations make a usable search is
+// checked by the route
+export const savedSearchBody = {
+  type: 'object',
+  properties: {
+    name: optionalText(100),
+    pickup_location: optionalText(300),
+    pickup_latitude: nullable(latitude),
+    pickup_longitude: nullable(longitude),
+    pickup_radius_km: nullable(radiusKm),
+    drop_location: optionalText(300),
+    drop_latitude: nullable(latitude),
+    drop_longitude: nullable(longitude),
+    drop_radius_km: nullable(radiusKm),
+    vehicle_type: nullable(vehicleType),
+    seats_needed: { type: ['integer', 'null'], minimum: 1 },
+    earliest_time: nullable(time),
+    latest_time: nullable(time),
+    utc_offset_minutes: nullable(utcOffsetMinutes),
+    alerts_enabled: { type: ['boolean', 'null'] }
+  }
+};
+
+export const savedSearchParams = idParams;
@@ -0,0 +1,58 @@
+import {
+  bookingMode, date, id, idParams, latitude, longitude, nullable, optionalText, partial, price, reason, seats, stopOrder, stops, text, time, utcOffsetMinutes, vehicleType
+} from './common.js';
+
+export const createScheduleBody = {
+  type: 'object',
+  required: ['pickup_address', 'drop_address', 'total_seats', 'vehicle_type', 'price_per_seat', 'days_of_week', 'departure_time', 'start_date'],
+  properties: {
+    pickup_address: text(300),
+    pickup_latitude: nullable(latitude),
+    pickup_longitude: nullable(longitude),
+    drop_address: text(300),
+    drop_latitude: nullable(latitude),
+    drop_longitude: nullable(longitude),
+    stops,
+    total_seats: seats,
+    vehicle_type: vehicleType,
+    price_per_seat: price,
+    description: optionalText(1000),
+    booking_mode: bookingMode,
+    // 0 = Sunday … 6 = Saturday
+    days_of_week: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'integer', minimum: 0, maximum: 6 } },
+    departure_time: time,
+    duration_minutes: { type: ['integer', 'null'], minimum: 1, maximum: 24 * 60 },
+    utc_offset_minutes: utcOffsetMinutes,
+    start_date: date,
+    end_date: { ...nullable(date), 'x-minimum-field': 'start_date' },
+    skip_dates: { type: 'array', items: date }
+  }
+};
+
+// end_date is checked against the stored start_date by the route
+export const updateScheduleBody = partial(createScheduleBody);
+
+export const scheduleParams = idParams;
+
+export const occurrenceParams = {
+  type: 'object',
+  required: ['id', 'date'],
+  properties: { id, date }
+};
+
+export const cancelScheduleBody = {
+  type: 'object',
+  properties: { cancellation_reason: reason }
+};
+
+export const bookScheduleBody = {
+  type: 'object',
+  required: ['from_date', 'to_date', 'seats_booked'],
+  properties: {
+    from_date: date,
+    to_date: { ...date, 'x-minimum-field': 'from_date' },
+    seats_booked: seats,
+    from_stop_order: stopOrder,
+    to_stop_order: { ...stopOrder, minimum: 1 }
+  }
+};
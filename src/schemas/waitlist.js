@@ -0,0 +1,16 @@
+import { id, idParams, seats, stopOrder } from './common.js';
+
+export const joinWaitlistBody = {
+  type: 'object',
+  required: ['ride_id', 'seats_requested'],
+  properties: {
+    ride_id: id,
+    seats_requested: seats,
+    from_stop_order: stopOrder,
+    to_stop_order: { ...stopOrder, minimum: 1 }
+  }
+};
+
+export const waitlistEntryParams = idParams;
+
+export const rideWaitlistParams = { type: 'object', required: ['rideId'], properties: { rideId: id } };
@@ -0,0 +1,15 @@
+export const walletTransactionsQuery = {
+  type: 'object',
+  properties: {
+    before: { type: 'integer', minimum: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: 100 }
+  }
+};
+
+export const payoutBody = {
+  type: 'object',
+  required: ['amount'],
+  properties: {
+    amount: { type: 'number', minimum: 1, multipleOf: 0.01, errorMessage: 'must be at least ₹1 with at most two decimals' }
+  }
+};
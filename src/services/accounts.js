@@ -0,0 +1,112 @@
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { users, authTokens } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+import { APP_URL, escapeHtml } from '../utils/format.js';
+import { emailLayout, sendMail, sender } from './mailer.js';
+import { endAllSessions } from './sessions.js';
+
+export const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24');
+export const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30');
+
+const TTL_SECONDS = {
+  email_verification: EMAIL_VERIFICATION_TTL_HOURS * 60 * 60,
+  password_reset: PASSWORD_RESET_TTL_MINUTES * 60
+};
+
+// Link tokens are signed with a key derived per purpose, so they can never
+// pass as access tokens or as each other
+const signingKey = purpose => `${process.env.JWT_SECRET}:${purpose}`;
+
+// Signs a single-use link token for `purpose`, retiring the user's earlier
+// links for it
+async function issueToken(user, purpose) {
+  const id = uuidv4();
+  const expiresAt = new Date(Date.now() + TTL_SECONDS[purpose] * 1000);
+
+  await authTokens.revokeOutstanding(user.id, purpose);
+  await authTokens.create({ id, user_id: user.id, purpose, expires_at: expiresAt.toISOString() });
+  return jwt.sign({ sub: user.id }, signingKey(purpose), { jwtid: id, expiresIn: TTL_SECONDS[purpose] });
+}
+
+// Checks a link token's signature and uses it up. Returns the user id.
+async function redeemToken(token, purpose) {
+  let claims;
+  try {
+    claims = jwt.verify(String(token), signingKey(purpose));
+  } catch {
+    throw new HttpError(400, 'Invalid or expired link');
+  }
+
+  const stored = await authTokens.consume(claims.jti, purpose);
+  if (!stored || stored.user_id !== claims.sub) {
+    throw new HttpError(400, 'This link has already been used or has expired');
+  }
+  return claims.sub;
+}
+
+export async function sendVerificationEmail(user) {
+  if (user.is_verified) {
+    throw new HttpError(400, 'Email is already verified');
+  }
+
+  const link = `${APP_URL}/verify-email?token=${await issueToken(user, 'email_verification')}`;
+  await sendMail({
+    from: sender('Poolo'),
+    to: user.email,
+    subject: 'Verify your Poolo email',
+    html: emailLayout('Verify your email', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>Please confirm this is your email address to finish setting up your Poolo account.</p>
+      <p><a href="${link}" style="display: inline-block; background: #10B981; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Verify email</a></p>
+      <p style="color: #6b7280;">The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>
+    `),
+    text: `Hi ${user.name},\n\nPlease confirm your email address for Poolo:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
+}
+
+export async function verifyEmail(token) {
+  const userId = await redeemToken(token, 'email_verification');
+  await users.markEmailVerified(userId);
+  return users.getProfile(userId);
+}
+
+// Emails a reset link when an account uses `email`. Says nothing either way
+// so the endpoint cannot be used to find out who has an account.
+export async function requestPasswordReset(email) {
+  const user = await users.findByEmail(email);
+  if (!user) return;
+
+  const link = `${APP_URL}/reset-password?token=${await issueToken(user, 'password_reset')}`;
+  await sendMail({
+    from: sender('Poolo'),
+    to: user.email,
+    subject: 'Reset your Poolo password',
+    html: emailLayout('Reset your password', `
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>We received a request to reset your Poolo password.</p>
+      <p><a href="${link}" style="display: inline-block; background: #10B981; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Choose a new password</a></p>
+      <p style="color: #6b7280;">The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for it, you can ignore this email.</p>
+    `),
+    text: `Hi ${user.name},\n\nReset your Poolo password here:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for it, you can ignore this email.`
+  });
+}
+
+// Sets a new password from a reset link and signs the account out
+// everywhere
+export async function resetPassword(token, password) {
+  const userId = await redeemToken(token, 'password_reset');
+  await users.updatePassword(userId, await bcrypt.hash(password, 10));
+  await endAllSessions(userId, 'password_changed');
+}
+
+// Changes the password of a signed-in user and signs out their other
+// devices
+export async function changePassword(user, currentPassword, newPassword, currentSessionId) {
+  if (!await bcrypt.compare(currentPassword, user.password)) {
+    throw new HttpError(400, 'Current password is incorrect');
+  }
+  await users.updatePassword(user.id, await bcrypt.hash(newPassword, 10));
+  await endAllSessions(user.id, 'password_changed', currentSessionId);
+}
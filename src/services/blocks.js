@@ -0,0 +1,37 @@
+import { users, blocks } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+
+// Blocks work both ways: neither user can message the other, book the
+// other's rides or see them in listings and search
+
+export async function blockUser(user, blockedId) {
+  if (blockedId === user.id) {
+    throw new HttpError(400, 'You cannot block yourself');
+  }
+  if (!await users.findById(blockedId)) {
+    throw new HttpError(404, 'User not found');
+  }
+  await blocks.create(user.id, blockedId);
+}
+
+export async function unblockUser(user, blockedId) {
+  if (!await blocks.remove(user.id, blockedId)) {
+    throw new HttpError(404, 'User is not blocked');
+  }
+}
+
+export async function listBlockedUsers(user) {
+  return blocks.listByBlocker(user.id);
+}
+
+// Ids of the users whose rides `userId` must not see
+export async function blockedUserIds(userId) {
+  return blocks.listRelatedIds(userId);
+}
+
+// Rejects an interaction between two users when either blocked the other
+export async function assertNotBlocked(userId, otherId, message) {
+  if (await blocks.existsBetween(userId, otherId)) {
+    throw new HttpError(403, message);
+  }
+}
@@ -0,0 +1,259 @@
+import { v4 as uuidv4 } from 'uuid';
+import { rides, bookings } from '../repositories/index.js';
+import { HttpError, ReservationError } from '../utils/errors.js';
+import { formatPickupTime } from '../utils/format.js';
+import { describeSegment, lastStopOrder } from '../utils/stops.js';
+import { assertNotBlocked } from './blocks.js';
+import { sendMessage } from './messages.js';
+import { refundPercent } from './cancellationPolicy.js';
+import { chargeBooking, refundBooking, releaseToDriver } from './payments.js';
+import { offerFreedSeats } from './waitlist.js';
+
+// How long a driver has to answer a booking request on a "request to book" ride
+export const BOOKING_REQUEST_TTL_MINUTES = parseInt(process.env.BOOKING_REQUEST_TTL_MINUTES || '120');
+
+// Ride and segment of an existing booking. Bookings made before multi-stop
+// rides cover the whole route.
+export async function loadBookingSegment(booking) {
+  const ride = await rides.findById(booking.ride_id);
+  const stops = await rides.listStops(booking.ride_id);
+  const from = booking.from_stop_order ?? 0;
+  const to = booking.to_stop_order ?? lastStopOrder(stops);
+  return { ride, segment: describeSegment(ride, stops, from, to) };
+}
+
+// Validates the stops a passenger asked to travel between (the whole route
+// by default) and returns them as { from, to }
+export function requestedSegment(stops, from_stop_order, to_stop_order) {
+  const from = from_stop_order ?? 0;
+  const to = to_stop_order ?? lastStopOrder(stops);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to > lastStopOrder(stops) || from >= to) {
+    throw new HttpError(400, 'Invalid from_stop_order/to_stop_order for this ride');
+  }
+  return { from, to };
+}
+
+// Status, price and request expiry of a new booking for `seats` seats on a
+// ride segment. On "request to book" rides the booking starts as pending.
+export function bookingTerms(ride, segment, seats) {
+  const isRequest = ride.booking_mode === 'request';
+  return {
+    booking_status: isRequest ? 'pending' : 'confirmed',
+    total_price: segment.price_per_seat * seats,
+    expires_at: isRequest
+      ? new Date(Math.min(Date.now() + BOOKING_REQUEST_TTL_MINUTES * 60 * 1000, new Date(segment.pickup_time).getTime())).toISOString()
+      : null
+  };
+}
+
+async function notify(ride_id, sender_id, receiver_id, message) {
+  try {
+    await sendMessage({ ride_id, sender_id, receiver_id, message });
+  } catch (msgError) {
+    console.warn('Failed to send booking notification:', msgError);
+  }
+}
+
+// Books `seats_booked` seats on a ride for `passenger`, optionally on the
+// sub-segment between two stops (the whole route by default), and notifies
+// the driver. On "request to book" rides the booking starts as pending and
+// holds its seats until the driver answers or the request expires.
+export async function createBooking(passenger, { ride_id, seats_booked, from_stop_order, to_stop_order }) {
+  const ride = await rides.findById(ride_id);
+  // Hidden rides cannot be booked
+  if (!ride || ride.hidden_at) {
+    throw new HttpError(404, 'Ride not found');
+  }
+  if (ride.driver_id === passenger.id) {
+    throw new HttpError(400, 'Cannot book your own ride');
+  }
+  await assertNotBlocked(passenger.id, ride.driver_id, 'You cannot book this ride');
+
+  const stops = await rides.listStops(ride_id);
+  const { from, to } = requestedSegment(stops, from_stop_order, to_stop_order);
+  const segment = describeSegment(ride, stops, from, to);
+
+  let booking;
+  try {
+    booking = await bookings.reserve({
+      id: uuidv4(),
+      ride_id,
+      passenger_id: passenger.id,
+      seats_booked,
+      ...bookingTerms(ride, segment, seats_booked),
+      from_stop_order: from,
+      to_stop_order: to
+    });
+  } catch (error) {
+    if (error instanceof ReservationError) {
+      throw new HttpError(400, error.message);
+    }
+    throw error;
+  }
+
+  await payForBooking(booking);
+  await notifyNewBooking(passenger, ride, segment, booking);
+
+  return booking;
+}
+
+// Takes payment for a new booking. When it fails the booking is cancelled
+// and its seats go to the waitlist.
+export async function payForBooking(booking) {
+  try {
+    await chargeBooking(booking);
+  } catch (error) {
+    await bookings.transitionStatus(booking.id, {
+      from: ['pending', 'confirmed'],
+      to: 'cancelled',
+      reason: 'payment_failed',
+      releaseSeats: true
+    });
+    await offerFreedSeats(booking.ride_id);
+    throw error;
+  }
+}
+
+// Tells the driver about a new booking, or asks them to answer a request
+export async function notifyNewBooking(passenger, ride, segment, booking) {
+  const { formattedDate, formattedTime } = formatPickupTime(segment.pickup_time);
+  const isRequest = booking.booking_status === 'pending';
+  const expiry = isRequest && formatPickupTime(booking.expires_at);
+  const messageText = isRequest
+    ? `📩 Booking Request\n\n${passenger.name || 'A passenger'} has requested ${booking.seats_booked} seat(s) on your ride.\n\n📍 Route: ${segment.pickup_address} → ${segment.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}\n💰 Total: ₹${booking.total_price}\n\nPlease approve or reject the request by ${expiry.formattedDate} at ${expiry.formattedTime}, otherwise it will expire.`
+    : `🎉 New Booking!\n\n${passenger.name || 'A passenger'} has booked ${booking.seats_booked} seat(s) for your ride.\n\n📍 Route: ${segment.pickup_address} → ${segment.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}\n💰 Total: ₹${booking.total_price}\n\nPlease confirm the pickup details with your passenger.`;
+
+  await notify(booking.ride_id, passenger.id, ride.driver_id, messageText);
+}
+
+// Cancels a passenger's own booking, releases its seats and tells the driver.
+// Confirmed bookings are refunded according to the cancellation policy and
+// the driver keeps the rest; unanswered requests are refunded in full.
+export async function cancelBooking(passenger, bookingId) {
+  const booking = await bookings.findById(bookingId);
+  if (!booking) {
+    throw new HttpError(404, 'Booking not found');
+  }
+  if (booking.passenger_id !== passenger.id) {
+    throw new HttpError(403, 'Not authorized');
+  }
+  if (booking.booking_status === 'cancelled') {
+    throw new HttpError(400, 'Booking already cancelled');
+  }
+  if (booking.booking_status === 'completed') {
+    throw new HttpError(400, 'Completed bookings cannot be cancelled');
+  }
+
+  const { ride, segment } = await loadBookingSegment(booking);
+  const percent = booking.booking_status === 'confirmed' ? refundPercent(segment.pickup_time) : 100;
+
+  const updated = await bookings.transitionStatus(booking.id, {
+    from: ['pending', 'confirmed'],
+    to: 'cancelled',
+    releaseSeats: true
+  });
+  if (!updated) {
+    throw new HttpError(409, 'Booking can no longer be cancelled');
+  }
+  const refund = await refundBooking(booking, Math.round(booking.total_price * percent) / 100);
+  const fee = await releaseToDriver(booking, ride.driver_id, 'Cancellation fee');
+
+  // Send cancellation notification to driver
+  const { formattedDate, formattedTime } = formatPickupTime(segment.pickup_time);
+  let messageText = `🚫 Booking Cancelled\n\n${passenger.name || 'A passenger'} has cancelled their booking.\n\n📍 Route: ${segment.pickup_address} → ${segment.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}\n🪑 Seats cancelled: ${booking.seats_booked}\n💰 Refund: ₹${refund} (${percent}%)`;
+  if (fee > 0) {
+    messageText += `\n💵 Cancellation fee paid to you: ₹${fee}`;
+  }
+  const { available_seats } = await rides.findById(ride.id);
+  messageText += `\n\nYour ride now has ${available_seats} seats available.`;
+
+  await notify(booking.ride_id, passenger.id, ride.driver_id, messageText);
+  await offerFreedSeats(booking.ride_id);
+
+  return bookings.findById(booking.id);
+}
+
+// Loads a pending booking on one of `driver`'s rides
+async function findPendingRequest(driver, bookingId) {
+  const booking = await bookings.findById(bookingId);
+  if (!booking) {
+    throw new HttpError(404, 'Booking not found');
+  }
+
+  const context = await loadBookingSegment(booking);
+  if (context.ride.driver_id !== driver.id) {
+    throw new HttpError(403, 'Not authorized');
+  }
+  if (booking.booking_status !== 'pending') {
+    throw new HttpError(409, `Booking is already ${booking.booking_status}`);
+  }
+  return { booking, ...context };
+}
+
+export async function approveBooking(driver, bookingId) {
+  const { booking, segment } = await findPendingRequest(driver, bookingId);
+  if (booking.expires_at && new Date(booking.expires_at) <= new Date()) {
+    throw new HttpError(409, 'Booking request has expired');
+  }
+  await assertNotBlocked(driver.id, booking.passenger_id, 'You cannot approve a booking from this user');
+
+  const updated = await bookings.transitionStatus(booking.id, { from: ['pending'], to: 'confirmed' });
+  if (!updated) {
+    throw new HttpError(409, 'Booking request is no longer pending');
+  }
+
+  const { formattedDate, formattedTime } = formatPickupTime(segment.pickup_time);
+  await notify(booking.ride_id, driver.id, booking.passenger_id,
+    `✅ Booking Approved\n\n${driver.name || 'The driver'} has approved your booking request.\n\n📍 Route: ${segment.pickup_address} → ${segment.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}\n🪑 Seats: ${booking.seats_booked}\n💰 Total: ₹${booking.total_price}`);
+
+  return updated;
+}
+
+export async function rejectBooking(driver, bookingId, reason) {
+  const { booking, segment } = await findPendingRequest(driver, bookingId);
+
+  const updated = await bookings.transitionStatus(booking.id, {
+    from: ['pending'],
+    to: 'cancelled',
+    reason: 'rejected',
+    releaseSeats: true
+  });
+  if (!updated) {
+    throw new HttpError(409, 'Booking request is no longer pending');
+  }
+  const refund = await refundBooking(booking);
+
+  const { formattedDate, formattedTime } = formatPickupTime(segment.pickup_time);
+  let messageText = `❌ Booking Request Declined\n\n${driver.name || 'The driver'} could not accept your booking request.\n\n📍 Route: ${segment.pickup_address} → ${segment.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}\n💰 Refund: ₹${refund} (added to your wallet)`;
+  if (reason) {
+    messageText += `\n\nReason: ${reason}`;
+  }
+  messageText += `\n\nPlease search for alternative rides.`;
+  await notify(booking.ride_id, driver.id, booking.passenger_id, messageText);
+  await offerFreedSeats(booking.ride_id);
+
+  return updated;
+}
+
+// Background job: requests the driver did not answer in time are cancelled
+// and their seats released.
+export async function expirePendingBookings() {
+  for (const booking of await bookings.listExpiredPending(new Date().toISOString())) {
+    const expired = await bookings.transitionStatus(booking.id, {
+      from: ['pending'],
+      to: 'cancelled',
+      reason: 'expired',
+      releaseSeats: true
+    });
+    // Approved or cancelled in the meantime
+    if (!expired) continue;
+
+    const refund = await refundBooking(booking);
+    const { ride, segment } = await loadBookingSegment(booking);
+
+    const { formattedDate, formattedTime } = formatPickupTime(segment.pickup_time);
+    await notify(booking.ride_id, ride.driver_id, booking.passenger_id,
+      `⌛ Booking Request Expired\n\nThe driver did not respond to your booking request in time, so it has expired.\n\n📍 Route: ${segment.pickup_address} → ${segment.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}\n💰 Refund: ₹${refund} (added to your wallet)\n\nPlease search for alternative rides.`);
+    await offerFreedSeats(booking.ride_id);
+  }
+}
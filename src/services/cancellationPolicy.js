@@ -0,0 +1,35 @@
+// Share of a confirmed booking refunded when the passenger cancels, by how
+// long before pickup they cancel. CANCELLATION_REFUND_TIERS lists
+// "<hours before pickup>:<percent refunded>" pairs; the first tier whose
+// hours have not yet been reached applies, and nothing is refunded after
+// pickup. The default refunds everything up to 24h before pickup, 75% up to
+// 2h before and 50% after that.
+export const CANCELLATION_REFUND_TIERS = parseTiers(process.env.CANCELLATION_REFUND_TIERS || '24:100,2:75,0:50');
+
+function parseTiers(value) {
+  const tiers = value.split(',').map(tier => {
+    const [hours, percent] = tier.split(':').map(Number);
+    if (!(hours >= 0) || !(percent >= 0 && percent <= 100)) {
+      throw new Error(`Invalid CANCELLATION_REFUND_TIERS entry "${tier}"`);
+    }
+    return { hours_before_pickup: hours, refund_percent: percent };
+  });
+  return tiers.sort((a, b) => b.hours_before_pickup - a.hours_before_pickup);
+}
+
+const hoursUntil = time => (new Date(time).getTime() - Date.now()) / (60 * 60 * 1000);
+
+// Percentage of the price refunded for a confirmed booking cancelled now
+export function refundPercent(pickupTime) {
+  const hoursLeft = hoursUntil(pickupTime);
+  if (hoursLeft < 0) return 0;
+
+  const tier = CANCELLATION_REFUND_TIERS.find(t => hoursLeft >= t.hours_before_pickup);
+  return tier ? tier.refund_percent : 0;
+}
+
+// A cancellation is late once the passenger would no longer get a full
+// refund. Drivers cancelling a booked ride this late get a penalty.
+export function isLateCancellation(pickupTime) {
+  return refundPercent(pickupTime) < 100;
+}
@@ -0,0 +1,66 @@
+import { haversineKm } from '../utils/geo.js';
+
+// Roads are longer than the straight line between pickup and drop
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+// How far either side of the suggestion the suggested range reaches
+const SUGGESTED_RANGE = 0.2;
+
+// Per-vehicle fare tables, all amounts in rupees:
+//   cost_per_km      running cost of the vehicle, shared between the driver
+//                    and every seat offered
+//   max_per_seat_km  platform cap on what one seat may cost per km
+//   min_fare         floor for short trips (also the cap's floor)
+//   flat_cap         cap on a seat when the trip distance is unknown
+//                    because the ride has no coordinates
+// FARE_TABLES (JSON) overrides any of these per vehicle type, e.g.
+// {"car":{"cost_per_km":9},"suv":{"max_per_seat_km":7}}
+const DEFAULT_FARE_TABLES = {
+  bike: { cost_per_km: 3, max_per_seat_km: 3, min_fare: 20, flat_cap: 150 },
+  car: { cost_per_km: 8, max_per_seat_km: 5, min_fare: 50, flat_cap: 500 },
+  cab: { cost_per_km: 11, max_per_seat_km: 6, min_fare: 60, flat_cap: 600 },
+  suv: { cost_per_km: 13, max_per_seat_km: 6, min_fare: 80, flat_cap: 800 }
+};
+
+export const FARE_TABLES = mergeFareTables(process.env.FARE_TABLES);
+
+function mergeFareTables(json) {
+  const overrides = json ? JSON.parse(json) : {};
+  return Object.fromEntries(Object.entries(DEFAULT_FARE_TABLES).map(([type, table]) => [type, { ...table, ...overrides[type] }]));
+}
+
+const roundRupees = amount => Math.round(amount);
+
+// Suggested price per seat for a trip between two points, with the range
+// drivers are nudged towards and the platform cap
+export function estimateFare({ pickup, drop, vehicle_type, seats }) {
+  const table = FARE_TABLES[vehicle_type];
+  const distanceKm = haversineKm(pickup.lat, pickup.lng, drop.lat, drop.lng) * ROAD_DISTANCE_FACTOR;
+  const cap = Math.max(table.min_fare, distanceKm * table.max_per_seat_km);
+  const suggested = Math.min(Math.max(table.min_fare, (distanceKm * table.cost_per_km) / (seats + 1)), cap);
+
+  return {
+    distance_km: Math.round(distanceKm * 10) / 10,
+    vehicle_type,
+    seats,
+    currency: 'INR',
+    suggested_price: roundRupees(suggested),
+    min_price: roundRupees(suggested * (1 - SUGGESTED_RANGE)),
+    max_price: roundRupees(Math.min(suggested * (1 + SUGGESTED_RANGE), cap)),
+    price_cap: roundRupees(cap)
+  };
+}
+
+// Most a seat may cost on a ride or schedule. Without all four coordinates
+// the distance is unknown, so the vehicle's flat_cap applies instead.
+export function priceCap({ pickup_latitude, pickup_longitude, drop_latitude, drop_longitude, vehicle_type, total_seats }) {
+  if ([pickup_latitude, pickup_longitude, drop_latitude, drop_longitude].some(value => value == null)) {
+    return FARE_TABLES[vehicle_type].flat_cap;
+  }
+  return estimateFare({
+    pickup: { lat: pickup_latitude, lng: pickup_longitude },
+    drop: { lat: drop_latitude, lng: drop_longitude },
+    vehicle_type,
+    seats: total_seats
+  }).price_cap;
+}
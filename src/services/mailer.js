@@ -0,0 +1,56 @@
+import nodemailer from 'nodemailer';
+
+// MAIL_TRANSPORT=json renders messages without sending them and logs them
+// to the console, for local development and tests. Otherwise mail goes out
+// over SMTP (point SMTP_HOST at a local sink such as Mailpit to catch it).
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'smtp';
+
+let transporter;
+
+function getTransporter() {
+  transporter ??= MAIL_TRANSPORT === 'json'
+    ? nodemailer.createTransport({ jsonTransport: true })
+    : nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    });
+  return transporter;
+}
+
+// From header with a display name, sent from the SMTP account
+export function sender(name) {
+  return `"${name}" <${process.env.SMTP_USER}>`;
+}
+
+export async function sendMail(options) {
+  const info = await getTransporter().sendMail(options);
+  if (MAIL_TRANSPORT === 'json') {
+    const mail = JSON.parse(info.message);
+    console.log(`📧 ${mail.subject} → ${mail.to.map(to => to.address).join(', ')}\n${mail.text || ''}`);
+  }
+  return info;
+}
+
+// Poolo-branded HTML body around `content`
+export function emailLayout(title, content) {
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="background: linear-gradient(135deg, #10B981, #059669); padding: 20px; text-align: center;">
+        <h1 style="color: white; margin: 0;">${title}</h1>
+      </div>
+      <div style="padding: 30px; background: #f9fafb; font-size: 16px; color: #374151;">
+        ${content}
+      </div>
+      <div style="padding: 15px; background: #1f2937; text-align: center;">
+        <p style="color: #9ca3af; margin: 0; font-size: 12px;">
+          Poolo - Share Rides, Save Money
+        </p>
+      </div>
+    </div>
+  `;
+}
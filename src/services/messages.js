@@ -0,0 +1,103 @@
+import { messages, blocks, rides } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+import { publish } from './realtime.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+// Conversations are identified by `<rideId>-<partnerId>`; both are UUIDs
+export const CONVERSATION_ID_PATTERN = '[0-9a-fA-F-]{36}-[0-9a-fA-F-]{36}';
+
+export function conversationId(rideId, partnerId) {
+  return `${rideId}-${partnerId}`;
+}
+
+function parseConversationId(id) {
+  return { rideId: id.slice(0, 36), partnerId: id.slice(37) };
+}
+
+// Message cursors are opaque to clients: the position of the oldest message
+// they have, as base64url JSON
+function encodeCursor(message) {
+  return Buffer.from(JSON.stringify([message.sent_at, message.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [sent_at, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof sent_at === 'string' && typeof id === 'string') return { sent_at, id };
+  } catch {
+    // Fall through to the error below
+  }
+  throw new HttpError(400, 'Invalid cursor');
+}
+
+// A ride's conversations are each between its driver and one other user;
+// throws unless `senderId` and `receiverId` make such a pair
+export async function assertConversationParticipants(senderId, receiverId, rideId) {
+  const ride = await rides.findById(rideId);
+  if (!ride) {
+    throw new HttpError(404, 'Ride not found');
+  }
+  if (senderId === receiverId || (ride.driver_id !== senderId && ride.driver_id !== receiverId)) {
+    throw new HttpError(403, 'Messages about a ride are between its driver and one other user');
+  }
+}
+
+// Stores a chat message and pushes it to both participants
+export async function sendMessage({ ride_id, sender_id, receiver_id, message, message_type, attachment }) {
+  const created = await messages.create({ ride_id, sender_id, receiver_id, message, message_type, attachment });
+  await publish([sender_id, receiver_id], 'message', created);
+  return created;
+}
+
+// Marks a message to `reader` as read and sends the read receipt
+export async function markMessageRead(reader, messageId) {
+  const message = await messages.markRead(messageId, reader.id);
+  if (message) {
+    await publish([message.sender_id, reader.id], 'read', { id: message.id, ride_id: message.ride_id, reader_id: reader.id });
+  }
+}
+
+// Typing indicators are only pushed, never stored as messages, and not at
+// all between users who blocked each other
+export async function sendTyping(sender, { receiver_id, ride_id, is_typing }) {
+  await assertConversationParticipants(sender.id, receiver_id, ride_id);
+  if (await blocks.existsBetween(sender.id, receiver_id)) return;
+  await publish([receiver_id], 'typing', { sender_id: sender.id, ride_id, is_typing });
+}
+
+// A page of a conversation's messages in chronological order. `before` is
+// the next_cursor of the previous page; without it the newest page is
+// returned.
+export async function listConversationMessages(user, id, { before, limit = DEFAULT_PAGE_SIZE }) {
+  const pageSize = Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const { rideId, partnerId } = parseConversationId(id);
+  const page = await messages.listPage(user.id, partnerId, rideId, {
+    before: before ? decodeCursor(before) : null,
+    limit: pageSize + 1
+  });
+
+  const hasMore = page.length > pageSize;
+  const shown = page.slice(0, pageSize).reverse();
+  return {
+    messages: shown,
+    next_cursor: hasMore ? encodeCursor(shown[0]) : null,
+    has_more: hasMore
+  };
+}
+
+// Marks everything the partner sent in a conversation as read and sends one
+// read receipt for the batch
+export async function markConversationRead(reader, id) {
+  const { rideId, partnerId } = parseConversationId(id);
+  const ids = await messages.markConversationRead(reader.id, partnerId, rideId);
+  if (ids.length > 0) {
+    await publish([partnerId, reader.id], 'conversation_read', { ride_id: rideId, reader_id: reader.id, message_ids: ids });
+  }
+  return ids.length;
+}
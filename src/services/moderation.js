@@ -0,0 +1,196 @@
+import { users, rides, messages, reports, auditLog } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+import { conversationId, listConversationMessages } from './messages.js';
+import { cancelRide } from './rides.js';
+import { endAllSessions } from './sessions.js';
+import { endTracking } from './tracking.js';
+
+export const USERS_PAGE_SIZE = 20;
+export const REPORTS_PAGE_SIZE = 20;
+export const AUDIT_LOG_PAGE_SIZE = 50;
+
+// Why `user` may not use the API right now, or null when they may. A
+// suspension without an end date lasts until an admin reinstates the
+// account.
+export function accountRestriction(user) {
+  if (user.account_status === 'banned') {
+    return 'This account has been banned';
+  }
+  if (user.account_status === 'suspended') {
+    if (!user.suspended_until) {
+      return 'This account is suspended';
+    }
+    if (new Date(user.suspended_until) > new Date()) {
+      return `This account is suspended until ${new Date(user.suspended_until).toISOString()}`;
+    }
+  }
+  return null;
+}
+
+async function audit(admin, action, target_type, target_id, details = null) {
+  await auditLog.record({ admin_id: admin.id, action, target_type, target_id, details });
+}
+
+async function loadUser(userId) {
+  const user = await users.getAdminView(userId);
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+  return user;
+}
+
+async function loadRide(rideId) {
+  const ride = await rides.findById(rideId);
+  if (!ride) {
+    throw new HttpError(404, 'Ride not found');
+  }
+  return ride;
+}
+
+// Admins cannot restrict themselves or each other; an admin has to be
+// demoted first
+async function loadRestrictableUser(admin, userId) {
+  if (userId === admin.id) {
+    throw new HttpError(400, 'You cannot do this to your own account');
+  }
+  const user = await loadUser(userId);
+  if (user.role === 'admin') {
+    throw new HttpError(400, 'Admins cannot be suspended or banned');
+  }
+  return user;
+}
+
+// Every lookup is audit-logged like the actions, so what admins looked at
+// can be reviewed later too
+export async function searchUsers(admin, { q, role, account_status, limit = USERS_PAGE_SIZE, offset = 0 }) {
+  const page = await users.search({ q, role, account_status, limit: limit + 1, offset });
+  await audit(admin, 'user.search', 'user', null, { q, role, account_status });
+  return {
+    users: page.slice(0, limit),
+    has_more: page.length > limit
+  };
+}
+
+export async function getUser(admin, userId) {
+  const user = await loadUser(userId);
+  await audit(admin, 'user.view', 'user', userId);
+  return user;
+}
+
+// Suspends an account until `until` (indefinitely without it) and signs it
+// out everywhere
+export async function suspendUser(admin, userId, { reason, until = null }) {
+  await loadRestrictableUser(admin, userId);
+  const user = await users.setAccountStatus(userId, { account_status: 'suspended', suspended_until: until, suspension_reason: reason });
+  await endAllSessions(userId, 'suspended');
+  await audit(admin, 'user.suspend', 'user', userId, { reason, until });
+  return user;
+}
+
+export async function banUser(admin, userId, { reason }) {
+  await loadRestrictableUser(admin, userId);
+  const user = await users.setAccountStatus(userId, { account_status: 'banned', suspension_reason: reason });
+  await endAllSessions(userId, 'banned');
+  await audit(admin, 'user.ban', 'user', userId, { reason });
+  return user;
+}
+
+export async function reinstateUser(admin, userId, { reason }) {
+  const current = await loadUser(userId);
+  if (current.account_status === 'active') {
+    throw new HttpError(409, 'Account is not suspended or banned');
+  }
+  const user = await users.setAccountStatus(userId, { account_status: 'active' });
+  await audit(admin, 'user.reinstate', 'user', userId, { reason, previous_status: current.account_status });
+  return user;
+}
+
+export async function setUserRole(admin, userId, role) {
+  if (userId === admin.id) {
+    throw new HttpError(400, 'You cannot change your own role');
+  }
+  const current = await loadUser(userId);
+  if (current.account_status !== 'active' && role === 'admin') {
+    throw new HttpError(409, 'Reinstate the account before making it an admin');
+  }
+  const user = await users.setRole(userId, role);
+  await audit(admin, 'user.role', 'user', userId, { role, previous_role: current.role });
+  return user;
+}
+
+// Cancels a ride on the driver's behalf: passengers are refunded and told
+// support cancelled it, and it does not count against the driver
+export async function forceCancelRide(admin, rideId, reason) {
+  const ride = await loadRide(rideId);
+  const driver = await users.findById(ride.driver_id);
+  const updated = await cancelRide(ride, driver, reason, { moderated: true });
+  await endTracking(ride.id);
+  await audit(admin, 'ride.cancel', 'ride', rideId, { reason, previous_status: ride.status });
+  return updated;
+}
+
+// Hides a ride from listings and search and stops new bookings; existing
+// bookings are left alone
+export async function setRideHidden(admin, rideId, hidden, reason) {
+  await loadRide(rideId);
+  const ride = await rides.setHidden(rideId, hidden);
+  await audit(admin, hidden ? 'ride.hide' : 'ride.unhide', 'ride', rideId, { reason });
+  return ride;
+}
+
+// A page of the messages between two users about a ride, as `user_id` sees
+// them. Reading is audit-logged like any other admin action.
+export async function readConversation(admin, { ride_id, user_id, partner_id, before, limit }) {
+  const page = await listConversationMessages({ id: user_id }, conversationId(ride_id, partner_id), { before, limit });
+  await audit(admin, 'conversation.read', 'ride', ride_id, { user_id, partner_id });
+  return page;
+}
+
+// The moderation queue, oldest report first
+export async function listReports(admin, { status = 'open', category, reported_user_id, limit = REPORTS_PAGE_SIZE, offset = 0 }) {
+  const page = await reports.listQueue({ status, category, reported_user_id, limit: limit + 1, offset });
+  await audit(admin, 'report.list', 'report', null, { status, category, reported_user_id });
+  return {
+    reports: page.slice(0, limit),
+    has_more: page.length > limit
+  };
+}
+
+// A report with the reported message, when there is one
+export async function getReport(admin, reportId) {
+  const report = await reports.findByIdWithUsers(reportId);
+  if (!report) {
+    throw new HttpError(404, 'Report not found');
+  }
+  await audit(admin, 'report.view', 'report', reportId);
+  return {
+    ...report,
+    message: report.message_id ? await messages.findById(report.message_id) : null
+  };
+}
+
+// Closes a report as resolved (action was taken) or dismissed. Restricting
+// the reported user is a separate action.
+export async function resolveReport(admin, reportId, { status, note }) {
+  const report = await reports.resolve(reportId, { status, resolved_by: admin.id, resolution_note: note });
+  if (!report) {
+    if (!await reports.findById(reportId)) {
+      throw new HttpError(404, 'Report not found');
+    }
+    throw new HttpError(409, 'Report is already closed');
+  }
+  await audit(admin, `report.${status === 'resolved' ? 'resolve' : 'dismiss'}`, 'report', reportId, { note, reported_user_id: report.reported_user_id });
+  return report;
+}
+
+export async function listAuditLog(admin, { before, limit = AUDIT_LOG_PAGE_SIZE, admin_id, target_type, target_id }) {
+  const rows = await auditLog.list({ before, limit: limit + 1, admin_id, target_type, target_id });
+  await audit(admin, 'audit_log.read', 'audit_log', null, { admin_id, target_type, target_id });
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  return {
+    entries: page,
+    next_cursor: hasMore ? String(page[page.length - 1].id) : null,
+    has_more: hasMore
+  };
+}
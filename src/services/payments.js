@@ -0,0 +1,179 @@
+import { v4 as uuidv4 } from 'uuid';
+import { bookings, ledger } from '../repositories/index.js';
+import provider from '../payments/index.js';
+import { HttpError } from '../utils/errors.js';
+
+const TRANSACTIONS_PAGE_SIZE = 20;
+const MAX_TRANSACTIONS_PAGE_SIZE = 100;
+
+export const toPaise = rupees => Math.round(rupees * 100);
+export const toRupees = paise => paise / 100;
+
+const wallet = userId => ({ account: 'wallet', owner_id: userId });
+const escrow = bookingId => ({ account: 'escrow', owner_id: bookingId });
+const PROVIDER = { account: 'provider', owner_id: null };
+
+const entry = (account, amountPaise) => ({ ...account, amount_paise: amountPaise });
+
+// Posts a balanced transaction, leaving out zero entries. Returns null when
+// it would overdraw a wallet or escrow account.
+async function post(transaction, entries) {
+  if (entries.reduce((sum, e) => sum + e.amount_paise, 0) !== 0) {
+    throw new Error(`Unbalanced ${transaction.kind} ledger transaction`);
+  }
+  return ledger.post({ id: uuidv4(), ...transaction }, entries.filter(e => e.amount_paise !== 0));
+}
+
+// Charges the passenger for a booking and holds the money in the booking's
+// escrow until the ride is completed or the booking cancelled. The wallet
+// balance is used first and the rest is charged through the provider.
+export async function chargeBooking(booking) {
+  const price = toPaise(booking.total_price);
+  const fromWallet = Math.min(await ledger.balance('wallet', booking.passenger_id), price);
+  const fromProvider = price - fromWallet;
+
+  let charge = null;
+  if (fromProvider > 0) {
+    try {
+      charge = await provider.charge({
+        userId: booking.passenger_id,
+        amount: toRupees(fromProvider),
+        description: `Booking ${booking.id}`
+      });
+    } catch (error) {
+      console.warn('Booking payment declined:', error.message);
+      throw new HttpError(402, 'Payment failed');
+    }
+  }
+
+  const providerDetails = charge ? { provider: provider.name, provider_reference: charge.reference } : {};
+  const posted = await post({
+    kind: 'booking_charge',
+    booking_id: booking.id,
+    ride_id: booking.ride_id,
+    description: 'Booking payment',
+    ...providerDetails
+  }, [
+    entry(PROVIDER, -fromProvider),
+    entry(wallet(booking.passenger_id), fromProvider),
+    entry(wallet(booking.passenger_id), -price),
+    entry(escrow(booking.id), price)
+  ]);
+  if (!posted) {
+    // The wallet was spent by another booking in the meantime; keep what the
+    // provider collected as wallet credit
+    await post({ kind: 'top_up', description: 'Payment credited to wallet', ...providerDetails }, [
+      entry(PROVIDER, -fromProvider),
+      entry(wallet(booking.passenger_id), fromProvider)
+    ]);
+    throw new HttpError(409, 'Your wallet balance changed, please try again');
+  }
+  return posted;
+}
+
+// Returns `amount` rupees (everything still held by default) of a booking's
+// payment to the passenger's wallet and adds it to the booking's
+// refund_amount. Returns the amount refunded.
+export async function refundBooking(booking, amount) {
+  const held = await ledger.balance('escrow', booking.id);
+  const refund = Math.min(amount === undefined ? held : toPaise(amount), held);
+  if (refund <= 0) return 0;
+
+  const posted = await post({
+    kind: 'booking_refund',
+    booking_id: booking.id,
+    ride_id: booking.ride_id,
+    description: 'Booking refund'
+  }, [
+    entry(escrow(booking.id), -refund),
+    entry(wallet(booking.passenger_id), refund)
+  ]);
+  if (!posted) return 0;
+
+  await bookings.recordRefund(booking.id, toRupees(refund));
+  return toRupees(refund);
+}
+
+// Releases what is held for a booking to the driver's wallet: their earnings
+// for a completed booking, or the cancellation fee kept from a late
+// cancellation. Returns the amount released.
+export async function releaseToDriver(booking, driverId, description = 'Ride earnings') {
+  const held = await ledger.balance('escrow', booking.id);
+  if (held <= 0) return 0;
+
+  const posted = await post({
+    kind: 'ride_earnings',
+    booking_id: booking.id,
+    ride_id: booking.ride_id,
+    description
+  }, [
+    entry(escrow(booking.id), -held),
+    entry(wallet(driverId), held)
+  ]);
+  return posted ? toRupees(held) : 0;
+}
+
+// Settles the money of a completed ride: completed bookings pay the driver
+// and anything still held for cancelled bookings goes back to the passenger
+export async function settleRide(ride) {
+  for (const booking of await bookings.listByRide(ride.id)) {
+    if (booking.booking_status === 'completed') {
+      await releaseToDriver(booking, ride.driver_id);
+    } else if (booking.booking_status === 'cancelled') {
+      await refundBooking(booking);
+    }
+  }
+}
+
+export async function getWallet(user) {
+  return {
+    balance: toRupees(await ledger.balance('wallet', user.id)),
+    currency: 'INR'
+  };
+}
+
+// A page of the user's wallet entries, newest first. `before` is the
+// next_cursor of the previous page.
+export async function listWalletTransactions(user, { before, limit }) {
+  const pageSize = Math.min(parseInt(limit) || TRANSACTIONS_PAGE_SIZE, MAX_TRANSACTIONS_PAGE_SIZE);
+  const cursor = before === undefined ? undefined : parseInt(before);
+  if (cursor !== undefined && !(cursor > 0)) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+
+  const rows = await ledger.listEntries('wallet', user.id, { before: cursor, limit: pageSize + 1 });
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  return {
+    transactions: page.map(({ amount_paise, ...row }) => ({ ...row, amount: toRupees(amount_paise) })),
+    next_cursor: hasMore ? String(page[page.length - 1].id) : null,
+    has_more: hasMore
+  };
+}
+
+// Pays `amount` rupees of the user's wallet out through the provider. The
+// wallet is debited first so the same balance cannot be paid out twice, and
+// credited back when the provider fails.
+export async function requestPayout(user, amount) {
+  const payout = toPaise(amount);
+  const posted = await post({ kind: 'payout', description: 'Payout', provider: provider.name }, [
+    entry(wallet(user.id), -payout),
+    entry(PROVIDER, payout)
+  ]);
+  if (!posted) {
+    throw new HttpError(400, 'Insufficient wallet balance');
+  }
+
+  try {
+    const { reference } = await provider.payout({ userId: user.id, amount: toRupees(payout), description: 'Wallet payout' });
+    await ledger.setProviderReference(posted.id, reference);
+    return { id: posted.id, amount: toRupees(payout), provider_reference: reference, created_at: posted.created_at };
+  } catch (error) {
+    console.warn('Payout failed:', error.message);
+    await post({ kind: 'payout_reversal', description: 'Payout failed', provider: provider.name }, [
+      entry(PROVIDER, -payout),
+      entry(wallet(user.id), payout)
+    ]);
+    throw new HttpError(502, 'Payout failed');
+  }
+}
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { users, phoneVerifications } from '../repositories/index.js';
+import sms from '../sms/index.js';
+import { HttpError, RateLimitError } from '../utils/errors.js';
+import { normalizePhone } from '../utils/phone.js';
+
+export const PHONE_CODE_TTL_MINUTES = parseInt(process.env.PHONE_CODE_TTL_MINUTES || '10');
+export const PHONE_CODE_RESEND_SECONDS = parseInt(process.env.PHONE_CODE_RESEND_SECONDS || '60');
+export const PHONE_CODE_MAX_ATTEMPTS = parseInt(process.env.PHONE_CODE_MAX_ATTEMPTS || '5');
+
+const CODE_LENGTH = 6;
+
+// Codes are stored keyed to the verification so a leaked table does not
+// reveal them
+function hashCode(verificationId, code) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${verificationId}:${code}`).digest('hex');
+}
+
+// Texts a code confirming `phoneNumber` (the user's current number by
+// default). A new code can only be requested once the resend cooldown is
+// over.
+export async function requestPhoneCode(user, phoneNumber) {
+  const phone = normalizePhone(phoneNumber ?? user.phone_number ?? '');
+  if (!phone) {
+    throw new HttpError(400, 'A valid phone number is required');
+  }
+  if (user.phone_verified && phone === user.phone_number) {
+    throw new HttpError(400, 'Phone number is already verified');
+  }
+
+  const latest = await phoneVerifications.findLatest(user.id);
+  if (latest) {
+    const resendAt = new Date(latest.created_at).getTime() + PHONE_CODE_RESEND_SECONDS * 1000;
+    const waitSeconds = Math.ceil((resendAt - Date.now()) / 1000);
+    if (waitSeconds > 0) {
+      throw new RateLimitError(`Please wait ${waitSeconds} seconds before requesting another code`, waitSeconds);
+    }
+  }
+
+  const id = uuidv4();
+  const now = Date.now();
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+  await phoneVerifications.create({
+    id,
+    user_id: user.id,
+    phone_number: phone,
+    code_hash: hashCode(id, code),
+    expires_at: new Date(now + PHONE_CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+    created_at: new Date(now).toISOString()
+  });
+  await sms.send({ to: phone, body: `${code} is your Poolo verification code. It expires in ${PHONE_CODE_TTL_MINUTES} minutes.` });
+
+  return {
+    phone_number: phone,
+    expires_in: PHONE_CODE_TTL_MINUTES * 60,
+    resend_after: PHONE_CODE_RESEND_SECONDS
+  };
+}
+
+// Checks a code against the latest one sent. Each code allows a limited
+// number of guesses; on success its number becomes the user's verified
+// phone.
+export async function verifyPhoneCode(user, code) {
+  const pending = await phoneVerifications.findLatest(user.id);
+  if (!pending || pending.verified_at || new Date(pending.expires_at) <= new Date()) {
+    throw new HttpError(400, 'No active code, please request a new one');
+  }
+
+  const attempts = await phoneVerifications.recordAttempt(pending.id, PHONE_CODE_MAX_ATTEMPTS);
+  if (attempts === null) {
+    throw new HttpError(400, 'Too many incorrect attempts, please request a new code');
+  }
+
+  const expected = Buffer.from(pending.code_hash, 'hex');
+  const actual = Buffer.from(hashCode(pending.id, String(code)), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const left = PHONE_CODE_MAX_ATTEMPTS - attempts;
+    throw new HttpError(400, left > 0 ? `Incorrect code, ${left} attempt(s) left` : 'Incorrect code, please request a new one');
+  }
+  if (!await phoneVerifications.markVerified(pending.id)) {
+    throw new HttpError(400, 'No active code, please request a new one');
+  }
+
+  await users.setVerifiedPhone(user.id, pending.phone_number);
+  return users.getProfile(user.id);
+}
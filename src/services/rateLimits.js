@@ -0,0 +1,54 @@
+import store from '../rateLimit/index.js';
+import { RateLimitError } from '../utils/errors.js';
+
+// Failed logins for one account lock it for LOGIN_LOCKOUT_MINUTES once
+// LOGIN_MAX_FAILURES is reached, doubling with every further failure up to
+// LOGIN_MAX_LOCKOUT_MINUTES. A successful login starts over.
+export const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5');
+export const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '1');
+export const LOGIN_MAX_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES || '60');
+
+// Failures older than this no longer count towards a lockout
+const LOGIN_FAILURE_WINDOW_SECONDS = 24 * 60 * 60;
+
+const secondsUntil = resetAt => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+// Counts a request against `limit` ({ name, max, windowSeconds }) for `key`
+// (an IP address, an email...) and throws a RateLimitError once more than
+// `max` were made in the window
+export async function consume(limit, key, message = 'Too many requests, please try again later') {
+  const counter = await store.hit(`${limit.name}:${key}`, limit.windowSeconds);
+  if (counter.count > limit.max) {
+    throw new RateLimitError(message, secondsUntil(counter.resetAt));
+  }
+}
+
+const accountKey = email => String(email).trim().toLowerCase();
+
+// Throws a RateLimitError while the account is locked. Checked before the
+// password, and whether or not the account exists.
+export async function assertLoginAllowed(email) {
+  const lock = await store.get(`login-lock:${accountKey(email)}`);
+  if (lock) {
+    const retryAfter = secondsUntil(lock.resetAt);
+    throw new RateLimitError(`Too many failed login attempts, please try again in ${Math.ceil(retryAfter / 60)} minute(s)`, retryAfter);
+  }
+}
+
+export async function recordLoginFailure(email) {
+  const account = accountKey(email);
+  const failures = await store.hit(`login-failures:${account}`, LOGIN_FAILURE_WINDOW_SECONDS);
+  if (failures.count < LOGIN_MAX_FAILURES) return;
+
+  const minutes = Math.min(LOGIN_LOCKOUT_MINUTES * 2 ** (failures.count - LOGIN_MAX_FAILURES), LOGIN_MAX_LOCKOUT_MINUTES);
+  await store.hit(`login-lock:${account}`, minutes * 60);
+}
+
+export async function clearLoginFailures(email) {
+  await store.reset(`login-failures:${accountKey(email)}`);
+}
+
+// Background job: forgets counters whose window is over
+export async function pruneRateLimits() {
+  await store.prune();
+}
@@ -0,0 +1,34 @@
+import { EventEmitter } from 'events';
+import { events } from '../repositories/index.js';
+
+// Hours events are kept for clients catching up by polling
+export const REALTIME_EVENT_TTL_HOURS = parseInt(process.env.REALTIME_EVENT_TTL_HOURS || '24');
+
+// Streams open on this process, keyed by user id. Events are also stored,
+// so clients of other instances (or the serverless deployment) still get
+// them through GET /api/messages/updates.
+const streams = new EventEmitter();
+streams.setMaxListeners(0);
+
+export function subscribe(userId, listener) {
+  streams.on(userId, listener);
+  return () => streams.off(userId, listener);
+}
+
+// Stores an event for each user and pushes it to their open streams.
+// Failures are logged rather than failing the caller, whose own change has
+// already been made.
+export async function publish(userIds, type, payload) {
+  try {
+    for (const event of await events.append([...new Set(userIds)], type, payload)) {
+      streams.emit(event.user_id, event);
+    }
+  } catch (error) {
+    console.error(`Failed to publish ${type} event:`, error);
+  }
+}
+
+// Background job: drop events older than the retention window
+export async function pruneRealtimeEvents() {
+  await events.pruneBefore(new Date(Date.now() - REALTIME_EVENT_TTL_HOURS * 60 * 60 * 1000).toISOString());
+}
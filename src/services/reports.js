@@ -0,0 +1,63 @@
+import { v4 as uuidv4 } from 'uuid';
+import { users, rides, messages, reports } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+
+export const REPORT_CATEGORIES = [
+  'harassment', 'threatening_behaviour', 'unsafe_driving', 'inappropriate_content',
+  'fraud', 'spam', 'no_show', 'other'
+];
+
+export const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// Works out who a report is about. A message can only be reported by its
+// recipient and is about its sender; a ride is about its driver unless
+// `user_id` names someone else on it.
+async function reportTarget(reporter, { user_id, ride_id, message_id }) {
+  if (message_id) {
+    const message = await messages.findById(message_id);
+    if (!message || message.receiver_id !== reporter.id) {
+      throw new HttpError(404, 'Message not found');
+    }
+    return { reported_user_id: message.sender_id, ride_id: message.ride_id, message_id };
+  }
+
+  if (ride_id) {
+    const ride = await rides.findById(ride_id);
+    if (!ride) {
+      throw new HttpError(404, 'Ride not found');
+    }
+    return { reported_user_id: user_id ?? ride.driver_id, ride_id, message_id: null };
+  }
+
+  if (user_id) {
+    return { reported_user_id: user_id, ride_id: null, message_id: null };
+  }
+  throw new HttpError(400, 'user_id, ride_id or message_id is required');
+}
+
+// Files a report into the moderation queue. The same reporter cannot have
+// two open reports about the same thing.
+export async function createReport(reporter, { user_id, ride_id, message_id, category, description }) {
+  const target = await reportTarget(reporter, { user_id, ride_id, message_id });
+  if (target.reported_user_id === reporter.id) {
+    throw new HttpError(400, 'You cannot report yourself');
+  }
+  if (!await users.findById(target.reported_user_id)) {
+    throw new HttpError(404, 'User not found');
+  }
+  if (await reports.existsOpen({ reporter_id: reporter.id, ...target })) {
+    throw new HttpError(409, 'You have already reported this');
+  }
+
+  return reports.create({
+    id: uuidv4(),
+    reporter_id: reporter.id,
+    ...target,
+    category,
+    description: description.trim()
+  });
+}
+
+export async function listOwnReports(reporter) {
+  return reports.listByReporter(reporter.id);
+}
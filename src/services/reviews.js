@@ -0,0 +1,53 @@
+import { v4 as uuidv4 } from 'uuid';
+import { rides, bookings, reviews } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+
+// Days after pickup during which a completed ride can be reviewed
+export const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS || '14');
+
+export const REVIEW_TAGS = [
+  'punctual', 'friendly', 'safe_driving', 'clean_vehicle', 'good_conversation', 'respectful',
+  'late', 'rude', 'unsafe_driving', 'no_show'
+];
+
+// Records `reviewer`'s review for a booking. The driver reviews the booking's
+// passenger and the passenger reviews the driver, once each, after the ride
+// was completed and within the review window.
+export async function createReview(reviewer, { booking_id, rating, comment, tags = [] }) {
+  const booking = await bookings.findById(booking_id);
+  if (!booking) {
+    throw new HttpError(404, 'Booking not found');
+  }
+
+  const ride = await rides.findById(booking.ride_id);
+  let revieweeId;
+  if (reviewer.id === ride.driver_id) {
+    revieweeId = booking.passenger_id;
+  } else if (reviewer.id === booking.passenger_id) {
+    revieweeId = ride.driver_id;
+  } else {
+    throw new HttpError(403, 'Not authorized');
+  }
+
+  if (ride.status !== 'completed' || !['confirmed', 'completed'].includes(booking.booking_status)) {
+    throw new HttpError(400, 'Only completed rides can be reviewed');
+  }
+  const windowEnds = new Date(ride.pickup_time).getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  if (Date.now() > windowEnds) {
+    throw new HttpError(400, `Reviews must be left within ${REVIEW_WINDOW_DAYS} days of the ride`);
+  }
+  if (await reviews.findByBookingAndReviewer(booking.id, reviewer.id)) {
+    throw new HttpError(409, 'You have already reviewed this booking');
+  }
+
+  return reviews.create({
+    id: uuidv4(),
+    booking_id: booking.id,
+    ride_id: ride.id,
+    reviewer_id: reviewer.id,
+    reviewee_id: revieweeId,
+    rating,
+    comment: comment || null,
+    tags: [...new Set(tags)]
+  });
+}
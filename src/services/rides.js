@@ -0,0 +1,92 @@
+import { rides, bookings, users } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+import { formatPickupTime } from '../utils/format.js';
+import { isLateCancellation } from './cancellationPolicy.js';
+import { sendMessage } from './messages.js';
+import { refundBooking, settleRide } from './payments.js';
+import { endTracking } from './tracking.js';
+
+// Statuses a ride may move to from each status. Completed and cancelled
+// rides are final.
+export const RIDE_TRANSITIONS = {
+  available: ['active', 'cancelled'],
+  active: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Cancels a ride together with its confirmed and pending bookings in one
+// step, refunds the passengers in full and messages each of them from the
+// driver. Cancelling a booked ride inside the cancellation policy's late
+// window counts against the driver, unless support cancelled it
+// (`moderated`), in which case the passengers are told so.
+export async function cancelRide(ride, driver, cancellationReason, { moderated = false } = {}) {
+  const wasBooked = (await bookings.listConfirmedByRide(ride.id)).length > 0;
+  const cancelledBookings = await rides.cancel(ride.id);
+  if (!cancelledBookings) {
+    throw new HttpError(409, 'Ride is already cancelled or completed');
+  }
+  if (wasBooked && !moderated && isLateCancellation(ride.pickup_time)) {
+    await users.incrementLateCancellations(ride.driver_id);
+  }
+  const refunds = [];
+  for (const booking of cancelledBookings) {
+    refunds.push(await refundBooking(booking));
+  }
+
+  try {
+    const { formattedDate, formattedTime } = formatPickupTime(ride.pickup_time);
+    const cancelledBy = moderated ? 'Poolo support' : driver?.name || 'The driver';
+
+    for (const [i, booking] of cancelledBookings.entries()) {
+      let messageText = `🚫 Ride Cancelled\n\n${cancelledBy} has cancelled the ride you booked.\n\n📍 Route: ${ride.pickup_address} → ${ride.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}\n🪑 Your seats: ${booking.seats_booked}\n💰 Refund: ₹${refunds[i]} (added to your wallet)`;
+      if (cancellationReason) {
+        messageText += `\n\nReason: ${cancellationReason}`;
+      }
+      messageText += `\n\nWe apologize for the inconvenience. Please search for alternative rides.`;
+
+      await sendMessage({
+        ride_id: ride.id,
+        sender_id: ride.driver_id,
+        receiver_id: booking.passenger_id,
+        message: messageText
+      });
+    }
+  } catch (msgError) {
+    console.warn('Failed to send ride cancellation notifications:', msgError);
+  }
+
+  return rides.findById(ride.id);
+}
+
+// Moves a ride along its lifecycle on behalf of the driver, rejecting
+// transitions the ride's current status does not allow
+export async function changeRideStatus(ride, driver, status, cancellationReason) {
+  if (!Object.hasOwn(RIDE_TRANSITIONS, status)) {
+    throw new HttpError(400, `status must be one of: ${Object.keys(RIDE_TRANSITIONS).join(', ')}`);
+  }
+  if (!RIDE_TRANSITIONS[ride.status].includes(status)) {
+    throw new HttpError(409, `Cannot change a ride from ${ride.status} to ${status}`);
+  }
+
+  let updated;
+  if (status === 'cancelled') {
+    updated = await cancelRide(ride, driver, cancellationReason);
+  } else if (status === 'active') {
+    updated = await rides.start(ride.id);
+    if (!updated) {
+      throw new HttpError(409, 'Ride is no longer available to start');
+    }
+  } else {
+    if (!await rides.complete(ride.id)) {
+      throw new HttpError(409, 'Only an active ride can be completed');
+    }
+    updated = await rides.findById(ride.id);
+    await settleRide(updated);
+  }
+
+  if (updated.status !== 'active') {
+    await endTracking(ride.id);
+  }
+  return updated;
+}
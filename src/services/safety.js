@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { users, rides, bookings, locations, emergencyContacts, tripShares, sosAlerts } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+import { APP_URL, escapeHtml, formatPickupTime } from '../utils/format.js';
+import { normalizePhone } from '../utils/phone.js';
+import { loadBookingSegment } from './bookings.js';
+import { emailLayout, sendMail, sender } from './mailer.js';
+
+export const MAX_EMERGENCY_CONTACTS = parseInt(process.env.MAX_EMERGENCY_CONTACTS || '5');
+export const TRIP_SHARE_TTL_HOURS = parseInt(process.env.TRIP_SHARE_TTL_HOURS || '12');
+
+// Number SOS emails tell contacts to call when they cannot reach the user
+export const EMERGENCY_NUMBER = process.env.EMERGENCY_NUMBER || '112';
+
+// Expired links are kept this long so opening one says it expired
+const TRIP_SHARE_RETENTION_DAYS = 7;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+async function findOwnContact(user, contactId) {
+  const contact = await emergencyContacts.findById(contactId);
+  if (!contact || contact.user_id !== user.id) {
+    throw new HttpError(404, 'Emergency contact not found');
+  }
+  return contact;
+}
+
+export async function listEmergencyContacts(user) {
+  return emergencyContacts.listByUser(user.id);
+}
+
+export async function addEmergencyContact(user, { name, email, phone_number, relationship }) {
+  if (await emergencyContacts.countByUser(user.id) >= MAX_EMERGENCY_CONTACTS) {
+    throw new HttpError(409, `You can have at most ${MAX_EMERGENCY_CONTACTS} emergency contacts`);
+  }
+  return emergencyContacts.create({
+    id: uuidv4(),
+    user_id: user.id,
+    name,
+    email,
+    phone_number: phone_number ? normalizePhone(phone_number) : null,
+    relationship
+  });
+}
+
+export async function updateEmergencyContact(user, contactId, { name, email, phone_number, relationship }) {
+  const contact = await findOwnContact(user, contactId);
+  return emergencyContacts.update(contact.id, {
+    name,
+    email,
+    phone_number: phone_number === undefined ? undefined : phone_number && normalizePhone(phone_number),
+    relationship
+  });
+}
+
+export async function removeEmergencyContact(user, contactId) {
+  const contact = await findOwnContact(user, contactId);
+  await emergencyContacts.remove(contact.id);
+}
+
+async function findConfirmedBooking(user, ride) {
+  return (await bookings.listConfirmedByRide(ride.id)).find(booking => booking.passenger_id === user.id) ?? null;
+}
+
+// Link tokens are random; only their hash is stored
+async function createShare(user, ride, booking) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const share = await tripShares.create({
+    id: uuidv4(),
+    ride_id: ride.id,
+    booking_id: booking.id,
+    user_id: user.id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + TRIP_SHARE_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  });
+  return { id: share.id, url: `${APP_URL}/trip/${token}`, token, expires_at: share.expires_at };
+}
+
+// Creates a link anyone can open to follow a passenger's trip, once the ride
+// has started
+export async function shareTrip(user, rideId) {
+  const ride = await rides.findById(rideId);
+  if (!ride) {
+    throw new HttpError(404, 'Ride not found');
+  }
+  const booking = await findConfirmedBooking(user, ride);
+  if (!booking) {
+    throw new HttpError(403, 'Only passengers with a confirmed booking can share this trip');
+  }
+  if (ride.status !== 'active') {
+    throw new HttpError(409, 'A trip can only be shared once the ride has started');
+  }
+  return createShare(user, ride, booking);
+}
+
+export async function revokeTripShare(user, shareId) {
+  const share = await tripShares.findById(shareId);
+  if (!share || share.user_id !== user.id) {
+    throw new HttpError(404, 'Trip link not found');
+  }
+  await tripShares.revoke(share.id);
+}
+
+// What a shared trip link shows: no contact details, just enough to follow
+// the trip
+export async function viewSharedTrip(token) {
+  const share = await tripShares.findByTokenHash(hashToken(String(token)));
+  if (!share || share.revoked_at) {
+    throw new HttpError(404, 'Trip link not found');
+  }
+  if (new Date(share.expires_at) <= new Date()) {
+    throw new HttpError(410, 'This trip link has expired');
+  }
+
+  const booking = await bookings.findById(share.booking_id);
+  const { ride, segment } = await loadBookingSegment(booking);
+  const [passenger, driver] = await Promise.all([users.findById(share.user_id), users.findById(ride.driver_id)]);
+
+  return {
+    shared_by: passenger.name,
+    // A passenger who cancelled is no longer on the trip
+    status: booking.booking_status === 'cancelled' ? 'cancelled' : ride.status,
+    driver: { name: driver.name },
+    vehicle_type: ride.vehicle_type,
+    route: { pickup_address: segment.pickup_address, drop_address: segment.drop_address },
+    pickup_time: segment.pickup_time,
+    started_at: ride.started_at,
+    completed_at: ride.completed_at,
+    expires_at: share.expires_at
+  };
+}
+
+function sosEmail(user, contact, { location, trip, share, message }) {
+  const html = [`<p><strong>${escapeHtml(user.name)}</strong> raised an SOS alert on Poolo and listed you as an emergency contact.</p>`];
+  const text = [`${user.name} raised an SOS alert on Poolo and listed you as an emergency contact.`];
+
+  if (message) {
+    html.push(`<p>Their message: “${escapeHtml(message)}”</p>`);
+    text.push(`Their message: "${message}"`);
+  }
+  if (location) {
+    const mapUrl = `https://www.google.com/maps?q=${location.latitude},${location.longitude}`;
+    html.push(`<p>📍 Last known location: <a href="${mapUrl}">${location.latitude}, ${location.longitude}</a></p>`);
+    text.push(`Last known location: ${mapUrl}`);
+  }
+  if (trip) {
+    const { formattedDate, formattedTime } = formatPickupTime(trip.pickup_time);
+    const summary = `${trip.pickup_address} → ${trip.drop_address} (${trip.vehicle_type}, driver ${trip.driver_name}), pickup ${formattedDate} at ${formattedTime}`;
+    html.push(`<p>🚗 They are on a ride: ${escapeHtml(summary)}</p>`);
+    text.push(`They are on a ride: ${summary}`);
+  }
+  if (share) {
+    html.push(`<p><a href="${share.url}" style="display: inline-block; background: #DC2626; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Follow the trip</a></p>`);
+    text.push(`Follow the trip: ${share.url}`);
+  }
+  if (user.phone_number) {
+    html.push(`<p>📞 Their phone: ${escapeHtml(user.phone_number)}</p>`);
+    text.push(`Their phone: ${user.phone_number}`);
+  }
+
+  const advice = `Please try to reach them. If you cannot, or think they are in danger, call ${EMERGENCY_NUMBER}.`;
+  return {
+    from: sender('Poolo Safety'),
+    to: contact.email,
+    subject: `SOS: ${user.name} needs help`,
+    html: emailLayout('SOS alert', `
+      <p>Hi ${escapeHtml(contact.name)},</p>
+      ${html.join('\n      ')}
+      <p><strong>${advice}</strong></p>
+    `),
+    text: `Hi ${contact.name},\n\n${text.join('\n\n')}\n\n${advice}`
+  };
+}
+
+// Records an SOS with the best location known (the device's, else the
+// driver's last ping on the ride) and emails every emergency contact. A
+// passenger on an active ride also gets a trip link, which the email
+// includes.
+export async function raiseSos(user, { ride_id, latitude, longitude, message }) {
+  let ride = null;
+  let booking = null;
+  if (ride_id) {
+    ride = await rides.findById(ride_id);
+    if (!ride) {
+      throw new HttpError(404, 'Ride not found');
+    }
+    if (ride.driver_id !== user.id) {
+      booking = await findConfirmedBooking(user, ride);
+      if (!booking) {
+        throw new HttpError(403, 'Not authorized');
+      }
+    }
+  }
+
+  let location = null;
+  if (latitude != null) {
+    location = { latitude, longitude, location_source: 'device', location_recorded_at: new Date().toISOString() };
+  } else if (ride?.status === 'active') {
+    const [latest] = await locations.listTrail(ride.id, 1);
+    if (latest) {
+      location = { latitude: latest.latitude, longitude: latest.longitude, location_source: 'ride_tracking', location_recorded_at: latest.recorded_at };
+    }
+  }
+
+  const alert = await sosAlerts.create({
+    id: uuidv4(),
+    user_id: user.id,
+    ride_id: ride?.id ?? null,
+    latitude: location?.latitude ?? null,
+    longitude: location?.longitude ?? null,
+    location_source: location?.location_source ?? null,
+    location_recorded_at: location?.location_recorded_at ?? null,
+    message: message?.trim() || null
+  });
+
+  const share = booking && ride.status === 'active' ? await createShare(user, ride, booking) : null;
+  let trip = null;
+  if (ride) {
+    const route = booking ? (await loadBookingSegment(booking)).segment : ride;
+    const driver = await users.findById(ride.driver_id);
+    trip = { ...route, vehicle_type: ride.vehicle_type, driver_name: driver.name };
+  }
+
+  // One failed email must not stop the others
+  let notified = 0;
+  for (const contact of await emergencyContacts.listByUser(user.id)) {
+    try {
+      await sendMail(sosEmail(user, contact, { location, trip, share, message: alert.message }));
+      notified++;
+    } catch (error) {
+      console.error('Failed to send SOS email:', error);
+    }
+  }
+  await sosAlerts.setContactsNotified(alert.id, notified);
+
+  return { ...alert, contacts_notified: notified, trip_share: share };
+}
+
+// Background job: forgets trip links that expired a while ago
+export async function pruneTripShares() {
+  await tripShares.pruneExpiredBefore(new Date(Date.now() - TRIP_SHARE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+}
@@ -0,0 +1,81 @@
+import { savedSearches } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+import { APP_URL, formatPickupTime } from '../utils/format.js';
+import { parseSearchPoint } from '../utils/geo.js';
+import { findSegment } from '../utils/stops.js';
+import { blockedUserIds } from './blocks.js';
+import { sendMessage } from './messages.js';
+
+// Saved searches a user can keep at once
+export const MAX_SAVED_SEARCHES = parseInt(process.env.MAX_SAVED_SEARCHES || '10');
+
+const DAY_MINUTES = 24 * 60;
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export async function createSavedSearch(user, search) {
+  if (await savedSearches.countByUser(user.id) >= MAX_SAVED_SEARCHES) {
+    throw new HttpError(400, `You can save at most ${MAX_SAVED_SEARCHES} searches`);
+  }
+  return savedSearches.create({ ...search, user_id: user.id });
+}
+
+// Whether a pickup time falls inside the search's daily time window, read in
+// the search's timezone. A window whose end is before its start runs past
+// midnight.
+export function inTimeWindow(search, pickupTime) {
+  if (!search.earliest_time && !search.latest_time) return true;
+
+  const utcMinutes = Math.floor(new Date(pickupTime).getTime() / 60000);
+  const local = ((utcMinutes + search.utc_offset_minutes) % DAY_MINUTES + DAY_MINUTES) % DAY_MINUTES;
+  const earliest = search.earliest_time ? toMinutes(search.earliest_time) : 0;
+  const latest = search.latest_time ? toMinutes(search.latest_time) : DAY_MINUTES - 1;
+
+  return earliest <= latest
+    ? local >= earliest && local <= latest
+    : local >= earliest || local <= latest;
+}
+
+// The segment of `ride` (with its stops) a saved search would find, using
+// the same matching as GET /api/rides/search, or null
+export function matchSavedSearch(search, ride) {
+  const match = findSegment(ride, {
+    pickup_location: search.pickup_location,
+    drop_location: search.drop_location,
+    pickup: parseSearchPoint(search, 'pickup'),
+    drop: parseSearchPoint(search, 'drop'),
+    seats_needed: search.seats_needed
+  });
+  return match && inTimeWindow(search, match.segment.pickup_time) ? match : null;
+}
+
+// Messages every user with a matching saved search about a newly published
+// ride, once per user and never anyone the driver blocked or was blocked by.
+// Failures are logged rather than failing the ride.
+export async function alertSavedSearches(ride) {
+  try {
+    const alerted = new Set();
+    const blocked = new Set(await blockedUserIds(ride.driver_id));
+
+    for (const search of await savedSearches.listAlertCandidates(ride)) {
+      if (alerted.has(search.user_id) || blocked.has(search.user_id)) continue;
+      const match = matchSavedSearch(search, ride);
+      if (!match) continue;
+
+      alerted.add(search.user_id);
+      const { segment } = match;
+      const { formattedDate, formattedTime } = formatPickupTime(segment.pickup_time);
+      await sendMessage({
+        ride_id: ride.id,
+        sender_id: ride.driver_id,
+        receiver_id: search.user_id,
+        message: `🔔 New Ride Alert\n\nA new ride matches your saved search${search.name ? ` "${search.name}"` : ''}.\n\n📍 Route: ${segment.pickup_address} → ${segment.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}\n🚗 Vehicle: ${ride.vehicle_type}\n🪑 Seats available: ${segment.available_seats}\n💰 Price: ₹${segment.price_per_seat} per seat\n\nView and book the ride: ${APP_URL}/rides/${ride.id}`
+      });
+    }
+  } catch (error) {
+    console.error('Failed to send saved search alerts:', error);
+  }
+}
@@ -0,0 +1,150 @@
+import { v4 as uuidv4 } from 'uuid';
+import { rides, schedules } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+import { buildStops } from '../utils/stops.js';
+import { createBooking } from './bookings.js';
+import { priceCap } from './fares.js';
+import { cancelRide } from './rides.js';
+
+// How far ahead occurrences are materialised as concrete rides
+export const SCHEDULE_HORIZON_DAYS = parseInt(process.env.SCHEDULE_HORIZON_DAYS || '7');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Calendar date (YYYY-MM-DD) in the schedule's timezone
+export function localDate(schedule, at = new Date()) {
+  return new Date(at.getTime() + schedule.utc_offset_minutes * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Dates between fromDate and toDate (inclusive) on which the schedule runs
+export function occurrenceDates(schedule, fromDate, toDate) {
+  const first = fromDate < schedule.start_date ? schedule.start_date : fromDate;
+  const last = schedule.end_date && schedule.end_date < toDate ? schedule.end_date : toDate;
+  const dates = [];
+
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (schedule.days_of_week.includes(weekday) && !schedule.skip_dates.includes(date)) {
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+export function occurrencePickupTime(schedule, date) {
+  const [hours, minutes] = schedule.departure_time.split(':').map(Number);
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes) - schedule.utc_offset_minutes * 60 * 1000);
+}
+
+// Creates the rides for every upcoming occurrence inside the horizon that
+// does not have one yet. A price above the current fare cap (the fare
+// tables may have changed since the schedule was saved) is lowered to it.
+export async function materializeSchedule(schedule) {
+  if (schedule.status !== 'active') return;
+
+  const pricePerSeat = Math.min(schedule.price_per_seat, priceCap(schedule));
+
+  const today = localDate(schedule);
+  const existing = new Set((await rides.listBySchedule(schedule.id, today)).map(ride => ride.occurrence_date));
+
+  for (const date of occurrenceDates(schedule, today, addDays(today, SCHEDULE_HORIZON_DAYS))) {
+    const pickupTime = occurrencePickupTime(schedule, date);
+    if (existing.has(date) || pickupTime <= new Date()) continue;
+
+    const ride = {
+      id: uuidv4(),
+      driver_id: schedule.driver_id,
+      pickup_address: schedule.pickup_address,
+      drop_address: schedule.drop_address,
+      pickup_time: pickupTime.toISOString(),
+      expected_drop_time: schedule.duration_minutes
+        ? new Date(pickupTime.getTime() + schedule.duration_minutes * 60 * 1000).toISOString()
+        : null,
+      total_seats: schedule.total_seats,
+      available_seats: schedule.total_seats,
+      vehicle_type: schedule.vehicle_type,
+      price_per_seat: pricePerSeat,
+      description: schedule.description,
+      booking_mode: schedule.booking_mode,
+      pickup_latitude: schedule.pickup_latitude,
+      pickup_longitude: schedule.pickup_longitude,
+      drop_latitude: schedule.drop_latitude,
+      drop_longitude: schedule.drop_longitude,
+      schedule_id: schedule.id,
+      occurrence_date: date
+    };
+
+    try {
+      await rides.create(ride, buildStops(ride, schedule.stops));
+    } catch (error) {
+      // A concurrent run may have created the same occurrence
+      console.warn(`Failed to materialise schedule ${schedule.id} on ${date}:`, error.message);
+    }
+  }
+}
+
+export async function materializeSchedules() {
+  for (const schedule of await schedules.listActive()) {
+    await materializeSchedule(schedule);
+  }
+}
+
+// Applies `changes` to a schedule and, in the same transaction, withdraws
+// the upcoming occurrences nobody has booked, then re-materialises them from
+// the updated schedule (or not at all when it is no longer active).
+export async function updateSchedule(schedule, changes) {
+  const updated = await schedules.updateWithdrawingOccurrences(schedule.id, changes, localDate(schedule));
+  await materializeSchedule(updated);
+  return updated;
+}
+
+// Cancels one occurrence: the date is skipped from now on and, if its ride
+// already exists, the ride is cancelled and its passengers notified.
+export async function cancelOccurrence(schedule, date, driver, reason) {
+  const updated = await schedules.update(schedule.id, {
+    skip_dates: [...new Set([...schedule.skip_dates, date])].sort()
+  });
+
+  const ride = (await rides.listBySchedule(schedule.id, date)).find(r => r.occurrence_date === date);
+  if (ride && ride.status === 'available') {
+    await cancelRide(ride, driver, reason);
+  }
+  return updated;
+}
+
+// Cancels the whole schedule along with every upcoming occurrence
+export async function cancelSchedule(schedule, driver, reason) {
+  await schedules.updateWithdrawingOccurrences(schedule.id, {}, localDate(schedule));
+  for (const ride of await rides.listBySchedule(schedule.id, localDate(schedule))) {
+    if (ride.status === 'available') {
+      await cancelRide(ride, driver, reason);
+    }
+  }
+  return schedules.update(schedule.id, { status: 'cancelled' });
+}
+
+// Books every open occurrence between fromDate and toDate. Occurrences that
+// cannot be booked are reported in `skipped` instead of failing the request.
+export async function bookOccurrences(passenger, schedule, { from_date, to_date, seats_booked, from_stop_order, to_stop_order }) {
+  await materializeSchedule(schedule);
+
+  const occurrences = (await rides.listBySchedule(schedule.id, from_date))
+    .filter(ride => ride.occurrence_date <= to_date);
+
+  const booked = [];
+  const skipped = [];
+  for (const ride of occurrences) {
+    try {
+      booked.push(await createBooking(passenger, { ride_id: ride.id, seats_booked, from_stop_order, to_stop_order }));
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      skipped.push({ ride_id: ride.id, occurrence_date: ride.occurrence_date, reason: error.message });
+    }
+  }
+  return { bookings: booked, skipped };
+}
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { sessions } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+
+// Access tokens are short-lived JWTs tied to a session; refresh tokens keep
+// the session going and are replaced on every use
+export const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15');
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+// Ended sessions are kept this long for the user's session history
+const SESSION_RETENTION_DAYS = 30;
+
+const hashToken = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// Refresh tokens are "<session id>.<random secret>"
+function newRefreshSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function issueTokens(session, secret) {
+  return {
+    token: jwt.sign({ userId: session.user_id, sid: session.id }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 }),
+    refresh_token: `${session.id}.${secret}`,
+    expires_in: ACCESS_TOKEN_TTL_MINUTES * 60
+  };
+}
+
+// Signs the user in on a new device (login or registration)
+export async function startSession(user, req) {
+  const secret = newRefreshSecret();
+  const session = await sessions.create({
+    id: uuidv4(),
+    user_id: user.id,
+    refresh_token_hash: hashToken(secret),
+    user_agent: req.get('user-agent')?.slice(0, 255) || null,
+    ip_address: req.ip || null,
+    expires_at: refreshExpiry()
+  });
+  return issueTokens(session, secret);
+}
+
+// Exchanges a refresh token for new access and refresh tokens. A refresh
+// token that was already exchanged means it leaked (or the client raced
+// itself), so the whole session is revoked.
+export async function refreshSession(refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  const session = secret && await sessions.findById(sessionId);
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    throw new HttpError(401, 'Session expired, please log in again');
+  }
+
+  const nextSecret = newRefreshSecret();
+  const rotated = await sessions.rotate(session.id, hashToken(secret), {
+    refresh_token_hash: hashToken(nextSecret),
+    expires_at: refreshExpiry()
+  });
+  if (!rotated) {
+    await sessions.revoke(session.id, 'refresh_token_reuse');
+    console.warn(`Refresh token reuse detected, revoked session ${session.id}`);
+    throw new HttpError(401, 'Session expired, please log in again');
+  }
+  return issueTokens(rotated, nextSecret);
+}
+
+export async function endSession(sessionId, reason = 'logout') {
+  await sessions.revoke(sessionId, reason);
+}
+
+// Signs the user out everywhere, except on session `exceptId` when given
+export async function endAllSessions(userId, reason, exceptId = null) {
+  await sessions.revokeAllForUser(userId, reason, exceptId);
+}
+
+export async function listSessions(user, currentSessionId) {
+  return (await sessions.listActiveByUser(user.id)).map(session => ({
+    ...session,
+    current: session.id === currentSessionId
+  }));
+}
+
+// Ends one of the user's own sessions (e.g. a lost phone)
+export async function endOwnSession(user, sessionId) {
+  const session = await sessions.findById(sessionId);
+  if (!session || session.user_id !== user.id) {
+    throw new HttpError(404, 'Session not found');
+  }
+  await sessions.revoke(session.id, 'logout');
+}
+
+// Background job: forgets sessions that ended long ago
+export async function pruneSessions() {
+  await sessions.pruneBefore(new Date(Date.now() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+}
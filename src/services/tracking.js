@@ -0,0 +1,92 @@
+import { rides, bookings, locations } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+import { haversineKm } from '../utils/geo.js';
+import { stopAt } from '../utils/stops.js';
+
+// Speed assumed for straight-line ETAs when the car's own speed is unknown
+export const TRACKING_AVERAGE_SPEED_KMH = parseFloat(process.env.TRACKING_AVERAGE_SPEED_KMH || '30');
+
+// Pings returned as the breadcrumb trail
+const TRAIL_LIMIT = 200;
+
+// The ride and, for passengers, their confirmed booking. Only the driver and
+// confirmed passengers may see where the car is.
+async function loadTrip(user, rideId) {
+  const ride = await rides.findById(rideId);
+  if (!ride) {
+    throw new HttpError(404, 'Ride not found');
+  }
+  if (ride.driver_id === user.id) {
+    return { ride, booking: null };
+  }
+
+  const booking = (await bookings.listConfirmedByRide(ride.id)).find(b => b.passenger_id === user.id);
+  if (!booking) {
+    throw new HttpError(403, 'Not authorized');
+  }
+  return { ride, booking };
+}
+
+// Stores a GPS ping from the driver of an active ride
+export async function recordPing(driver, rideId, ping) {
+  const ride = await rides.findById(rideId);
+  if (!ride) {
+    throw new HttpError(404, 'Ride not found');
+  }
+  if (ride.driver_id !== driver.id) {
+    throw new HttpError(403, 'Not authorized');
+  }
+  if (ride.status !== 'active') {
+    throw new HttpError(409, 'Locations can only be shared while the ride is active');
+  }
+
+  return locations.create({ ...ping, ride_id: ride.id });
+}
+
+// Straight-line distance and time from the car to a stop
+function estimateArrival(position, stop) {
+  if (stop.latitude == null || stop.longitude == null) return null;
+
+  const distanceKm = haversineKm(position.latitude, position.longitude, stop.latitude, stop.longitude);
+  const speedKmh = position.speed_kmh > 5 ? position.speed_kmh : TRACKING_AVERAGE_SPEED_KMH;
+  return {
+    stop_order: stop.stop_order,
+    address: stop.address,
+    distance_km: Math.round(distanceKm * 100) / 100,
+    eta_minutes: Math.round((distanceKm / speedKmh) * 60)
+  };
+}
+
+// Latest position, breadcrumb trail and, for passengers, the ETA to their
+// pickup stop
+export async function getTracking(user, rideId) {
+  const { ride, booking } = await loadTrip(user, rideId);
+
+  const trail = ride.status === 'active' ? await locations.listTrail(ride.id, TRAIL_LIMIT) : [];
+  const latest = trail[trail.length - 1] ?? null;
+
+  let pickupEta = null;
+  if (booking && latest) {
+    const stops = await rides.listStops(ride.id);
+    pickupEta = estimateArrival(latest, stopAt(stops, booking.from_stop_order ?? 0));
+  }
+
+  return {
+    ride_id: ride.id,
+    status: ride.status,
+    latest,
+    trail,
+    pickup_eta: pickupEta
+  };
+}
+
+// Pings are only kept while the trip is in progress
+export async function endTracking(rideId) {
+  await locations.removeForRide(rideId);
+}
+
+// Background job: clears pings left behind by rides that are no longer
+// active (e.g. a status change that failed half way)
+export async function purgeTripLocations() {
+  await locations.removeForInactiveRides();
+}
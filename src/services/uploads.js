@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { backend } from '../repositories/index.js';
+import { HttpError } from '../utils/errors.js';
+
+// Uploaded chat images go to the UPLOAD_BUCKET Supabase Storage bucket on the
+// supabase backend, as serverless deployments (Vercel) have no persistent
+// disk. The SQLite backend, meant for development and single servers, keeps
+// them on local disk under UPLOAD_DIR and serves them from UPLOAD_URL_PATH.
+export const UPLOAD_BUCKET = 'chat-images';
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || './data/uploads';
+export const UPLOAD_URL_PATH = '/api/uploads';
+export const SERVES_LOCAL_UPLOADS = backend !== 'supabase';
+export const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES || String(5 * 1024 * 1024));
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const MAX_IMAGE_SIZE = 1600;
+const THUMBNAIL_SIZE = 320;
+
+const bucket = SERVES_LOCAL_UPLOADS
+  ? null
+  : (await import('../db/supabase.js')).serviceSupabase.storage.from(UPLOAD_BUCKET);
+
+// Stores one encoded JPEG and returns the URL it is served from
+async function storeImage(fileName, data) {
+  if (!bucket) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    fs.writeFileSync(path.join(UPLOAD_DIR, fileName), data);
+    return `${UPLOAD_URL_PATH}/${fileName}`;
+  }
+
+  const { error } = await bucket.upload(fileName, data, { contentType: 'image/jpeg', cacheControl: '604800' });
+  if (error) throw error;
+  return bucket.getPublicUrl(fileName).data.publicUrl;
+}
+
+// Re-encodes an uploaded image (dropping EXIF data such as the GPS position
+// of the phone that took it) and stores it with a thumbnail. Returns the
+// attachment stored on the image message.
+export async function saveChatImage(buffer) {
+  let image;
+  try {
+    image = sharp(buffer).rotate();
+    await image.metadata();
+  } catch {
+    throw new HttpError(400, 'Uploaded file is not a valid image');
+  }
+
+  const id = uuidv4();
+
+  let full;
+  let thumbnail;
+  try {
+    full = await image.clone()
+      .resize({ width: MAX_IMAGE_SIZE, height: MAX_IMAGE_SIZE, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 85 })
+      .toBuffer({ resolveWithObject: true });
+    thumbnail = await image.clone()
+      .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 75 })
+      .toBuffer();
+  } catch {
+    throw new HttpError(400, 'Uploaded file is not a valid image');
+  }
+
+  return {
+    url: await storeImage(`${id}.jpg`, full.data),
+    thumbnail_url: await storeImage(`${id}_thumb.jpg`, thumbnail),
+    width: full.info.width,
+    height: full.info.height,
+    size: full.info.size
+  };
+}
@@ -0,0 +1,173 @@
+import { v4 as uuidv4 } from 'uuid';
+import { rides, bookings, waitlist, blocks } from '../repositories/index.js';
+import { HttpError, ReservationError } from '../utils/errors.js';
+import { formatPickupTime } from '../utils/format.js';
+import { describeSegment } from '../utils/stops.js';
+import { assertNotBlocked } from './blocks.js';
+import { bookingTerms, loadBookingSegment, notifyNewBooking, payForBooking, requestedSegment } from './bookings.js';
+import { sendMessage } from './messages.js';
+
+// How long a waitlisted passenger has to accept freed seats before they are
+// offered to the next person in the queue
+export const WAITLIST_OFFER_TTL_MINUTES = parseInt(process.env.WAITLIST_OFFER_TTL_MINUTES || '30');
+
+async function notifyPassenger(ride, passengerId, message) {
+  try {
+    await sendMessage({ ride_id: ride.id, sender_id: ride.driver_id, receiver_id: passengerId, message });
+  } catch (msgError) {
+    console.warn('Failed to send waitlist notification:', msgError);
+  }
+}
+
+// Queues `passenger` for `seats_requested` seats on a ride segment that is
+// currently too full to book
+export async function joinWaitlist(passenger, { ride_id, seats_requested, from_stop_order, to_stop_order }) {
+  const ride = await rides.findById(ride_id);
+  if (!ride || ride.hidden_at) {
+    throw new HttpError(404, 'Ride not found');
+  }
+  if (ride.driver_id === passenger.id) {
+    throw new HttpError(400, 'Cannot join the waitlist for your own ride');
+  }
+  await assertNotBlocked(passenger.id, ride.driver_id, 'You cannot book this ride');
+  if (ride.status !== 'available') {
+    throw new HttpError(400, 'Ride is not open for booking');
+  }
+
+  const stops = await rides.listStops(ride_id);
+  const { from, to } = requestedSegment(stops, from_stop_order, to_stop_order);
+  const segment = describeSegment(ride, stops, from, to);
+
+  if ((await bookings.listActiveByRide(ride_id)).some(booking => booking.passenger_id === passenger.id)) {
+    throw new HttpError(400, 'You already have a booking for this ride');
+  }
+  if (await waitlist.findOpen(ride_id, passenger.id)) {
+    throw new HttpError(409, 'You are already on the waitlist for this ride');
+  }
+  if (segment.available_seats >= seats_requested) {
+    throw new HttpError(400, 'Seats are available on this ride, book it directly');
+  }
+
+  return waitlist.create({
+    id: uuidv4(),
+    ride_id,
+    passenger_id: passenger.id,
+    seats_requested,
+    from_stop_order: from,
+    to_stop_order: to
+  });
+}
+
+// Offers the ride's free seats to waiting passengers in queue order, one
+// time-limited offer at a time, until nobody else fits. Called whenever
+// seats are given back; failures are logged rather than failing the caller,
+// whose own change has already been made.
+export async function offerFreedSeats(rideId) {
+  try {
+    for (;;) {
+      const ride = await rides.findById(rideId);
+      if (!ride) return;
+      const expiresAt = Math.min(Date.now() + WAITLIST_OFFER_TTL_MINUTES * 60 * 1000, new Date(ride.pickup_time).getTime());
+      if (expiresAt <= Date.now()) return;
+
+      const entry = await waitlist.offerNext(rideId, new Date(expiresAt).toISOString());
+      if (!entry) return;
+      // A passenger who blocked or was blocked by the driver since joining
+      // cannot book, so the seats move straight on to the next in line
+      if (await blocks.existsBetween(entry.passenger_id, ride.driver_id)) {
+        await waitlist.transitionStatus(entry.id, { from: ['offered'], to: 'cancelled' });
+        continue;
+      }
+
+      const { segment } = await loadBookingSegment(entry);
+      const { formattedDate, formattedTime } = formatPickupTime(segment.pickup_time);
+      const expiry = formatPickupTime(entry.offer_expires_at);
+      await notifyPassenger(ride, entry.passenger_id,
+        `🎟️ Seats Available\n\n${entry.seats_requested} seat(s) have opened up on a ride you are waitlisted for and are being held for you.\n\n📍 Route: ${segment.pickup_address} → ${segment.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}\n💰 Total: ₹${segment.price_per_seat * entry.seats_requested}\n\nAccept the offer by ${expiry.formattedDate} at ${expiry.formattedTime}, otherwise it will pass to the next passenger.`);
+    }
+  } catch (error) {
+    console.error('Failed to offer freed seats:', error);
+  }
+}
+
+// Loads one of `passenger`'s own waitlist entries
+async function findOwnEntry(passenger, entryId) {
+  const entry = await waitlist.findById(entryId);
+  if (!entry) {
+    throw new HttpError(404, 'Waitlist entry not found');
+  }
+  if (entry.passenger_id !== passenger.id) {
+    throw new HttpError(403, 'Not authorized');
+  }
+  return entry;
+}
+
+// Books the seats held by an offer and tells the driver as for any booking
+export async function acceptOffer(passenger, entryId) {
+  const entry = await findOwnEntry(passenger, entryId);
+  if (entry.status !== 'offered') {
+    throw new HttpError(409, 'There is no open offer for this waitlist entry');
+  }
+  if (new Date(entry.offer_expires_at) <= new Date()) {
+    throw new HttpError(409, 'Offer has expired');
+  }
+
+  const { ride, segment } = await loadBookingSegment(entry);
+  await assertNotBlocked(passenger.id, ride.driver_id, 'You cannot book this ride');
+
+  let booking;
+  try {
+    booking = await waitlist.accept(entry.id, {
+      booking_id: uuidv4(),
+      ...bookingTerms(ride, segment, entry.seats_requested)
+    });
+  } catch (error) {
+    if (error instanceof ReservationError) {
+      // The offer cannot be used, so its seats go to the next passenger
+      await waitlist.transitionStatus(entry.id, { from: ['offered'], to: 'cancelled' });
+      await offerFreedSeats(entry.ride_id);
+      throw new HttpError(400, error.message);
+    }
+    throw error;
+  }
+  if (!booking) {
+    throw new HttpError(409, 'Offer is no longer available');
+  }
+
+  await payForBooking(booking);
+  await notifyNewBooking(passenger, ride, segment, booking);
+
+  return booking;
+}
+
+// Leaves the waitlist; an open offer is declined and passed on
+export async function leaveWaitlist(passenger, entryId) {
+  const entry = await findOwnEntry(passenger, entryId);
+
+  const updated = await waitlist.transitionStatus(entry.id, { from: ['waiting', 'offered'], to: 'cancelled' });
+  if (!updated) {
+    throw new HttpError(409, `Waitlist entry is already ${entry.status}`);
+  }
+  if (entry.status === 'offered') {
+    await offerFreedSeats(entry.ride_id);
+  }
+
+  return updated;
+}
+
+// Background job: offers nobody accepted in time lapse and their seats move
+// on to the next passenger in the queue.
+export async function expireWaitlistOffers() {
+  for (const entry of await waitlist.listExpiredOffers(new Date().toISOString())) {
+    const expired = await waitlist.transitionStatus(entry.id, { from: ['offered'], to: 'expired' });
+    // Accepted or declined in the meantime
+    if (!expired) continue;
+
+    const { ride, segment } = await loadBookingSegment(entry);
+
+    const { formattedDate, formattedTime } = formatPickupTime(segment.pickup_time);
+    await notifyPassenger(ride, entry.passenger_id,
+      `⌛ Seat Offer Expired\n\nYou did not accept the seats held for you in time, so they have been offered to the next passenger on the waitlist.\n\n📍 Route: ${segment.pickup_address} → ${segment.drop_address}\n📅 Date: ${formattedDate} at ${formattedTime}`);
+    await offerFreedSeats(entry.ride_id);
+  }
+}
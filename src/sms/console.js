@@ -0,0 +1,16 @@
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+
+// Local provider for development: messages are printed to the console and,
+// when SMS_LOG_FILE is set, appended to that file instead of being sent.
+export const name = 'console';
+
+const LOG_FILE = process.env.SMS_LOG_FILE;
+
+export async function send({ to, body }) {
+  console.log(`📱 SMS to ${to}: ${body}`);
+  if (LOG_FILE) {
+    fs.appendFileSync(LOG_FILE, `${JSON.stringify({ at: new Date().toISOString(), to, body })}\n`);
+  }
+  return { reference: `console_${uuidv4()}` };
+}
@@ -0,0 +1,22 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// SMS_PROVIDER picks the gateway that texts one-time codes. A provider
+// module exports:
+//   name
+//   send({ to, body }) -> { reference }
+// with `to` in E.164 format, and throws when the message is not accepted.
+export const providerName = process.env.SMS_PROVIDER || 'console';
+
+const loaders = {
+  console: () => import('./console.js'),
+};
+
+if (!loaders[providerName]) {
+  throw new Error(`Unknown SMS_PROVIDER "${providerName}"`);
+}
+
+const provider = await loaders[providerName]();
+
+export default provider;
@@ -0,0 +1,39 @@
+// Thrown by services for failures the client caused; routes turn these into
+// `{ message }` responses with the given status.
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+// HttpError for 429 responses; routes send `retryAfter` (seconds) as the
+// Retry-After header.
+export class RateLimitError extends HttpError {
+  constructor(message, retryAfter) {
+    super(429, message);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+const RESERVATION_MESSAGES = {
+  RIDE_UNAVAILABLE: 'Ride is not open for booking',
+  ALREADY_BOOKED: 'You already have a booking for this ride',
+  NO_SEATS: 'Not enough seats available'
+};
+
+// Thrown by repositories when an atomic seat reservation is refused; `code`
+// is one of the keys above (the Supabase functions raise the same codes).
+export class ReservationError extends Error {
+  constructor(code) {
+    super(RESERVATION_MESSAGES[code] || code);
+    this.name = 'ReservationError';
+    this.code = code;
+  }
+
+  static isCode(code) {
+    return code in RESERVATION_MESSAGES;
+  }
+}
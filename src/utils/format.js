@@ -0,0 +1,18 @@
+// Base URL of the web app, used for links in notifications and emails
+export const APP_URL = process.env.APP_URL || 'https://poolo.in';
+
+// Date/time strings used in ride notification messages
+export function formatPickupTime(pickupTime) {
+  const pickupDate = new Date(pickupTime);
+  return {
+    formattedDate: pickupDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }),
+    formattedTime: pickupDate.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true })
+  };
+}
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// For text users wrote that goes into HTML emails
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
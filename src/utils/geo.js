@@ -0,0 +1,52 @@
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two points, in kilometres
+export function haversineKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Lat/lng box that contains every point within radiusKm of the centre. Used
+// as a cheap indexed prefilter before the exact haversine check.
+export function boundingBox(lat, lng, radiusKm) {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const lngDelta = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(lat)), 0.01));
+  return {
+    minLat: lat - latDelta,
+    maxLat: lat + latDelta,
+    minLng: lng - lngDelta,
+    maxLng: lng + lngDelta
+  };
+}
+
+const DEFAULT_SEARCH_RADIUS_KM = 5;
+const MAX_SEARCH_RADIUS_KM = 100;
+
+// Reads `<prefix>_latitude`, `<prefix>_longitude` and `<prefix>_radius_km`
+// from a query string or saved search. Returns null when no coordinates
+// were given, or { error } when they are invalid.
+export function parseSearchPoint(query, prefix) {
+  const lat = query[`${prefix}_latitude`];
+  const lng = query[`${prefix}_longitude`];
+  if (lat == null && lng == null) return null;
+
+  const point = {
+    lat: parseFloat(lat),
+    lng: parseFloat(lng),
+    radiusKm: query[`${prefix}_radius_km`] == null ? DEFAULT_SEARCH_RADIUS_KM : parseFloat(query[`${prefix}_radius_km`])
+  };
+
+  if (!(Math.abs(point.lat) <= 90) || !(Math.abs(point.lng) <= 180)) {
+    return { error: `${prefix}_latitude and ${prefix}_longitude must be valid coordinates` };
+  }
+  if (!(point.radiusKm > 0 && point.radiusKm <= MAX_SEARCH_RADIUS_KM)) {
+    return { error: `${prefix}_radius_km must be between 0 and ${MAX_SEARCH_RADIUS_KM}` };
+  }
+  return point;
+}
@@ -0,0 +1,16 @@
+const DEFAULT_COUNTRY_CODE = '+91';
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Normalises a phone number to E.164. Ten-digit numbers without a country
+// code are taken as Indian. Returns null when the number is not valid.
+export function normalizePhone(input) {
+  if (typeof input !== 'string') return null;
+
+  let phone = input.replace(/[\s\-().]/g, '');
+  if (phone.startsWith('00')) {
+    phone = `+${phone.slice(2)}`;
+  } else if (/^0?\d{10}$/.test(phone)) {
+    phone = `${DEFAULT_COUNTRY_CODE}${phone.slice(-10)}`;
+  }
+  return E164_PATTERN.test(phone) ? phone : null;
+}
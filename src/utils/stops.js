@@ -0,0 +1,131 @@
+import { haversineKm } from './geo.js';
+
+// Builds the ordered stop list for a new ride: pickup, any intermediate
+// stops, then drop. Each stop carries the free seats on the segment leaving
+// it (null for the final stop) and its route_fraction, the cumulative share
+// of the trip at that stop, which segment prices are pro-rated on.
+export function buildStops(ride, intermediateStops = []) {
+  const points = [
+    { address: ride.pickup_address, latitude: ride.pickup_latitude, longitude: ride.pickup_longitude, arrival_time: ride.pickup_time },
+    ...intermediateStops.map(stop => ({
+      address: stop.address,
+      latitude: stop.latitude ?? null,
+      longitude: stop.longitude ?? null,
+      arrival_time: stop.arrival_time ?? null
+    })),
+    { address: ride.drop_address, latitude: ride.drop_latitude, longitude: ride.drop_longitude, arrival_time: ride.expected_drop_time ?? null }
+  ];
+
+  // Distance-weighted when every stop has coordinates, evenly spaced otherwise
+  const hasCoordinates = points.every(p => p.latitude != null && p.longitude != null);
+  const legs = points.slice(1).map((point, i) => hasCoordinates
+    ? haversineKm(points[i].latitude, points[i].longitude, point.latitude, point.longitude)
+    : 1);
+  const total = legs.reduce((sum, leg) => sum + leg, 0);
+  const weights = total > 0 ? legs : legs.map(() => 1);
+  const weightTotal = total > 0 ? total : legs.length;
+
+  let travelled = 0;
+  return points.map((point, i) => {
+    if (i > 0) travelled += weights[i - 1];
+    const isLast = i === points.length - 1;
+    return {
+      ...point,
+      stop_order: i,
+      seats_available: isLast ? null : ride.available_seats,
+      route_fraction: isLast ? 1 : Math.round((travelled / weightTotal) * 10000) / 10000
+    };
+  });
+}
+
+export function lastStopOrder(stops) {
+  return stops[stops.length - 1].stop_order;
+}
+
+export function stopAt(stops, order) {
+  return stops.find(stop => stop.stop_order === order);
+}
+
+// Seats bookable from stop `from` to stop `to`: the tightest segment in between
+export function segmentAvailableSeats(stops, from, to) {
+  return Math.min(...stops
+    .filter(stop => stop.stop_order >= from && stop.stop_order < to)
+    .map(stop => stop.seats_available));
+}
+
+export function segmentPricePerSeat(ride, stops, from, to) {
+  const fraction = stopAt(stops, to).route_fraction - stopAt(stops, from).route_fraction;
+  return Math.round(ride.price_per_seat * fraction * 100) / 100;
+}
+
+export function describeSegment(ride, stops, from, to) {
+  const pickupStop = stopAt(stops, from);
+  const dropStop = stopAt(stops, to);
+  return {
+    from_stop_order: from,
+    to_stop_order: to,
+    pickup_address: pickupStop.address,
+    drop_address: dropStop.address,
+    pickup_time: pickupStop.arrival_time || ride.pickup_time,
+    available_seats: segmentAvailableSeats(stops, from, to),
+    price_per_seat: segmentPricePerSeat(ride, stops, from, to)
+  };
+}
+
+function matchesStop(stop, text, point) {
+  if (text && !stop.address.toLowerCase().includes(text.toLowerCase())) {
+    return { matches: false };
+  }
+  if (!point) {
+    return { matches: true, distanceKm: null };
+  }
+  if (stop.latitude == null || stop.longitude == null) {
+    return { matches: false };
+  }
+  const distanceKm = haversineKm(point.lat, point.lng, stop.latitude, stop.longitude);
+  return { matches: distanceKm <= point.radiusKm, distanceKm };
+}
+
+const roundKm = km => (km == null ? null : Math.round(km * 100) / 100);
+
+// Picks the segment of a ride that best serves a search: the pickup stop
+// must match the pickup text/coordinates and the drop stop, further along,
+// the drop ones. Without pickup (drop) criteria the segment starts at the
+// first (ends at the last) stop. Among matches the smallest combined detour
+// wins. Returns null when no segment matches or has enough seats.
+export function findSegment(ride, { pickup_location, drop_location, pickup, drop, seats_needed }) {
+  const stops = ride.stops;
+  const last = lastStopOrder(stops);
+  const filterPickup = Boolean(pickup_location || pickup);
+  const filterDrop = Boolean(drop_location || drop);
+  let best = null;
+
+  for (const from of stops) {
+    if (from.stop_order === last || (!filterPickup && from.stop_order !== 0)) continue;
+    const pickupMatch = matchesStop(from, pickup_location, pickup);
+    if (!pickupMatch.matches) continue;
+
+    for (const to of stops) {
+      if (to.stop_order <= from.stop_order || (!filterDrop && to.stop_order !== last)) continue;
+      const dropMatch = matchesStop(to, drop_location, drop);
+      if (!dropMatch.matches) continue;
+
+      const seats = segmentAvailableSeats(stops, from.stop_order, to.stop_order);
+      if (seats_needed && seats < parseInt(seats_needed)) continue;
+
+      const detourKm = (pickupMatch.distanceKm || 0) + (dropMatch.distanceKm || 0);
+      if (!best || detourKm < best.detourKm) {
+        best = { from: from.stop_order, to: to.stop_order, pickupMatch, dropMatch, detourKm };
+      }
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    segment: describeSegment(ride, stops, best.from, best.to),
+    pickup_distance_km: roundKm(best.pickupMatch.distanceKm),
+    drop_distance_km: roundKm(best.dropMatch.distanceKm),
+    detour_km: pickup || drop ? roundKm(best.detourKm) : null
+  };
+}
@@ -0,0 +1,205 @@
+import { normalizePhone } from './phone.js';
+
+// Request schemas are plain JSON Schema objects (the subset below), so the
+// same objects can be published as API docs. Supported keywords:
+//   type (one type or a list, e.g. ['string', 'null']), enum, const
+//   properties, required, dependentRequired, items, minItems, maxItems,
+//   uniqueItems
+//   minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+//   minLength, maxLength, pattern, format (date-time, date, email, uuid, phone)
+//     (minLength ignores surrounding whitespace)
+//   allOf, if/then/else
+//   errorMessage       replaces the message of any error on that value
+// and these extensions, which docs can show as-is:
+//   x-future           a date-time that must be later than now
+//   x-minimum-field    not less than (or before) the named sibling field
+//   x-maximum-field    not more than (or after) the named sibling field
+
+const FORMATS = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.test(value) && !Number.isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  phone: value => normalizePhone(value) !== null
+};
+
+const FORMAT_MESSAGES = {
+  'date-time': 'must be an ISO 8601 date-time',
+  date: 'must be a date (YYYY-MM-DD)',
+  email: 'must be an email address',
+  uuid: 'must be a valid id',
+  phone: 'must be a valid phone number'
+};
+
+const TYPE_MESSAGES = {
+  string: 'must be a string',
+  integer: 'must be a whole number',
+  number: 'must be a number',
+  boolean: 'must be true or false',
+  object: 'must be an object',
+  array: 'must be a list',
+  null: 'must be null'
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+// Query strings and route params only carry strings
+function coerceTo(type, value) {
+  if (typeof value !== 'string') {
+    return type === 'array' && value !== undefined && !Array.isArray(value) ? [value] : value;
+  }
+  if ((type === 'integer' || type === 'number') && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (type === 'array') {
+    return [value];
+  }
+  return value;
+}
+
+const isDateSchema = schema => schema?.format === 'date-time' || schema?.format === 'date';
+
+// Orders two values of the same field type; date-times by their instant
+function compare(schema, a, b) {
+  if (schema?.format === 'date-time') return Date.parse(a) - Date.parse(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const join = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+function check(schema, value, path, options, errors) {
+  const fail = message => {
+    errors.push({ field: path, message: schema.errorMessage || message });
+    return value;
+  };
+
+  const types = schema.type === undefined ? null : [].concat(schema.type);
+  if (types) {
+    if (options.coerce) {
+      value = types.reduce((coerced, type) => (types.some(t => TYPE_CHECKS[t](coerced)) ? coerced : coerceTo(type, coerced)), value);
+    }
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      return fail(TYPE_MESSAGES[types.find(type => type !== 'null')]);
+    }
+    if (value === null) return value;
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return fail(`must be ${schema.const}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.filter(option => option !== null).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) return fail(`must be greater than ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) return fail(`must be less than ${schema.exclusiveMaximum}`);
+    // Tolerates float error, e.g. 0.1 + 0.2 as a multiple of 0.01
+    if (schema.multipleOf !== undefined && Math.abs(Math.round(value / schema.multipleOf) * schema.multipleOf - value) > 1e-9) {
+      return fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) return fail('is not in the expected format');
+    if (schema.format !== undefined && !FORMATS[schema.format](value)) return fail(FORMAT_MESSAGES[schema.format]);
+    if (schema['x-future'] && Date.parse(value) <= Date.now()) return fail('must be in the future');
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} item(s)`);
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) return fail('must not contain duplicates');
+    if (schema.items) {
+      value = value.map((item, i) => check(schema.items, item, join(path, i), options, errors));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    value = checkObject(schema, value, path, options, errors);
+  }
+
+  for (const part of schema.allOf || []) {
+    value = check(part, value, path, options, errors);
+  }
+  if (schema.if) {
+    const branch = isValid(schema.if, value, path, options) ? schema.then : schema.else;
+    if (branch) value = check(branch, value, path, options, errors);
+  }
+  return value;
+}
+
+function isValid(schema, value, path, options) {
+  const errors = [];
+  check(schema, value, path, options, errors);
+  return errors.length === 0;
+}
+
+function checkObject(schema, value, path, options, errors) {
+  const result = { ...value };
+  for (const field of schema.required || []) {
+    if (result[field] === undefined || (options.coerce && result[field] === '')) {
+      errors.push({ field: join(path, field), message: 'is required' });
+    }
+  }
+  const missing = new Set();
+  for (const [field, dependencies] of Object.entries(schema.dependentRequired || {})) {
+    if (result[field] === undefined) continue;
+    for (const dependency of dependencies) {
+      if (result[dependency] === undefined && !missing.has(dependency)) {
+        missing.add(dependency);
+        errors.push({ field: join(path, dependency), message: `is required with ${field}` });
+      }
+    }
+  }
+
+  const failed = new Set(errors.map(error => error.field));
+  for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+    if (result[field] === undefined) continue;
+    const before = errors.length;
+    result[field] = check(fieldSchema, result[field], join(path, field), options, errors);
+    if (errors.length > before) failed.add(join(path, field));
+  }
+
+  // Comparisons between fields, once both are present and valid
+  for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+    for (const [keyword, sign] of [['x-minimum-field', 1], ['x-maximum-field', -1]]) {
+      const other = fieldSchema[keyword];
+      if (!other || result[field] == null || result[other] == null || failed.has(join(path, field)) || failed.has(join(path, other))) continue;
+      if (sign * compare(fieldSchema, result[field], result[other]) < 0) {
+        const message = isDateSchema(fieldSchema)
+          ? `cannot be ${sign > 0 ? 'before' : 'after'} ${other}`
+          : `cannot be ${sign > 0 ? 'less than' : 'more than'} ${other}`;
+        errors.push({ field: join(path, field), message: fieldSchema.errorMessage || message });
+      }
+    }
+  }
+  return result;
+}
+
+// Checks `value` against `schema`. With `coerce`, numeric and boolean
+// strings (and single values for lists) are converted first, as query
+// strings need. Returns { value, errors } with the converted value and a
+// list of { field, message }.
+export function validateSchema(schema, value, { coerce = false } = {}) {
+  const errors = [];
+  const converted = check(schema, value, '', { coerce }, errors);
+  return { value: converted, errors };
+}
@@ -0,0 +1,3 @@
+-- Bounding-box prefilter for radius search on /api/rides/search
+CREATE INDEX IF NOT EXISTS idx_rides_pickup_coords ON rides (pickup_latitude, pickup_longitude);
+CREATE INDEX IF NOT EXISTS idx_rides_drop_coords ON rides (drop_latitude, drop_longitude);
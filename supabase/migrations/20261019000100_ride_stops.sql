@@ -0,0 +1,30 @@
+-- Multi-stop rides: every ride has ordered stops (pickup = 0, drop = last).
+-- seats_available is the free seats on the segment leaving a stop (NULL on
+-- the final stop); route_fraction is the cumulative share of the trip used
+-- to pro-rate segment prices.
+CREATE TABLE IF NOT EXISTS ride_stops (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ride_id UUID NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+  stop_order INTEGER NOT NULL,
+  address TEXT NOT NULL,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  arrival_time TIMESTAMPTZ,
+  seats_available INTEGER,
+  route_fraction DOUBLE PRECISION NOT NULL,
+  UNIQUE (ride_id, stop_order)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stops_coords ON ride_stops (latitude, longitude);
+
+ALTER TABLE ride_bookings ADD COLUMN IF NOT EXISTS from_stop_order INTEGER;
+ALTER TABLE ride_bookings ADD COLUMN IF NOT EXISTS to_stop_order INTEGER;
+
+-- Rides created before stops existed get a pickup and drop stop
+INSERT INTO ride_stops (ride_id, stop_order, address, latitude, longitude, arrival_time, seats_available, route_fraction)
+SELECT r.id, 0, r.pickup_address, r.pickup_latitude, r.pickup_longitude, r.pickup_time, r.available_seats, 0
+FROM rides r WHERE NOT EXISTS (SELECT 1 FROM ride_stops s WHERE s.ride_id = r.id);
+
+INSERT INTO ride_stops (ride_id, stop_order, address, latitude, longitude, arrival_time, seats_available, route_fraction)
+SELECT r.id, 1, r.drop_address, r.drop_latitude, r.drop_longitude, r.expected_drop_time, NULL, 1
+FROM rides r WHERE NOT EXISTS (SELECT 1 FROM ride_stops s WHERE s.ride_id = r.id AND s.stop_order > 0);
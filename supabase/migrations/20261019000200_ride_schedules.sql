@@ -0,0 +1,34 @@
+-- Recurring commuter schedules; rides are materialised from them a few days ahead
+CREATE TABLE IF NOT EXISTS ride_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  driver_id UUID NOT NULL REFERENCES users(id),
+  pickup_address TEXT NOT NULL,
+  pickup_latitude DOUBLE PRECISION,
+  pickup_longitude DOUBLE PRECISION,
+  drop_address TEXT NOT NULL,
+  drop_latitude DOUBLE PRECISION,
+  drop_longitude DOUBLE PRECISION,
+  stops JSONB NOT NULL DEFAULT '[]',
+  total_seats INTEGER NOT NULL,
+  vehicle_type TEXT NOT NULL CHECK (vehicle_type IN ('bike', 'car', 'cab', 'suv')),
+  price_per_seat NUMERIC NOT NULL,
+  description TEXT,
+  days_of_week JSONB NOT NULL,
+  departure_time TEXT NOT NULL,
+  duration_minutes INTEGER,
+  utc_offset_minutes INTEGER NOT NULL DEFAULT 330,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  skip_dates JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedules_driver ON ride_schedules (driver_id);
+
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES ride_schedules(id);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rides_schedule_occurrence
+  ON rides (schedule_id, occurrence_date) WHERE schedule_id IS NOT NULL;
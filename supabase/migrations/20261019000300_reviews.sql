@@ -0,0 +1,36 @@
+-- Two-way reviews after completed rides; one review per booking and reviewer
+CREATE TABLE IF NOT EXISTS reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES ride_bookings(id),
+  ride_id UUID NOT NULL REFERENCES rides(id),
+  reviewer_id UUID NOT NULL REFERENCES users(id),
+  reviewee_id UUID NOT NULL REFERENCES users(id),
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment TEXT,
+  tags JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (booking_id, reviewer_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_reviewee ON reviews (reviewee_id);
+
+-- Same starting rating as the SQLite backend for users without reviews
+ALTER TABLE users ALTER COLUMN rating SET DEFAULT 5.0;
+UPDATE users SET rating = 5.0
+WHERE rating = 0 AND NOT EXISTS (SELECT 1 FROM reviews WHERE reviewee_id = users.id);
+
+-- A user's rating is the average of the reviews they received and
+-- total_rides the number of distinct rides they were reviewed for
+CREATE OR REPLACE FUNCTION refresh_user_rating() RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE users SET
+    rating = (SELECT ROUND(AVG(rating)::numeric, 2) FROM reviews WHERE reviewee_id = NEW.reviewee_id),
+    total_rides = (SELECT COUNT(DISTINCT ride_id) FROM reviews WHERE reviewee_id = NEW.reviewee_id)
+  WHERE id = NEW.reviewee_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_reviews_aggregate ON reviews;
+CREATE TRIGGER trg_reviews_aggregate AFTER INSERT ON reviews
+FOR EACH ROW EXECUTE FUNCTION refresh_user_rating();
@@ -0,0 +1,11 @@
+-- "Request to book" rides: bookings start pending and expire unless approved
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS booking_mode TEXT NOT NULL DEFAULT 'instant'
+  CHECK (booking_mode IN ('instant', 'request'));
+ALTER TABLE ride_schedules ADD COLUMN IF NOT EXISTS booking_mode TEXT NOT NULL DEFAULT 'instant'
+  CHECK (booking_mode IN ('instant', 'request'));
+
+ALTER TABLE ride_bookings ADD COLUMN IF NOT EXISTS status_reason TEXT;
+ALTER TABLE ride_bookings ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_pending_expiry
+  ON ride_bookings (expires_at) WHERE booking_status = 'pending';
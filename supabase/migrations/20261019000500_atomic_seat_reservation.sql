@@ -0,0 +1,106 @@
+-- Atomic seat bookkeeping. The API calls these through supabase.rpc() so the
+-- availability check and the seat update happen in one transaction.
+
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE ride_bookings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Adds p_delta free seats to every segment between two stops and refreshes
+-- rides.available_seats (seats free for the whole route)
+CREATE OR REPLACE FUNCTION shift_segment_seats(p_ride_id UUID, p_from INTEGER, p_to INTEGER, p_delta INTEGER)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE ride_stops SET seats_available = seats_available + p_delta
+  WHERE ride_id = p_ride_id AND stop_order >= p_from AND stop_order < p_to;
+
+  UPDATE rides SET available_seats = (SELECT MIN(seats_available) FROM ride_stops WHERE ride_id = p_ride_id),
+    updated_at = NOW()
+  WHERE id = p_ride_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Gives back the seats held by a booking (legacy bookings cover the whole route)
+CREATE OR REPLACE FUNCTION release_booking_seats(p_booking ride_bookings)
+RETURNS VOID AS $$
+DECLARE
+  v_last INTEGER;
+BEGIN
+  SELECT MAX(stop_order) INTO v_last FROM ride_stops WHERE ride_id = p_booking.ride_id;
+  PERFORM shift_segment_seats(p_booking.ride_id, COALESCE(p_booking.from_stop_order, 0),
+    COALESCE(p_booking.to_stop_order, v_last), p_booking.seats_booked);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION reserve_seats(
+  p_booking_id UUID, p_ride_id UUID, p_passenger_id UUID, p_seats INTEGER, p_status TEXT,
+  p_total_price NUMERIC, p_from INTEGER, p_to INTEGER, p_expires_at TIMESTAMPTZ
+) RETURNS SETOF ride_bookings AS $$
+DECLARE
+  v_status TEXT;
+  v_seats INTEGER;
+BEGIN
+  -- Lock the ride so concurrent reservations on it run one after another
+  SELECT status INTO v_status FROM rides WHERE id = p_ride_id FOR UPDATE;
+  IF v_status IS DISTINCT FROM 'available' THEN
+    RAISE EXCEPTION 'RIDE_UNAVAILABLE';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM ride_bookings WHERE ride_id = p_ride_id AND passenger_id = p_passenger_id AND booking_status <> 'cancelled') THEN
+    RAISE EXCEPTION 'ALREADY_BOOKED';
+  END IF;
+
+  SELECT MIN(seats_available) INTO v_seats FROM ride_stops
+  WHERE ride_id = p_ride_id AND stop_order >= p_from AND stop_order < p_to;
+  IF v_seats IS NULL OR v_seats < p_seats THEN
+    RAISE EXCEPTION 'NO_SEATS';
+  END IF;
+
+  PERFORM shift_segment_seats(p_ride_id, p_from, p_to, -p_seats);
+
+  RETURN QUERY
+  INSERT INTO ride_bookings (id, ride_id, passenger_id, seats_booked, booking_status, total_price, from_stop_order, to_stop_order, expires_at)
+  VALUES (p_booking_id, p_ride_id, p_passenger_id, p_seats, p_status, p_total_price, p_from, p_to, p_expires_at)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION transition_booking(
+  p_booking_id UUID, p_from TEXT[], p_to TEXT, p_reason TEXT, p_release BOOLEAN
+) RETURNS SETOF ride_bookings AS $$
+DECLARE
+  v_booking ride_bookings;
+BEGIN
+  UPDATE ride_bookings SET booking_status = p_to, status_reason = p_reason, updated_at = NOW()
+  WHERE id = p_booking_id AND booking_status = ANY (p_from)
+  RETURNING * INTO v_booking;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+  IF p_release THEN
+    PERFORM release_booking_seats(v_booking);
+  END IF;
+  RETURN NEXT v_booking;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION cancel_ride(p_ride_id UUID)
+RETURNS SETOF ride_bookings AS $$
+DECLARE
+  v_booking ride_bookings;
+BEGIN
+  UPDATE rides SET status = 'cancelled', updated_at = NOW()
+  WHERE id = p_ride_id AND status NOT IN ('cancelled', 'completed');
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RIDE_NOT_CANCELLABLE';
+  END IF;
+
+  FOR v_booking IN
+    UPDATE ride_bookings SET booking_status = 'cancelled', status_reason = 'ride_cancelled', updated_at = NOW()
+    WHERE ride_id = p_ride_id AND booking_status IN ('pending', 'confirmed')
+    RETURNING *
+  LOOP
+    PERFORM release_booking_seats(v_booking);
+    RETURN NEXT v_booking;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,141 @@
+-- Waitlist for full rides. Freed seats are offered to waiting passengers in
+-- queue order; an offer holds its seats until accepted, declined or expired.
+CREATE TABLE IF NOT EXISTS ride_waitlist (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ride_id UUID NOT NULL REFERENCES rides(id),
+  passenger_id UUID NOT NULL REFERENCES users(id),
+  seats_requested INTEGER NOT NULL CHECK (seats_requested > 0),
+  from_stop_order INTEGER NOT NULL,
+  to_stop_order INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'waiting'
+    CHECK (status IN ('waiting', 'offered', 'accepted', 'expired', 'cancelled')),
+  offer_expires_at TIMESTAMPTZ,
+  booking_id UUID REFERENCES ride_bookings(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_ride ON ride_waitlist (ride_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_open_entry
+  ON ride_waitlist (ride_id, passenger_id) WHERE status IN ('waiting', 'offered');
+CREATE INDEX IF NOT EXISTS idx_waitlist_offer_expiry
+  ON ride_waitlist (offer_expires_at) WHERE status = 'offered';
+
+-- Offers free seats to the first waiting passenger whose segment fits and
+-- who has not booked the ride in the meantime, holding the seats
+CREATE OR REPLACE FUNCTION offer_next_waitlist(p_ride_id UUID, p_expires_at TIMESTAMPTZ)
+RETURNS SETOF ride_waitlist AS $$
+DECLARE
+  v_status TEXT;
+  v_entry ride_waitlist;
+BEGIN
+  SELECT status INTO v_status FROM rides WHERE id = p_ride_id FOR UPDATE;
+  IF v_status IS DISTINCT FROM 'available' THEN
+    RETURN;
+  END IF;
+
+  SELECT w.* INTO v_entry FROM ride_waitlist w
+  WHERE w.ride_id = p_ride_id AND w.status = 'waiting'
+    AND NOT EXISTS (
+      SELECT 1 FROM ride_bookings b
+      WHERE b.ride_id = w.ride_id AND b.passenger_id = w.passenger_id AND b.booking_status <> 'cancelled'
+    )
+    AND (
+      SELECT MIN(seats_available) FROM ride_stops
+      WHERE ride_id = p_ride_id AND stop_order >= w.from_stop_order AND stop_order < w.to_stop_order
+    ) >= w.seats_requested
+  ORDER BY w.created_at, w.id
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  PERFORM shift_segment_seats(p_ride_id, v_entry.from_stop_order, v_entry.to_stop_order, -v_entry.seats_requested);
+
+  RETURN QUERY
+  UPDATE ride_waitlist SET status = 'offered', offer_expires_at = p_expires_at, updated_at = NOW()
+  WHERE id = v_entry.id
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Turns a live offer into a booking that takes over the held seats
+CREATE OR REPLACE FUNCTION accept_waitlist_offer(
+  p_entry_id UUID, p_booking_id UUID, p_status TEXT, p_total_price NUMERIC, p_expires_at TIMESTAMPTZ
+) RETURNS SETOF ride_bookings AS $$
+DECLARE
+  v_entry ride_waitlist;
+  v_status TEXT;
+BEGIN
+  SELECT * INTO v_entry FROM ride_waitlist WHERE id = p_entry_id FOR UPDATE;
+  IF NOT FOUND OR v_entry.status <> 'offered' OR v_entry.offer_expires_at <= NOW() THEN
+    RETURN;
+  END IF;
+
+  SELECT status INTO v_status FROM rides WHERE id = v_entry.ride_id FOR UPDATE;
+  IF v_status IS DISTINCT FROM 'available' THEN
+    RAISE EXCEPTION 'RIDE_UNAVAILABLE';
+  END IF;
+  IF EXISTS (SELECT 1 FROM ride_bookings WHERE ride_id = v_entry.ride_id AND passenger_id = v_entry.passenger_id AND booking_status <> 'cancelled') THEN
+    RAISE EXCEPTION 'ALREADY_BOOKED';
+  END IF;
+
+  UPDATE ride_waitlist SET status = 'accepted', booking_id = p_booking_id, updated_at = NOW()
+  WHERE id = p_entry_id;
+
+  RETURN QUERY
+  INSERT INTO ride_bookings (id, ride_id, passenger_id, seats_booked, booking_status, total_price, from_stop_order, to_stop_order, expires_at)
+  VALUES (p_booking_id, v_entry.ride_id, v_entry.passenger_id, v_entry.seats_requested, p_status, p_total_price,
+    v_entry.from_stop_order, v_entry.to_stop_order, p_expires_at)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Moves an entry between statuses, giving back the seats of a held offer
+CREATE OR REPLACE FUNCTION transition_waitlist(p_entry_id UUID, p_from TEXT[], p_to TEXT)
+RETURNS SETOF ride_waitlist AS $$
+DECLARE
+  v_entry ride_waitlist;
+BEGIN
+  SELECT * INTO v_entry FROM ride_waitlist WHERE id = p_entry_id AND status = ANY (p_from) FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  IF v_entry.status = 'offered' THEN
+    PERFORM shift_segment_seats(v_entry.ride_id, v_entry.from_stop_order, v_entry.to_stop_order, v_entry.seats_requested);
+  END IF;
+
+  RETURN QUERY
+  UPDATE ride_waitlist SET status = p_to, updated_at = NOW()
+  WHERE id = p_entry_id
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Cancelling a ride also closes its waitlist
+CREATE OR REPLACE FUNCTION cancel_ride(p_ride_id UUID)
+RETURNS SETOF ride_bookings AS $$
+DECLARE
+  v_booking ride_bookings;
+BEGIN
+  UPDATE rides SET status = 'cancelled', updated_at = NOW()
+  WHERE id = p_ride_id AND status NOT IN ('cancelled', 'completed');
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RIDE_NOT_CANCELLABLE';
+  END IF;
+
+  FOR v_booking IN
+    UPDATE ride_bookings SET booking_status = 'cancelled', status_reason = 'ride_cancelled', updated_at = NOW()
+    WHERE ride_id = p_ride_id AND booking_status IN ('pending', 'confirmed')
+    RETURNING *
+  LOOP
+    PERFORM release_booking_seats(v_booking);
+    RETURN NEXT v_booking;
+  END LOOP;
+
+  UPDATE ride_waitlist SET status = 'cancelled', updated_at = NOW()
+  WHERE ride_id = p_ride_id AND status IN ('waiting', 'offered');
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,25 @@
+-- Saved ride searches; subscribers are messaged when a matching ride is published
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id),
+  name TEXT,
+  pickup_location TEXT,
+  pickup_latitude DOUBLE PRECISION,
+  pickup_longitude DOUBLE PRECISION,
+  pickup_radius_km DOUBLE PRECISION,
+  drop_location TEXT,
+  drop_latitude DOUBLE PRECISION,
+  drop_longitude DOUBLE PRECISION,
+  drop_radius_km DOUBLE PRECISION,
+  vehicle_type TEXT CHECK (vehicle_type IN ('bike', 'car', 'cab', 'suv')),
+  seats_needed INTEGER CHECK (seats_needed > 0),
+  earliest_time TEXT,
+  latest_time TEXT,
+  utc_offset_minutes INTEGER NOT NULL DEFAULT 330,
+  alerts_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches (user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_alerts ON saved_searches (vehicle_type) WHERE alerts_enabled;
@@ -0,0 +1,12 @@
+-- Events pushed to users over the realtime stream. The id doubles as the
+-- client's cursor for catching up by polling or after reconnecting.
+CREATE TABLE IF NOT EXISTS realtime_events (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id),
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_realtime_events_user ON realtime_events (user_id, id);
+CREATE INDEX IF NOT EXISTS idx_realtime_events_created ON realtime_events (created_at);
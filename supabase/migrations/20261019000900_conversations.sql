@@ -0,0 +1,35 @@
+-- Conversations are keyed by ride and the other participant. The list, its
+-- unread counts and the latest message are computed here instead of in the API.
+CREATE INDEX IF NOT EXISTS idx_messages_sender ON ride_messages (sender_id, receiver_id, ride_id);
+CREATE INDEX IF NOT EXISTS idx_messages_receiver ON ride_messages (receiver_id, sender_id, ride_id);
+CREATE INDEX IF NOT EXISTS idx_messages_unread ON ride_messages (receiver_id) WHERE NOT is_read;
+CREATE INDEX IF NOT EXISTS idx_messages_created ON ride_messages (created_at, id);
+
+CREATE OR REPLACE FUNCTION list_conversations(p_user_id UUID)
+RETURNS TABLE (
+  "partnerId" UUID, "partnerName" TEXT, "rideId" UUID, pickup_address TEXT, drop_address TEXT,
+  "lastMessageTime" TIMESTAMPTZ, "unreadCount" BIGINT, "lastMessage" TEXT
+) AS $$
+  WITH mine AS (
+    SELECT m.*, CASE WHEN m.sender_id = p_user_id THEN m.receiver_id ELSE m.sender_id END AS partner
+    FROM ride_messages m
+    WHERE m.sender_id = p_user_id OR m.receiver_id = p_user_id
+  ),
+  latest AS (
+    SELECT DISTINCT ON (mine.ride_id, mine.partner) *
+    FROM mine
+    ORDER BY mine.ride_id, mine.partner, mine.created_at DESC, mine.id DESC
+  ),
+  unread AS (
+    SELECT mine.ride_id, mine.partner, COUNT(*) AS n
+    FROM mine
+    WHERE mine.receiver_id = p_user_id AND NOT mine.is_read
+    GROUP BY mine.ride_id, mine.partner
+  )
+  SELECT l.partner, u.name, l.ride_id, r.pickup_address, r.drop_address, l.created_at, COALESCE(un.n, 0), l.message
+  FROM latest l
+  JOIN users u ON u.id = l.partner
+  LEFT JOIN rides r ON r.id = l.ride_id
+  LEFT JOIN unread un ON un.ride_id = l.ride_id AND un.partner = l.partner
+  ORDER BY l.created_at DESC, l.id DESC;
+$$ LANGUAGE sql STABLE;
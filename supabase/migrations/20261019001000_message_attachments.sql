@@ -0,0 +1,3 @@
+-- Image and location messages keep their details (image and thumbnail URLs,
+-- or coordinates and label) as JSON next to the fallback text
+ALTER TABLE ride_messages ADD COLUMN IF NOT EXISTS attachment JSONB;
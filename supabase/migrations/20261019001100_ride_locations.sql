@@ -0,0 +1,20 @@
+-- GPS pings posted by the driver while a ride is active; deleted once the
+-- trip is over
+CREATE TABLE IF NOT EXISTS ride_locations (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  ride_id UUID NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  heading DOUBLE PRECISION,
+  speed_kmh DOUBLE PRECISION,
+  accuracy_m DOUBLE PRECISION,
+  recorded_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_locations_ride ON ride_locations (ride_id, recorded_at);
+
+CREATE OR REPLACE FUNCTION purge_trip_locations()
+RETURNS VOID AS $$
+  DELETE FROM ride_locations
+  WHERE ride_id NOT IN (SELECT id FROM rides WHERE status = 'active');
+$$ LANGUAGE sql;
@@ -0,0 +1,86 @@
+-- Rides move available -> active -> completed, or to cancelled before they
+-- are completed; each transition is timestamped
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+
+-- total_rides now counts completed rides (as driver or passenger) instead of
+-- reviewed ones, so reviews only refresh the rating
+CREATE OR REPLACE FUNCTION refresh_user_rating() RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE users SET
+    rating = (SELECT ROUND(AVG(rating)::numeric, 2) FROM reviews WHERE reviewee_id = NEW.reviewee_id)
+  WHERE id = NEW.reviewee_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+UPDATE users SET total_rides =
+  (SELECT COUNT(*) FROM rides WHERE driver_id = users.id AND status = 'completed')
+  + (SELECT COUNT(DISTINCT ride_id) FROM ride_bookings WHERE passenger_id = users.id AND booking_status = 'completed');
+
+-- Completes an active ride: confirmed bookings become completed and the
+-- driver and each of those passengers get one more ride on total_rides,
+-- while unanswered requests and the waitlist are closed. Returns the
+-- completed bookings.
+CREATE OR REPLACE FUNCTION complete_ride(p_ride_id UUID)
+RETURNS SETOF ride_bookings AS $$
+DECLARE
+  v_driver_id UUID;
+  v_booking ride_bookings;
+BEGIN
+  UPDATE rides SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+  WHERE id = p_ride_id AND status = 'active'
+  RETURNING driver_id INTO v_driver_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RIDE_NOT_ACTIVE';
+  END IF;
+
+  RETURN QUERY
+    UPDATE ride_bookings SET booking_status = 'completed', updated_at = NOW()
+    WHERE ride_id = p_ride_id AND booking_status = 'confirmed'
+    RETURNING *;
+
+  UPDATE users SET total_rides = total_rides + 1
+  WHERE id = v_driver_id
+     OR id IN (SELECT passenger_id FROM ride_bookings WHERE ride_id = p_ride_id AND booking_status = 'completed');
+
+  FOR v_booking IN
+    UPDATE ride_bookings SET booking_status = 'cancelled', status_reason = 'ride_completed', updated_at = NOW()
+    WHERE ride_id = p_ride_id AND booking_status = 'pending'
+    RETURNING *
+  LOOP
+    PERFORM release_booking_seats(v_booking);
+  END LOOP;
+
+  UPDATE ride_waitlist SET status = 'cancelled', updated_at = NOW()
+  WHERE ride_id = p_ride_id AND status IN ('waiting', 'offered');
+END;
+$$ LANGUAGE plpgsql;
+
+-- Same as before, but only from available or active and recording when the
+-- ride was cancelled
+CREATE OR REPLACE FUNCTION cancel_ride(p_ride_id UUID)
+RETURNS SETOF ride_bookings AS $$
+DECLARE
+  v_booking ride_bookings;
+BEGIN
+  UPDATE rides SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+  WHERE id = p_ride_id AND status IN ('available', 'active');
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RIDE_NOT_CANCELLABLE';
+  END IF;
+
+  FOR v_booking IN
+    UPDATE ride_bookings SET booking_status = 'cancelled', status_reason = 'ride_cancelled', updated_at = NOW()
+    WHERE ride_id = p_ride_id AND booking_status IN ('pending', 'confirmed')
+    RETURNING *
+  LOOP
+    PERFORM release_booking_seats(v_booking);
+    RETURN NEXT v_booking;
+  END LOOP;
+
+  UPDATE ride_waitlist SET status = 'cancelled', updated_at = NOW()
+  WHERE ride_id = p_ride_id AND status IN ('waiting', 'offered');
+END;
+$$ LANGUAGE plpgsql;
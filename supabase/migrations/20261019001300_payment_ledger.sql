@@ -0,0 +1,84 @@
+-- Double-entry ledger: every transaction's entries sum to zero. Amounts are
+-- in paise; a positive amount credits the account.
+CREATE TABLE IF NOT EXISTS ledger_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind TEXT NOT NULL CHECK (kind IN ('booking_charge', 'booking_refund', 'ride_earnings', 'top_up', 'payout', 'payout_reversal')),
+  booking_id UUID REFERENCES ride_bookings(id),
+  ride_id UUID REFERENCES rides(id),
+  description TEXT,
+  provider TEXT,
+  provider_reference TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Accounts: a user's wallet, the escrow holding a booking's payment and the
+-- payment provider (money entering or leaving the platform)
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  transaction_id UUID NOT NULL REFERENCES ledger_transactions(id),
+  account TEXT NOT NULL CHECK (account IN ('wallet', 'escrow', 'provider')),
+  owner_id UUID,
+  amount_paise BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries (account, owner_id, id);
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_booking ON ledger_transactions (booking_id);
+
+CREATE OR REPLACE FUNCTION ledger_balance(p_account TEXT, p_owner_id UUID)
+RETURNS BIGINT AS $$
+  SELECT COALESCE(SUM(amount_paise), 0)::BIGINT FROM ledger_entries
+  WHERE account = p_account AND owner_id IS NOT DISTINCT FROM p_owner_id;
+$$ LANGUAGE sql STABLE;
+
+-- Records a transaction and its entries ([{ account, owner_id, amount_paise }]).
+-- Wallet and escrow accounts may not go below zero: the accounts being
+-- debited are locked, and OVERDRAFT is raised instead of posting when one
+-- would.
+CREATE OR REPLACE FUNCTION post_ledger_transaction(p_transaction JSONB, p_entries JSONB)
+RETURNS ledger_transactions AS $$
+DECLARE
+  v_transaction ledger_transactions;
+  v_entry RECORD;
+BEGIN
+  IF (SELECT COALESCE(SUM((e->>'amount_paise')::BIGINT), 0) FROM jsonb_array_elements(p_entries) e) <> 0 THEN
+    RAISE EXCEPTION 'UNBALANCED_TRANSACTION';
+  END IF;
+
+  FOR v_entry IN
+    SELECT DISTINCT e->>'account' AS account, e->>'owner_id' AS owner_id
+    FROM jsonb_array_elements(p_entries) e
+    WHERE e->>'account' <> 'provider' AND (e->>'amount_paise')::BIGINT < 0
+    ORDER BY 1, 2
+  LOOP
+    PERFORM pg_advisory_xact_lock(hashtext('ledger:' || v_entry.account || ':' || COALESCE(v_entry.owner_id, '')));
+  END LOOP;
+
+  INSERT INTO ledger_transactions (id, kind, booking_id, ride_id, description, provider, provider_reference)
+  VALUES (
+    (p_transaction->>'id')::UUID,
+    p_transaction->>'kind',
+    (p_transaction->>'booking_id')::UUID,
+    (p_transaction->>'ride_id')::UUID,
+    p_transaction->>'description',
+    p_transaction->>'provider',
+    p_transaction->>'provider_reference'
+  )
+  RETURNING * INTO v_transaction;
+
+  INSERT INTO ledger_entries (transaction_id, account, owner_id, amount_paise)
+  SELECT v_transaction.id, e->>'account', (e->>'owner_id')::UUID, (e->>'amount_paise')::BIGINT
+  FROM jsonb_array_elements(p_entries) e;
+
+  FOR v_entry IN
+    SELECT DISTINCT e->>'account' AS account, (e->>'owner_id')::UUID AS owner_id
+    FROM jsonb_array_elements(p_entries) e
+    WHERE e->>'account' <> 'provider' AND (e->>'amount_paise')::BIGINT < 0
+  LOOP
+    IF ledger_balance(v_entry.account, v_entry.owner_id) < 0 THEN
+      RAISE EXCEPTION 'OVERDRAFT';
+    END IF;
+  END LOOP;
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,16 @@
+-- Cancellation policy: what a cancelled booking got back, and how often a
+-- driver cancelled a booked ride at short notice
+ALTER TABLE ride_bookings ADD COLUMN IF NOT EXISTS refund_amount NUMERIC;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS late_cancellations INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION record_booking_refund(p_booking_id UUID, p_amount NUMERIC)
+RETURNS VOID AS $$
+  UPDATE ride_bookings SET refund_amount = COALESCE(refund_amount, 0) + p_amount, updated_at = NOW()
+  WHERE id = p_booking_id;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION increment_late_cancellations(p_user_id UUID)
+RETURNS VOID AS $$
+  UPDATE users SET late_cancellations = late_cancellations + 1
+  WHERE id = p_user_id;
+$$ LANGUAGE sql;
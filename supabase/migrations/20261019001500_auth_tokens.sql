@@ -0,0 +1,12 @@
+-- Single-use email verification and password reset links. The link carries
+-- a signed token whose id is the row id.
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id),
+  purpose TEXT NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens (user_id, purpose);
@@ -0,0 +1,24 @@
+-- Set once the user confirms their phone number with a texted code
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- One-time codes texted to confirm a phone number; the number becomes the
+-- user's verified phone once the code is entered
+CREATE TABLE IF NOT EXISTS phone_verifications (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id),
+  phone_number TEXT NOT NULL,
+  code_hash TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  verified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_verifications_user ON phone_verifications (user_id, created_at);
+
+CREATE OR REPLACE FUNCTION record_phone_code_attempt(p_id UUID, p_max_attempts INTEGER)
+RETURNS INTEGER AS $$
+  UPDATE phone_verifications SET attempts = attempts + 1
+  WHERE id = p_id AND attempts < p_max_attempts
+  RETURNING attempts;
+$$ LANGUAGE sql;
@@ -0,0 +1,21 @@
+-- Request counters for rate limiting and login lockout, shared by the
+-- serverless instances (RATE_LIMIT_STORE=database)
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits (reset_at);
+
+-- Counts a hit on p_key, starting a new window of p_window_seconds when the
+-- last one is over
+CREATE OR REPLACE FUNCTION hit_rate_limit(p_key TEXT, p_window_seconds INTEGER)
+RETURNS TABLE (count INTEGER, reset_at TIMESTAMPTZ) AS $$
+  INSERT INTO rate_limits AS r (key, count, reset_at)
+  VALUES (p_key, 1, NOW() + make_interval(secs => p_window_seconds))
+  ON CONFLICT (key) DO UPDATE SET
+    count = CASE WHEN r.reset_at <= NOW() THEN 1 ELSE r.count + 1 END,
+    reset_at = CASE WHEN r.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE r.reset_at END
+  RETURNING r.count, r.reset_at;
+$$ LANGUAGE sql;
@@ -0,0 +1,30 @@
+-- Reports of abusive users, rides or messages, worked through by admins
+CREATE TABLE IF NOT EXISTS user_reports (
+  id UUID PRIMARY KEY,
+  reporter_id UUID NOT NULL REFERENCES users(id),
+  reported_user_id UUID NOT NULL REFERENCES users(id),
+  ride_id UUID REFERENCES rides(id),
+  message_id UUID REFERENCES ride_messages(id),
+  category TEXT NOT NULL,
+  description TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+  resolved_by UUID REFERENCES users(id),
+  resolution_note TEXT,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_reports_status ON user_reports (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_user_reports_reporter ON user_reports (reporter_id);
+
+-- Users who blocked each other cannot message, book or see each other's
+-- rides
+CREATE TABLE IF NOT EXISTS user_blocks (
+  blocker_id UUID NOT NULL REFERENCES users(id),
+  blocked_id UUID NOT NULL REFERENCES users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (blocker_id, blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks (blocked_id);
@@ -0,0 +1,45 @@
+-- People a user trusts to be told when they raise an SOS
+CREATE TABLE IF NOT EXISTS emergency_contacts (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id),
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  phone_number TEXT,
+  relationship TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_emergency_contacts_user ON emergency_contacts (user_id);
+
+-- Links that let anyone holding them follow a passenger's trip until they
+-- expire. Only a hash of the link token is stored.
+CREATE TABLE IF NOT EXISTS trip_shares (
+  id UUID PRIMARY KEY,
+  ride_id UUID NOT NULL REFERENCES rides(id),
+  booking_id UUID NOT NULL REFERENCES ride_bookings(id),
+  user_id UUID NOT NULL REFERENCES users(id),
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_shares_expires_at ON trip_shares (expires_at);
+
+-- SOS alerts with the location known when they were raised (trip pings are
+-- deleted once the ride ends)
+CREATE TABLE IF NOT EXISTS sos_alerts (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id),
+  ride_id UUID REFERENCES rides(id),
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  location_source TEXT CHECK (location_source IN ('device', 'ride_tracking')),
+  location_recorded_at TIMESTAMPTZ,
+  message TEXT,
+  contacts_notified INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sos_alerts_user ON sos_alerts (user_id, created_at);
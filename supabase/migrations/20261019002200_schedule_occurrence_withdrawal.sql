@@ -0,0 +1,41 @@
+-- Updates a schedule and, in the same transaction, withdraws its upcoming
+-- occurrences from p_from_date on that nobody holds seats on, so they can be
+-- re-materialised from the new details. p_changes holds the columns to
+-- change. A withdrawn ride is deleted, or cancelled and detached from its
+-- date when other rows (cancelled bookings, messages, ledger entries) still
+-- reference it.
+CREATE OR REPLACE FUNCTION update_schedule_withdrawing_occurrences(p_schedule_id UUID, p_changes JSONB, p_from_date DATE)
+RETURNS ride_schedules AS $$
+DECLARE
+  v_schedule ride_schedules;
+  v_ride_id UUID;
+BEGIN
+  UPDATE ride_schedules s SET
+    (pickup_address, pickup_latitude, pickup_longitude, drop_address, drop_latitude, drop_longitude, stops,
+     total_seats, vehicle_type, price_per_seat, description, booking_mode, days_of_week, departure_time,
+     duration_minutes, utc_offset_minutes, start_date, end_date, skip_dates, status, updated_at)
+    = (SELECT c.pickup_address, c.pickup_latitude, c.pickup_longitude, c.drop_address, c.drop_latitude, c.drop_longitude, c.stops,
+         c.total_seats, c.vehicle_type, c.price_per_seat, c.description, c.booking_mode, c.days_of_week, c.departure_time,
+         c.duration_minutes, c.utc_offset_minutes, c.start_date, c.end_date, c.skip_dates, c.status, NOW()
+       FROM jsonb_populate_record(s, p_changes) c)
+  WHERE id = p_schedule_id
+  RETURNING * INTO v_schedule;
+
+  FOR v_ride_id IN
+    SELECT r.id FROM rides r
+    WHERE r.schedule_id = p_schedule_id AND r.occurrence_date >= p_from_date AND r.status = 'available' AND r.pickup_time > NOW()
+      AND NOT EXISTS (SELECT 1 FROM ride_bookings b WHERE b.ride_id = r.id AND b.booking_status IN ('pending', 'confirmed'))
+  LOOP
+    BEGIN
+      DELETE FROM rides WHERE id = v_ride_id;
+    EXCEPTION WHEN foreign_key_violation THEN
+      UPDATE rides SET status = 'cancelled', cancelled_at = NOW(), occurrence_date = NULL, updated_at = NOW()
+      WHERE id = v_ride_id;
+      UPDATE ride_waitlist SET status = 'cancelled', updated_at = NOW()
+      WHERE ride_id = v_ride_id AND status IN ('waiting', 'offered');
+    END;
+  END LOOP;
+
+  RETURN v_schedule;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,11 @@
+-- Only the API may touch the ledger. Supabase exposes every function and
+-- table to the anon and authenticated roles through PostgREST, so without
+-- this anyone holding the anon key could post arbitrary entries. The API
+-- reaches the ledger with the service role (SUPABASE_SERVICE_ROLE_KEY).
+REVOKE EXECUTE ON FUNCTION post_ledger_transaction(JSONB, JSONB) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION ledger_balance(TEXT, UUID) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION post_ledger_transaction(JSONB, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION ledger_balance(TEXT, UUID) TO service_role;
+
+REVOKE ALL ON ledger_transactions, ledger_entries FROM anon, authenticated;
+GRANT ALL ON ledger_transactions, ledger_entries TO service_role;
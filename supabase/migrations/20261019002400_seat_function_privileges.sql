@@ -0,0 +1,15 @@
+-- The seat functions take the passenger, status and price as parameters and
+-- trust them, so only the API (the service role) may call them. Otherwise a
+-- client holding the anon key could book, confirm or cancel any booking
+-- without paying.
+REVOKE EXECUTE ON FUNCTION shift_segment_seats(UUID, INTEGER, INTEGER, INTEGER) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_booking_seats(ride_bookings) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reserve_seats(UUID, UUID, UUID, INTEGER, TEXT, NUMERIC, INTEGER, INTEGER, TIMESTAMPTZ) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION transition_booking(UUID, TEXT[], TEXT, TEXT, BOOLEAN) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION cancel_ride(UUID) FROM public, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION shift_segment_seats(UUID, INTEGER, INTEGER, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION release_booking_seats(ride_bookings) TO service_role;
+GRANT EXECUTE ON FUNCTION reserve_seats(UUID, UUID, UUID, INTEGER, TEXT, NUMERIC, INTEGER, INTEGER, TIMESTAMPTZ) TO service_role;
+GRANT EXECUTE ON FUNCTION transition_booking(UUID, TEXT[], TEXT, TEXT, BOOLEAN) TO service_role;
+GRANT EXECUTE ON FUNCTION cancel_ride(UUID) TO service_role;
@@ -0,0 +1,22 @@
+-- Like the ledger and seat functions, the rest of the functions the API
+-- calls skip the checks the API makes first (who owns the ride, who may
+-- read a conversation), so only the service role may call them
+REVOKE EXECUTE ON FUNCTION complete_ride(UUID) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_booking_refund(UUID, NUMERIC) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION increment_late_cancellations(UUID) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION offer_next_waitlist(UUID, TIMESTAMPTZ) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION accept_waitlist_offer(UUID, UUID, TEXT, NUMERIC, TIMESTAMPTZ) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION transition_waitlist(UUID, TEXT[], TEXT) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION list_conversations(UUID) FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION purge_trip_locations() FROM public, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION update_schedule_withdrawing_occurrences(UUID, JSONB, DATE) FROM public, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION complete_ride(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION record_booking_refund(UUID, NUMERIC) TO service_role;
+GRANT EXECUTE ON FUNCTION increment_late_cancellations(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION offer_next_waitlist(UUID, TIMESTAMPTZ) TO service_role;
+GRANT EXECUTE ON FUNCTION accept_waitlist_offer(UUID, UUID, TEXT, NUMERIC, TIMESTAMPTZ) TO service_role;
+GRANT EXECUTE ON FUNCTION transition_waitlist(UUID, TEXT[], TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION list_conversations(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION purge_trip_locations() TO service_role;
+GRANT EXECUTE ON FUNCTION update_schedule_withdrawing_occurrences(UUID, JSONB, DATE) TO service_role;
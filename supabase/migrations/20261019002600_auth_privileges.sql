@@ -0,0 +1,8 @@
+-- Sessions, email/password-reset tokens and phone codes are only read and
+-- written by the API, with the service role. With the anon key anyone could
+-- otherwise list or revoke live sessions and read pending codes.
+REVOKE ALL ON sessions, auth_tokens, phone_verifications FROM anon, authenticated;
+GRANT ALL ON sessions, auth_tokens, phone_verifications TO service_role;
+
+REVOKE EXECUTE ON FUNCTION record_phone_code_attempt(UUID, INTEGER) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_phone_code_attempt(UUID, INTEGER) TO service_role;
@@ -0,0 +1,7 @@
+-- Clients must not be able to reset their own counters, so only the API
+-- (the service role) touches rate_limits
+REVOKE ALL ON rate_limits FROM anon, authenticated;
+GRANT ALL ON rate_limits TO service_role;
+
+REVOKE EXECUTE ON FUNCTION hit_rate_limit(TEXT, INTEGER) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION hit_rate_limit(TEXT, INTEGER) TO service_role;
@@ -0,0 +1,6 @@
+-- Only the API writes and reads the admin audit log, so entries cannot be
+-- forged or erased with the anon key
+REVOKE ALL ON admin_audit_log FROM anon, authenticated;
+REVOKE ALL ON SEQUENCE admin_audit_log_id_seq FROM anon, authenticated;
+GRANT ALL ON admin_audit_log TO service_role;
+GRANT ALL ON SEQUENCE admin_audit_log_id_seq TO service_role;
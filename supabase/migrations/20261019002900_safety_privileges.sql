@@ -0,0 +1,4 @@
+-- Emergency contacts, trip links and SOS alerts hold contacts' emails,
+-- token hashes and locations; only the API (the service role) reads them
+REVOKE ALL ON emergency_contacts, trip_shares, sos_alerts FROM anon, authenticated;
+GRANT ALL ON emergency_contacts, trip_shares, sos_alerts TO service_role;
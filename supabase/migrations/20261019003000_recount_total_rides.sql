@@ -0,0 +1,42 @@
+-- complete_ride() recounts total_rides for the driver and passengers instead
+-- of adding one, the same way the SQLite backend does, so the count always
+-- matches the completed rides and bookings
+CREATE OR REPLACE FUNCTION complete_ride(p_ride_id UUID)
+RETURNS SETOF ride_bookings AS $$
+DECLARE
+  v_driver_id UUID;
+  v_booking ride_bookings;
+BEGIN
+  UPDATE rides SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+  WHERE id = p_ride_id AND status = 'active'
+  RETURNING driver_id INTO v_driver_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'RIDE_NOT_ACTIVE';
+  END IF;
+
+  RETURN QUERY
+    UPDATE ride_bookings SET booking_status = 'completed', updated_at = NOW()
+    WHERE ride_id = p_ride_id AND booking_status = 'confirmed'
+    RETURNING *;
+
+  UPDATE users SET total_rides =
+    (SELECT COUNT(*) FROM rides WHERE driver_id = users.id AND status = 'completed')
+    + (SELECT COUNT(DISTINCT ride_id) FROM ride_bookings WHERE passenger_id = users.id AND booking_status = 'completed')
+  WHERE id = v_driver_id
+     OR id IN (SELECT passenger_id FROM ride_bookings WHERE ride_id = p_ride_id AND booking_status = 'completed');
+
+  FOR v_booking IN
+    UPDATE ride_bookings SET booking_status = 'cancelled', status_reason = 'ride_completed', updated_at = NOW()
+    WHERE ride_id = p_ride_id AND booking_status = 'pending'
+    RETURNING *
+  LOOP
+    PERFORM release_booking_seats(v_booking);
+  END LOOP;
+
+  UPDATE ride_waitlist SET status = 'cancelled', updated_at = NOW()
+  WHERE ride_id = p_ride_id AND status IN ('waiting', 'offered');
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION complete_ride(UUID) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION complete_ride(UUID) TO service_role;
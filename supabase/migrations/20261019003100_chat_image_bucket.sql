@@ -0,0 +1,7 @@
+-- Chat images are stored in Supabase Storage on the supabase backend, as the
+-- serverless deployment has no disk of its own. The bucket is public for
+-- reads (file names are random and unguessable, as with the local uploads);
+-- there are no storage policies, so only the service role can write to it.
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('chat-images', 'chat-images', true, 5242880, ARRAY['image/jpeg'])
+ON CONFLICT (id) DO NOTHING;
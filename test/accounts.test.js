@@ -0,0 +1,83 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createUser, repositories } from './helpers.js';
+
+const { users } = repositories;
+
+// Runs `action` and returns the link tokens in the emails it sent, which the
+// json mail transport logs
+async function mailedTokens(action) {
+  const log = mock.method(console, 'log', () => {});
+  try {
+    await action();
+  } finally {
+    log.mock.restore();
+  }
+  return log.mock.calls
+    .map(call => call.arguments.join(' '))
+    .filter(line => line.startsWith('📧'))
+    .map(line => line.match(/token=([\w.-]+)/)[1]);
+}
+
+async function register(name) {
+  const { status, body } = await api('POST', '/api/auth/register', {
+    body: { email: `${name}@example.com`, password: 'old-password-1', name, username: name }
+  });
+  assert.equal(status, 201);
+  return { ...body.user, token: body.token };
+}
+
+test('the emailed link verifies the address once', async () => {
+  const user = await createUser();
+  const [token] = await mailedTokens(() => api('POST', '/api/auth/verify-email/request', { user }));
+
+  const verified = await api('POST', '/api/auth/verify-email', { body: { token } });
+
+  assert.equal(verified.status, 200);
+  assert.ok(verified.body.user.is_verified);
+  assert.equal((await api('POST', '/api/auth/verify-email', { body: { token } })).status, 400);
+  assert.equal((await api('POST', '/api/auth/verify-email/request', { user })).status, 400);
+});
+
+test('sending a new link retires the earlier one', async () => {
+  const user = await createUser();
+  const [first] = await mailedTokens(() => api('POST', '/api/auth/verify-email/request', { user }));
+  const [second] = await mailedTokens(() => api('POST', '/api/auth/verify-email/request', { user }));
+
+  assert.equal((await api('POST', '/api/auth/verify-email', { body: { token: first } })).status, 400);
+  assert.equal((await api('POST', '/api/auth/verify-email', { body: { token: second } })).status, 200);
+});
+
+test('link tokens only work for their own purpose', async () => {
+  const user = await createUser();
+  const [token] = await mailedTokens(() => api('POST', '/api/auth/verify-email/request', { user }));
+
+  assert.equal((await api('POST', '/api/auth/reset-password', { body: { token, password: 'new-password-1' } })).status, 400);
+  assert.equal((await api('POST', '/api/auth/verify-email', { body: { token: user.token } })).status, 400);
+  assert.equal((await api('POST', '/api/auth/verify-email', { body: { token: `${token}x` } })).status, 400);
+  assert.ok(!(await users.findById(user.id)).is_verified);
+});
+
+test('a password reset sets the new password and signs out every session', async () => {
+  const user = await register('resetter');
+  const [token] = await mailedTokens(() => api('POST', '/api/auth/forgot-password', { body: { email: user.email } }));
+
+  const reset = await api('POST', '/api/auth/reset-password', { body: { token, password: 'new-password-1' } });
+
+  assert.equal(reset.status, 200);
+  assert.equal((await api('GET', '/api/auth/profile', { user })).status, 401);
+  assert.notEqual((await api('POST', '/api/auth/login', { body: { email: user.email, password: 'old-password-1' } })).status, 200);
+  assert.equal((await api('POST', '/api/auth/login', { body: { email: user.email, password: 'new-password-1' } })).status, 200);
+  assert.equal((await api('POST', '/api/auth/reset-password', { body: { token, password: 'other-password-1' } })).status, 400);
+});
+
+test('asking to reset an unknown address looks the same but sends nothing', async () => {
+  let response;
+  const tokens = await mailedTokens(async () => {
+    response = await api('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+  });
+
+  assert.equal(response.status, 200);
+  assert.match(response.body.message, /If an account uses this email/);
+  assert.deepEqual(tokens, []);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createRide, createUser, repositories } from './helpers.js';
+
+const { waitlist } = repositories;
+
+const block = (user, other) => api('POST', '/api/blocks', { user, body: { user_id: other.id } });
+const unblock = (user, other) => api('DELETE', `/api/blocks/${other.id}`, { user });
+
+function book(passenger, ride) {
+  return api('POST', '/api/bookings', { user: passenger, body: { ride_id: ride.id, seats_booked: 1 } });
+}
+
+function message(sender, receiver, ride) {
+  return api('POST', '/api/messages', { user: sender, body: { ride_id: ride.id, receiver_id: receiver.id, message: 'Hi' } });
+}
+
+async function availableRideIds(user) {
+  return (await api('GET', '/api/rides/available', { user })).body.map(ride => ride.id);
+}
+
+test('blocking works both ways and is undone by unblocking', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const ride = await createRide(driver);
+  const blockedRide = await createRide(driver);
+  assert.equal((await book(passenger, ride)).status, 201);
+
+  assert.equal((await block(passenger, driver)).status, 204);
+
+  for (const [user, other] of [[passenger, driver], [driver, passenger]]) {
+    assert.equal((await message(user, other, ride)).status, 403);
+  }
+  assert.equal((await book(passenger, blockedRide)).status, 403);
+  assert.ok(!(await availableRideIds(passenger)).includes(blockedRide.id));
+  assert.equal((await api('GET', `/api/rides/${blockedRide.id}`, { user: passenger })).status, 404);
+  // The driver still sees their own ride
+  assert.equal((await api('GET', `/api/rides/${blockedRide.id}`, { user: driver })).status, 200);
+
+  assert.equal((await unblock(passenger, driver)).status, 204);
+
+  assert.ok((await availableRideIds(passenger)).includes(blockedRide.id));
+  assert.equal((await message(driver, passenger, ride)).status, 201);
+  assert.equal((await book(passenger, blockedRide)).status, 201);
+});
+
+test('users manage their own block list', async () => {
+  const user = await createUser();
+  const other = await createUser();
+
+  assert.equal((await block(user, user)).status, 400);
+  assert.equal((await block(user, { id: crypto.randomUUID() })).status, 404);
+  assert.equal((await unblock(user, other)).status, 404);
+
+  await block(user, other);
+  const { body } = await api('GET', '/api/blocks', { user });
+  assert.deepEqual(body.map(entry => entry.id), [other.id]);
+});
+
+test('drivers cannot approve a request from someone blocked since', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const ride = await createRide(driver, { booking_mode: 'request' });
+  const request = (await book(passenger, ride)).body;
+
+  await block(driver, passenger);
+
+  assert.equal((await api('PATCH', `/api/bookings/${request.id}/approve`, { user: driver })).status, 403);
+  assert.equal((await api('PATCH', `/api/bookings/${request.id}/reject`, { user: driver, body: {} })).status, 200);
+});
+
+test('waitlist offers skip passengers who are blocked', async () => {
+  const driver = await createUser();
+  const holder = await createUser();
+  const blocked = await createUser();
+  const next = await createUser();
+  const ride = await createRide(driver, { seats: 1 });
+  const booking = (await book(holder, ride)).body;
+  const join = passenger => api('POST', '/api/waitlist', { user: passenger, body: { ride_id: ride.id, seats_requested: 1 } });
+  const blockedEntry = (await join(blocked)).body;
+  const nextEntry = (await join(next)).body;
+
+  await block(blocked, driver);
+  await api('PATCH', `/api/bookings/${booking.id}/cancel`, { user: holder });
+
+  assert.equal((await waitlist.findById(blockedEntry.id)).status, 'cancelled');
+  assert.equal((await waitlist.findById(nextEntry.id)).status, 'offered');
+});
+
+test('reports go to the moderation queue once per subject', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const ride = await createRide(driver);
+  await book(passenger, ride);
+  const report = body => api('POST', '/api/reports', { user: passenger, body: { category: 'unsafe_driving', description: 'Drove too fast', ...body } });
+
+  const aboutRide = await report({ ride_id: ride.id });
+  assert.equal(aboutRide.status, 201);
+  assert.equal(aboutRide.body.reported_user_id, driver.id);
+  assert.equal(aboutRide.body.status, 'open');
+  assert.equal((await report({ ride_id: ride.id })).status, 409);
+  assert.equal((await report({ user_id: passenger.id })).status, 400);
+  assert.equal((await report({})).status, 400);
+
+  const { body: sent } = await message(driver, passenger, ride);
+  // Only the recipient can report a message, which is about its sender
+  assert.equal((await api('POST', '/api/reports', { user: driver, body: { message_id: sent.id, category: 'spam', description: 'Spam' } })).status, 404);
+  const aboutMessage = await report({ message_id: sent.id, category: 'harassment' });
+  assert.equal(aboutMessage.status, 201);
+  assert.equal(aboutMessage.body.reported_user_id, driver.id);
+
+  const own = await api('GET', '/api/reports', { user: passenger });
+  assert.deepEqual(own.body.map(entry => entry.id).sort(), [aboutRide.body.id, aboutMessage.body.id].sort());
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { api, createRide, createUser, hoursFromNow, repositories } from './helpers.js';
+
+const { rides, bookings } = repositories;
+const { expirePendingBookings } = await import('../src/services/bookings.js');
+
+async function requestSeats(passenger, ride, seats = 1) {
+  const { status, body } = await api('POST', '/api/bookings', { user: passenger, body: { ride_id: ride.id, seats_booked: seats } });
+  assert.equal(status, 201);
+  return body;
+}
+
+async function walletBalance(user) {
+  return (await api('GET', '/api/wallet', { user })).body.balance;
+}
+
+test('a request holds its seats until the driver approves it', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const ride = await createRide(driver, { seats: 3, booking_mode: 'request' });
+
+  const booking = await requestSeats(passenger, ride, 2);
+
+  assert.equal(booking.booking_status, 'pending');
+  assert.ok(booking.expires_at, 'a request must expire');
+  assert.equal((await rides.findById(ride.id)).available_seats, 1);
+
+  assert.equal((await api('PATCH', `/api/bookings/${booking.id}/approve`, { user: passenger })).status, 403);
+  const approved = await api('PATCH', `/api/bookings/${booking.id}/approve`, { user: driver });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.booking_status, 'confirmed');
+  assert.equal((await api('PATCH', `/api/bookings/${booking.id}/approve`, { user: driver })).status, 409);
+  assert.equal((await rides.findById(ride.id)).available_seats, 1);
+});
+
+test('rejecting a request releases its seats and refunds it in full', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const ride = await createRide(driver, { seats: 3, booking_mode: 'request', price_per_seat: 120 });
+  const booking = await requestSeats(passenger, ride, 2);
+
+  const { status } = await api('PATCH', `/api/bookings/${booking.id}/reject`, { user: driver, body: { reason: 'Car is full' } });
+
+  assert.equal(status, 200);
+  const rejected = await bookings.findById(booking.id);
+  assert.equal(rejected.booking_status, 'cancelled');
+  assert.equal(rejected.status_reason, 'rejected');
+  assert.equal(rejected.refund_amount, 240);
+  assert.equal(await walletBalance(passenger), 240);
+  assert.equal((await rides.findById(ride.id)).available_seats, 3);
+});
+
+test('requests nobody answers expire and are refunded', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  // Requests expire at the latest when the ride leaves
+  const ride = await createRide(driver, { seats: 2, booking_mode: 'request', pickup_time: hoursFromNow(0.5 / 3600) });
+  const booking = await requestSeats(passenger, ride);
+  await sleep(new Date(booking.expires_at).getTime() - Date.now() + 50);
+
+  assert.equal((await api('PATCH', `/api/bookings/${booking.id}/approve`, { user: driver })).status, 409);
+  await expirePendingBookings();
+
+  const expired = await bookings.findById(booking.id);
+  assert.equal(expired.booking_status, 'cancelled');
+  assert.equal(expired.status_reason, 'expired');
+  assert.equal(await walletBalance(passenger), 50);
+  assert.equal((await rides.findById(ride.id)).available_seats, 2);
+});
+
+test('instant rides confirm bookings straight away', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const ride = await createRide(driver);
+
+  const booking = await requestSeats(passenger, ride);
+
+  assert.equal(booking.booking_status, 'confirmed');
+  assert.equal(booking.expires_at, null);
+  assert.equal((await api('PATCH', `/api/bookings/${booking.id}/approve`, { user: driver })).status, 409);
+});
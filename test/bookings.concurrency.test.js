@@ -0,0 +1,188 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+
+// Fires parallel bookings at one ride against a throwaway SQLite database
+// and checks seats are never oversold
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poolo-test-'));
+process.env.DATA_BACKEND = 'sqlite';
+process.env.DATABASE_PATH = path.join(tmpDir, 'poolo.db');
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'json';
+
+const { default: app } = await import('../src/app.js');
+const { users, rides, bookings } = await import('../src/repositories/index.js');
+const { startSession } = await import('../src/services/sessions.js');
+const { buildStops } = await import('../src/utils/stops.js');
+
+let server;
+let baseUrl;
+let userCount = 0;
+
+before(() => {
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function createUser() {
+  const n = ++userCount;
+  const user = await users.create({
+    id: crypto.randomUUID(),
+    email: `user${n}@example.com`,
+    password: 'not-a-real-hash',
+    name: `User ${n}`,
+    username: `user${n}`
+  });
+  const { token } = await startSession(user, { get: () => null, ip: null });
+  return { ...user, token };
+}
+
+async function createRide(driver, seats, stops = []) {
+  const ride = {
+    id: crypto.randomUUID(),
+    driver_id: driver.id,
+    pickup_address: 'Koramangala',
+    drop_address: 'Whitefield',
+    pickup_time: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    expected_drop_time: null,
+    total_seats: seats,
+    available_seats: seats,
+    vehicle_type: 'car',
+    price_per_seat: 50,
+    description: null,
+    pickup_latitude: null,
+    pickup_longitude: null,
+    drop_latitude: null,
+    drop_longitude: null
+  };
+  return rides.create(ride, buildStops(ride, stops));
+}
+
+function book(passenger, body) {
+  return fetch(`${baseUrl}/api/bookings`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: `Bearer ${passenger.token}` },
+    body: JSON.stringify(body)
+  });
+}
+
+// Every segment has as many free seats as the bookings covering it leave,
+// and none is negative
+async function assertSeatsConsistent(rideId, totalSeats) {
+  const ride = await rides.findById(rideId);
+  const segments = (await rides.listStops(rideId)).slice(0, -1);
+  const active = await bookings.listActiveByRide(rideId);
+
+  for (const stop of segments) {
+    const held = active
+      .filter(booking => booking.from_stop_order <= stop.stop_order && booking.to_stop_order > stop.stop_order)
+      .reduce((sum, booking) => sum + booking.seats_booked, 0);
+    assert.ok(stop.seats_available >= 0, `segment ${stop.stop_order} went negative (${stop.seats_available})`);
+    assert.equal(stop.seats_available, totalSeats - held, `segment ${stop.stop_order} lost track of its seats`);
+  }
+  assert.equal(ride.available_seats, Math.min(...segments.map(stop => stop.seats_available)));
+  return ride;
+}
+
+test('parallel bookings never oversell a ride', async () => {
+  const driver = await createUser();
+  const ride = await createRide(driver, 3);
+  const passengers = await Promise.all(Array.from({ length: 12 }, createUser));
+
+  const responses = await Promise.all(passengers.map(passenger => book(passenger, { ride_id: ride.id, seats_booked: 1 })));
+  const statuses = responses.map(response => response.status);
+
+  assert.equal(statuses.filter(status => status === 201).length, 3);
+  assert.ok(statuses.every(status => status === 201 || (status >= 400 && status < 500)), `unexpected statuses ${statuses}`);
+  const after = await assertSeatsConsistent(ride.id, 3);
+  assert.equal(after.available_seats, 0);
+});
+
+test('parallel multi-seat bookings on overlapping segments never oversell', async () => {
+  const driver = await createUser();
+  const ride = await createRide(driver, 4, [{ address: 'Indiranagar' }, { address: 'Marathahalli' }]);
+  const passengers = await Promise.all(Array.from({ length: 12 }, createUser));
+
+  const segments = [[0, 3], [0, 1], [1, 2], [1, 3], [2, 3], [0, 2]];
+  await Promise.all(passengers.map((passenger, i) => {
+    const [from_stop_order, to_stop_order] = segments[i % segments.length];
+    return book(passenger, { ride_id: ride.id, seats_booked: 1 + (i % 2), from_stop_order, to_stop_order });
+  }));
+
+  await assertSeatsConsistent(ride.id, 4);
+});
+
+// Each worker has its own database connection, so the reservations really
+// race instead of taking turns on one connection
+const RESERVE_IN_WORKER = `
+  const { workerData, parentPort } = require('worker_threads');
+  import(workerData.repositories).then(({ bookings }) => {
+    parentPort.once('message', async () => {
+      try {
+        await bookings.reserve(workerData.booking);
+        parentPort.postMessage('booked');
+      } catch (error) {
+        parentPort.postMessage(error.code || error.message);
+      }
+    });
+    parentPort.postMessage('ready');
+  });
+`;
+
+// Resolves once the worker has opened (and initialised) its database
+function startWorker(workerData) {
+  const worker = new Worker(RESERVE_IN_WORKER, { eval: true, workerData, stdout: true });
+  worker.stdout.resume();
+  return new Promise((resolve, reject) => {
+    worker.once('message', () => resolve(worker));
+    worker.once('error', reject);
+  });
+}
+
+function reserveInWorker(worker) {
+  return new Promise((resolve, reject) => {
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.postMessage('go');
+  });
+}
+
+test('reservations from separate connections never oversell', async () => {
+  const driver = await createUser();
+  const ride = await createRide(driver, 5);
+  const passengers = await Promise.all(Array.from({ length: 8 }, createUser));
+  const repositories = new URL('../src/repositories/index.js', import.meta.url).href;
+
+  // Started one at a time so only the reservations run concurrently, not
+  // the schema setup every new connection does
+  const workers = [];
+  for (const passenger of passengers) {
+    workers.push(await startWorker({
+      repositories,
+      booking: {
+        id: crypto.randomUUID(),
+        ride_id: ride.id,
+        passenger_id: passenger.id,
+        seats_booked: 2,
+        booking_status: 'confirmed',
+        total_price: 100,
+        from_stop_order: 0,
+        to_stop_order: 1
+      }
+    }));
+  }
+  const results = await Promise.all(workers.map(reserveInWorker));
+
+  assert.equal(results.filter(result => result === 'booked').length, 2);
+  assert.ok(results.every(result => result === 'booked' || result === 'NO_SEATS'), `unexpected results ${results}`);
+  const after = await assertSeatsConsistent(ride.id, 5);
+  assert.equal(after.available_seats, 1);
+});
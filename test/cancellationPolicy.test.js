@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createRide, createUser, hoursFromNow, repositories } from './helpers.js';
+
+const { users, bookings } = repositories;
+const { isLateCancellation, refundPercent } = await import('../src/services/cancellationPolicy.js');
+
+async function book(passenger, ride, seats = 1) {
+  const { status, body } = await api('POST', '/api/bookings', { user: passenger, body: { ride_id: ride.id, seats_booked: seats } });
+  assert.equal(status, 201);
+  return body;
+}
+
+async function walletBalance(user) {
+  return (await api('GET', '/api/wallet', { user })).body.balance;
+}
+
+test('the default tiers refund less the closer to pickup', () => {
+  assert.equal(refundPercent(hoursFromNow(48)), 100);
+  assert.equal(refundPercent(hoursFromNow(24.1)), 100);
+  assert.equal(refundPercent(hoursFromNow(23.9)), 75);
+  assert.equal(refundPercent(hoursFromNow(2.1)), 75);
+  assert.equal(refundPercent(hoursFromNow(1.9)), 50);
+  assert.equal(refundPercent(hoursFromNow(0.01)), 50);
+  assert.equal(refundPercent(hoursFromNow(-0.01)), 0);
+
+  assert.equal(isLateCancellation(hoursFromNow(25)), false);
+  assert.equal(isLateCancellation(hoursFromNow(23)), true);
+});
+
+test('a passenger cancelling late is refunded their tier and the driver keeps the rest', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const ride = await createRide(driver, { pickup_time: hoursFromNow(10), price_per_seat: 33.33 });
+  const booking = await book(passenger, ride, 3);
+
+  const { status, body } = await api('PATCH', `/api/bookings/${booking.id}/cancel`, { user: passenger });
+
+  assert.equal(status, 200);
+  assert.equal(body.booking_status, 'cancelled');
+  // 75% of ₹99.99, rounded to the paisa
+  assert.equal(body.refund_amount, 74.99);
+  assert.equal(await walletBalance(passenger), 74.99);
+  assert.equal(await walletBalance(driver), 25);
+});
+
+test('cancelling early or an unanswered request is refunded in full', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const early = await book(passenger, await createRide(driver, { pickup_time: hoursFromNow(30), price_per_seat: 40 }));
+  const request = await book(passenger, await createRide(driver, { pickup_time: hoursFromNow(1), price_per_seat: 60, booking_mode: 'request' }));
+
+  await api('PATCH', `/api/bookings/${early.id}/cancel`, { user: passenger });
+  await api('PATCH', `/api/bookings/${request.id}/cancel`, { user: passenger });
+
+  assert.equal((await bookings.findById(early.id)).refund_amount, 40);
+  assert.equal((await bookings.findById(request.id)).refund_amount, 60);
+  assert.equal(await walletBalance(passenger), 100);
+  assert.equal(await walletBalance(driver), 0);
+});
+
+test('drivers are penalised only for cancelling booked rides late', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const cancel = ride => api('PATCH', `/api/rides/${ride.id}/status`, { user: driver, body: { status: 'cancelled' } });
+
+  const early = await createRide(driver, { pickup_time: hoursFromNow(30) });
+  await book(passenger, early);
+  await cancel(early);
+  await cancel(await createRide(driver, { pickup_time: hoursFromNow(3) }));
+  assert.equal((await users.findById(driver.id)).late_cancellations, 0);
+
+  const late = await createRide(driver, { pickup_time: hoursFromNow(3) });
+  const booking = await book(passenger, late);
+  await cancel(late);
+
+  assert.equal((await users.findById(driver.id)).late_cancellations, 1);
+  // Passengers still get everything back when the driver cancels
+  assert.equal((await bookings.findById(booking.id)).refund_amount, 50);
+  assert.equal(await walletBalance(driver), 0);
+});
+
+test('the policy is published to clients', async () => {
+  const { status, body } = await api('GET', '/api/bookings/cancellation-policy', { user: await createUser() });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.refund_tiers.map(tier => [tier.hours_before_pickup, tier.refund_percent]), [[24, 100], [2, 75], [0, 50]]);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createUser, hoursFromNow, repositories } from './helpers.js';
+
+const { rides, schedules } = repositories;
+const { FARE_TABLES, estimateFare, priceCap } = await import('../src/services/fares.js');
+const { localDate, materializeSchedule } = await import('../src/services/schedules.js');
+
+// About 16km by road across Bangalore
+const KORAMANGALA = { lat: 12.9352, lng: 77.6245 };
+const HEBBAL = { lat: 13.0450, lng: 77.6200 };
+
+test('the suggestion shares the running cost between the seats, within the cap', () => {
+  const oneSeat = estimateFare({ pickup: KORAMANGALA, drop: HEBBAL, vehicle_type: 'car', seats: 1 });
+  const threeSeats = estimateFare({ pickup: KORAMANGALA, drop: HEBBAL, vehicle_type: 'car', seats: 3 });
+
+  assert.equal(oneSeat.distance_km, 15.9);
+  assert.equal(oneSeat.suggested_price, 64);
+  assert.equal(oneSeat.price_cap, 79);
+  assert.ok(oneSeat.min_price <= oneSeat.suggested_price && oneSeat.suggested_price <= oneSeat.max_price);
+  assert.ok(oneSeat.max_price <= oneSeat.price_cap);
+  // More seats share the cost, down to the minimum fare
+  assert.equal(threeSeats.suggested_price, FARE_TABLES.car.min_fare);
+  assert.equal(threeSeats.price_cap, oneSeat.price_cap);
+});
+
+test('short trips cost the minimum fare, which is also their cap', () => {
+  const fare = estimateFare({ pickup: KORAMANGALA, drop: { lat: 12.9360, lng: 77.6250 }, vehicle_type: 'suv', seats: 2 });
+
+  assert.equal(fare.suggested_price, FARE_TABLES.suv.min_fare);
+  assert.equal(fare.price_cap, FARE_TABLES.suv.min_fare);
+});
+
+test('rides without coordinates are capped at the vehicle\'s flat cap', () => {
+  assert.equal(priceCap({ vehicle_type: 'bike', total_seats: 1 }), FARE_TABLES.bike.flat_cap);
+  assert.equal(priceCap({ pickup_latitude: KORAMANGALA.lat, pickup_longitude: KORAMANGALA.lng, vehicle_type: 'car', total_seats: 3 }), FARE_TABLES.car.flat_cap);
+  assert.equal(priceCap({
+    pickup_latitude: KORAMANGALA.lat,
+    pickup_longitude: KORAMANGALA.lng,
+    drop_latitude: HEBBAL.lat,
+    drop_longitude: HEBBAL.lng,
+    vehicle_type: 'car',
+    total_seats: 3
+  }), 79);
+});
+
+test('publishing a ride above the cap is refused with the cap', async () => {
+  const driver = await createUser();
+  const ride = price => ({
+    pickup_address: 'Koramangala',
+    pickup_latitude: KORAMANGALA.lat,
+    pickup_longitude: KORAMANGALA.lng,
+    drop_address: 'Hebbal',
+    drop_latitude: HEBBAL.lat,
+    drop_longitude: HEBBAL.lng,
+    pickup_time: hoursFromNow(24),
+    total_seats: 3,
+    vehicle_type: 'car',
+    price_per_seat: price
+  });
+
+  const refused = await api('POST', '/api/rides', { user: driver, body: ride(80) });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.price_cap, 79);
+  assert.deepEqual(refused.body.errors.map(error => error.field), ['price_per_seat']);
+
+  assert.equal((await api('POST', '/api/rides', { user: driver, body: ride(79) })).status, 201);
+});
+
+test('the fare estimate is served to drivers', async () => {
+  const query = new URLSearchParams({
+    pickup_latitude: KORAMANGALA.lat,
+    pickup_longitude: KORAMANGALA.lng,
+    drop_latitude: HEBBAL.lat,
+    drop_longitude: HEBBAL.lng,
+    vehicle_type: 'car',
+    seats: 1
+  });
+
+  const { status, body } = await api('GET', `/api/rides/fare-estimate?${query}`, { user: await createUser() });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, estimateFare({ pickup: KORAMANGALA, drop: HEBBAL, vehicle_type: 'car', seats: 1 }));
+});
+
+test('schedules saved above today\'s cap publish their rides at the cap', async () => {
+  const driver = await createUser();
+  // As if the fare tables had been lowered since the schedule was saved
+  const schedule = await schedules.create({
+    id: crypto.randomUUID(),
+    driver_id: driver.id,
+    pickup_address: 'HSR Layout',
+    pickup_latitude: null,
+    pickup_longitude: null,
+    drop_address: 'Airport',
+    drop_latitude: null,
+    drop_longitude: null,
+    stops: [],
+    total_seats: 3,
+    vehicle_type: 'car',
+    price_per_seat: FARE_TABLES.car.flat_cap + 100,
+    description: null,
+    booking_mode: 'instant',
+    days_of_week: [0, 1, 2, 3, 4, 5, 6],
+    departure_time: '23:30',
+    duration_minutes: null,
+    utc_offset_minutes: 330,
+    start_date: localDate({ utc_offset_minutes: 330 }),
+    end_date: null,
+    skip_dates: []
+  });
+
+  await materializeSchedule(schedule);
+
+  const occurrences = await rides.listBySchedule(schedule.id, schedule.start_date);
+  assert.ok(occurrences.length > 0);
+  assert.ok(occurrences.every(ride => ride.price_per_seat === FARE_TABLES.car.flat_cap));
+});
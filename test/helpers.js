@@ -0,0 +1,98 @@
+import { after, before } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Shared setup for the behaviour tests. node --test runs every test file in
+// its own process, so each file gets its own throwaway SQLite database and
+// server. Set any other environment a file needs before importing this.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'poolo-test-'));
+process.env.DATA_BACKEND = 'sqlite';
+process.env.DATABASE_PATH = path.join(tmpDir, 'poolo.db');
+process.env.UPLOAD_DIR = path.join(tmpDir, 'uploads');
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'json';
+
+// node --test reads each file's results from its stdout, and Node 20 can
+// lose track of them when enough app logging (such as the logged emails) is
+// mixed in, so the app logs to stderr instead
+console.log = (...args) => console.error(...args);
+
+const { default: app } = await import('../src/app.js');
+const { startSession } = await import('../src/services/sessions.js');
+const { buildStops } = await import('../src/utils/stops.js');
+export const repositories = await import('../src/repositories/index.js');
+const { users, rides } = repositories;
+
+let server;
+let baseUrl;
+let userCount = 0;
+
+before(() => {
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * HOUR_MS).toISOString();
+}
+
+// A user with a live session; `token` is their access token
+export async function createUser(fields = {}) {
+  const n = ++userCount;
+  const user = await users.create({
+    id: crypto.randomUUID(),
+    email: `user${n}@example.com`,
+    password: 'not-a-real-hash',
+    name: `User ${n}`,
+    username: `user${n}`,
+    ...fields
+  });
+  const session = await startSession(user, { get: () => null, ip: null });
+  return { ...user, token: session.token, refreshToken: session.refresh_token };
+}
+
+export async function createRide(driver, { seats = 3, stops = [], ...fields } = {}) {
+  const ride = {
+    id: crypto.randomUUID(),
+    driver_id: driver.id,
+    pickup_address: 'Koramangala',
+    drop_address: 'Whitefield',
+    pickup_time: hoursFromNow(48),
+    expected_drop_time: null,
+    total_seats: seats,
+    available_seats: seats,
+    vehicle_type: 'car',
+    price_per_seat: 50,
+    description: null,
+    pickup_latitude: null,
+    pickup_longitude: null,
+    drop_latitude: null,
+    drop_longitude: null,
+    ...fields
+  };
+  return rides.create(ride, buildStops(ride, stops));
+}
+
+// Calls the API as `user` (or anonymously) and returns the status and the
+// parsed JSON body
+export async function api(method, url, { user, body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(body === undefined ? {} : { 'content-type': 'application/json' }),
+      ...(user ? { authorization: `Bearer ${user.token}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null, headers: response.headers };
+}
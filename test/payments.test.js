@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The fake provider declines charges above this many rupees
+process.env.FAKE_PAYMENT_DECLINE_ABOVE = '1000';
+
+const { api, createRide, createUser, repositories } = await import('./helpers.js');
+const { rides, bookings, ledger } = repositories;
+
+async function book(passenger, ride, seats = 1) {
+  return api('POST', '/api/bookings', { user: passenger, body: { ride_id: ride.id, seats_booked: seats } });
+}
+
+async function walletBalance(user) {
+  return (await api('GET', '/api/wallet', { user })).body.balance;
+}
+
+// Gives `user` wallet credit by booking and cancelling well ahead of pickup
+async function creditWallet(user, amount) {
+  const ride = await createRide(await createUser(), { price_per_seat: amount });
+  const booking = (await book(user, ride)).body;
+  await api('PATCH', `/api/bookings/${booking.id}/cancel`, { user });
+}
+
+test('bookings are paid from the wallet first and the provider for the rest', async () => {
+  const passenger = await createUser();
+  await creditWallet(passenger, 100);
+  assert.equal(await walletBalance(passenger), 100);
+  const ride = await createRide(await createUser(), { price_per_seat: 150 });
+
+  const { status, body: booking } = await book(passenger, ride);
+
+  assert.equal(status, 201);
+  assert.equal(await walletBalance(passenger), 0);
+  assert.equal(await ledger.balance('escrow', booking.id), 15000);
+  const { transactions } = (await api('GET', '/api/wallet/transactions', { user: passenger })).body;
+  const charge = transactions.filter(t => t.booking_id === booking.id).map(t => t.amount).sort((a, b) => a - b);
+  assert.deepEqual(charge, [-150, 50]);
+});
+
+test('a declined payment cancels the booking and frees its seats', async () => {
+  const passenger = await createUser();
+  const ride = await createRide(await createUser(), { seats: 3, price_per_seat: 600 });
+
+  const { status } = await book(passenger, ride, 2);
+
+  assert.equal(status, 402);
+  assert.equal((await rides.findById(ride.id)).available_seats, 3);
+  const [booking] = await bookings.listByRide(ride.id);
+  assert.equal(booking.booking_status, 'cancelled');
+  assert.equal(booking.status_reason, 'payment_failed');
+  assert.equal(await walletBalance(passenger), 0);
+});
+
+test('completed rides pay the driver, who can pay out no more than their balance', async () => {
+  const driver = await createUser();
+  const ride = await createRide(driver, { price_per_seat: 80 });
+  await book(await createUser(), ride, 2);
+  await api('PATCH', `/api/rides/${ride.id}/status`, { user: driver, body: { status: 'active' } });
+  await api('PATCH', `/api/rides/${ride.id}/status`, { user: driver, body: { status: 'completed' } });
+  assert.equal(await walletBalance(driver), 160);
+
+  assert.equal((await api('POST', '/api/wallet/payouts', { user: driver, body: { amount: 160.01 } })).status, 400);
+  const payout = await api('POST', '/api/wallet/payouts', { user: driver, body: { amount: 100.5 } });
+  assert.equal(payout.status, 201);
+  assert.equal(payout.body.amount, 100.5);
+  assert.ok(payout.body.provider_reference);
+  assert.equal(await walletBalance(driver), 59.5);
+  assert.equal((await api('POST', '/api/wallet/payouts', { user: driver, body: { amount: 60 } })).status, 400);
+  assert.equal(await walletBalance(driver), 59.5);
+});
+
+test('the ledger refuses to overdraw an account', async () => {
+  const user = await createUser();
+  const id = crypto.randomUUID();
+
+  const posted = await ledger.post({ id, kind: 'payout' }, [
+    { account: 'wallet', owner_id: user.id, amount_paise: -100 },
+    { account: 'provider', owner_id: null, amount_paise: 100 }
+  ]);
+
+  assert.equal(posted, null);
+  assert.equal(await ledger.findById(id), undefined);
+  assert.equal(await ledger.balance('wallet', user.id), 0);
+});
@@ -0,0 +1,95 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+
+process.env.PHONE_CODE_RESEND_SECONDS = '1';
+
+const { api, createUser, repositories } = await import('./helpers.js');
+const { users } = repositories;
+const { normalizePhone } = await import('../src/utils/phone.js');
+
+// Requests a code for `user` and returns the response with the code that was
+// texted, which the console SMS provider logs
+async function requestCode(user, phoneNumber) {
+  const log = mock.method(console, 'log', () => {});
+  let response;
+  try {
+    response = await api('POST', '/api/auth/phone/request-code', { user, body: { phone_number: phoneNumber } });
+  } finally {
+    log.mock.restore();
+  }
+  const texted = log.mock.calls.map(call => String(call.arguments[0])).find(line => line.startsWith('📱'));
+  return { ...response, code: texted?.match(/: (\d{6}) is your Poolo verification code/)[1] };
+}
+
+function verify(user, code) {
+  return api('POST', '/api/auth/phone/verify', { user, body: { code } });
+}
+
+// Any six digits other than `code`
+const wrong = code => String((Number(code) + 1) % 1e6).padStart(6, '0');
+
+test('phone numbers are normalised to E.164, Indian by default', () => {
+  assert.equal(normalizePhone('98765 43210'), '+919876543210');
+  assert.equal(normalizePhone('098765-43210'), '+919876543210');
+  assert.equal(normalizePhone('+91 (98765) 43210'), '+919876543210');
+  assert.equal(normalizePhone('0044 20 7946 0958'), '+442079460958');
+  assert.equal(normalizePhone('12345'), null);
+  assert.equal(normalizePhone(undefined), null);
+});
+
+test('the texted code verifies the number once', async () => {
+  const user = await createUser();
+  const { status, body, code } = await requestCode(user, '98765 43210');
+  assert.equal(status, 200);
+  assert.equal(body.phone_number, '+919876543210');
+
+  const wrongGuess = await verify(user, wrong(code));
+  assert.equal(wrongGuess.status, 400);
+  assert.match(wrongGuess.body.message, /4 attempt\(s\) left/);
+
+  const verified = await verify(user, code);
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.user.phone_number, '+919876543210');
+  assert.ok(verified.body.user.phone_verified);
+  assert.equal((await verify(user, code)).status, 400);
+  assert.equal((await requestCode(user)).status, 400);
+});
+
+test('a code stops working after too many wrong guesses', async () => {
+  const user = await createUser();
+  const { code } = await requestCode(user, '9876500001');
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await verify(user, wrong(code))).status, 400);
+  }
+  const tooMany = await verify(user, code);
+
+  assert.equal(tooMany.status, 400);
+  assert.match(tooMany.body.message, /Too many incorrect attempts/);
+  assert.ok(!(await users.findById(user.id)).phone_verified);
+});
+
+test('new codes are rate limited and replace the previous one', async () => {
+  const user = await createUser();
+  const first = await requestCode(user, '9876500002');
+
+  const tooSoon = await requestCode(user, '9876500002');
+  assert.equal(tooSoon.status, 429);
+  assert.equal(tooSoon.headers.get('retry-after'), '1');
+
+  await sleep(1100);
+  const second = await requestCode(user, '9876500002');
+  assert.equal(second.status, 200);
+  if (first.code !== second.code) {
+    assert.equal((await verify(user, first.code)).status, 400);
+  }
+  assert.equal((await verify(user, second.code)).status, 200);
+});
+
+test('requesting a code needs a valid number', async () => {
+  const user = await createUser();
+
+  assert.equal((await requestCode(user)).status, 400);
+  assert.equal((await requestCode(user, '12345')).status, 400);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { api } from './helpers.js';
+
+const { consume } = await import('../src/services/rateLimits.js');
+const { RateLimitError } = await import('../src/utils/errors.js');
+
+async function register(name) {
+  const { status } = await api('POST', '/api/auth/register', {
+    body: { email: `${name}@example.com`, password: 'right-password', name, username: name }
+  });
+  assert.equal(status, 201);
+  return `${name}@example.com`;
+}
+
+function login(email, password) {
+  return api('POST', '/api/auth/login', { body: { email, password } });
+}
+
+test('requests over the limit are refused until the window is over', async () => {
+  const limit = { name: 'test', max: 2, windowSeconds: 1 };
+
+  await consume(limit, 'a');
+  await consume(limit, 'a');
+  await assert.rejects(consume(limit, 'a'), error => error instanceof RateLimitError && error.retryAfter === 1);
+  // Keys are counted separately
+  await consume(limit, 'b');
+
+  await sleep(1100);
+  await consume(limit, 'a');
+});
+
+test('repeated failed logins lock the account, even for the right password', async () => {
+  const email = await register('locked');
+  const other = await register('unlocked');
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await login(email, 'wrong-password')).status, 401);
+  }
+  const locked = await login(email, 'right-password');
+
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  // The lock is per account and ignores case
+  assert.equal((await login(email.toUpperCase(), 'right-password')).status, 429);
+  assert.equal((await login(other, 'right-password')).status, 200);
+});
+
+test('a successful login forgets earlier failures', async () => {
+  const email = await register('forgetful');
+
+  for (let round = 0; round < 2; round++) {
+    for (let i = 0; i < 4; i++) {
+      assert.equal((await login(email, 'wrong-password')).status, 401);
+    }
+    assert.equal((await login(email, 'right-password')).status, 200);
+  }
+});
+
+test('the contact form is limited per email address', async () => {
+  const contact = () => api('POST', '/api/contact', {
+    body: { name: 'Asha', email: 'asha@example.com', subject: 'Hello', message: 'Just checking in' }
+  });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await contact()).status, 200);
+  }
+  const limited = await contact();
+
+  assert.equal(limited.status, 429);
+  assert.match(limited.body.message, /this email address/);
+});
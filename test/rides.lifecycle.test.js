@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createRide, createUser, repositories } from './helpers.js';
+
+const { users, bookings } = repositories;
+
+function setStatus(ride, user, status) {
+  return api('PATCH', `/api/rides/${ride.id}/status`, { user, body: { status } });
+}
+
+async function book(passenger, ride, seats = 1) {
+  const { status, body } = await api('POST', '/api/bookings', { user: passenger, body: { ride_id: ride.id, seats_booked: seats } });
+  assert.equal(status, 201);
+  return body;
+}
+
+async function walletBalance(user) {
+  return (await api('GET', '/api/wallet', { user })).body.balance;
+}
+
+test('rides only move along their lifecycle, and only by their driver', async () => {
+  const driver = await createUser();
+  const ride = await createRide(driver);
+
+  assert.equal((await setStatus(ride, await createUser(), 'active')).status, 403);
+  assert.equal((await setStatus(ride, driver, 'completed')).status, 409);
+  assert.equal((await setStatus(ride, driver, 'active')).body.status, 'active');
+  assert.equal((await setStatus(ride, driver, 'active')).status, 409);
+  assert.equal((await setStatus(ride, driver, 'completed')).body.status, 'completed');
+  assert.equal((await setStatus(ride, driver, 'cancelled')).status, 409);
+  assert.equal((await setStatus(ride, driver, 'active')).status, 409);
+});
+
+test('completing a ride completes its bookings, pays the driver and closes open requests', async () => {
+  const driver = await createUser();
+  const rider = await createUser();
+  const requester = await createUser();
+  const ride = await createRide(driver, { booking_mode: 'request', price_per_seat: 75 });
+  const confirmed = await book(rider, ride, 2);
+  await api('PATCH', `/api/bookings/${confirmed.id}/approve`, { user: driver });
+  const pending = await book(requester, ride);
+
+  await setStatus(ride, driver, 'active');
+  const { status } = await setStatus(ride, driver, 'completed');
+
+  assert.equal(status, 200);
+  assert.equal((await bookings.findById(confirmed.id)).booking_status, 'completed');
+  const closed = await bookings.findById(pending.id);
+  assert.equal(closed.booking_status, 'cancelled');
+  assert.equal(closed.status_reason, 'ride_completed');
+  assert.equal(await walletBalance(driver), 150);
+  assert.equal(await walletBalance(requester), 75);
+});
+
+test('total_rides counts the completed rides of drivers and passengers', async () => {
+  const driver = await createUser();
+  const rider = await createUser();
+  const canceller = await createUser();
+
+  for (let i = 0; i < 2; i++) {
+    const ride = await createRide(driver);
+    await book(rider, ride);
+    const cancelled = await book(canceller, ride);
+    await api('PATCH', `/api/bookings/${cancelled.id}/cancel`, { user: canceller });
+    await setStatus(ride, driver, 'active');
+    await setStatus(ride, driver, 'completed');
+  }
+  // Rides that never ran do not count
+  const cancelledRide = await createRide(driver);
+  await book(rider, cancelledRide);
+  await setStatus(cancelledRide, driver, 'cancelled');
+
+  assert.equal((await users.findById(driver.id)).total_rides, 2);
+  assert.equal((await users.findById(rider.id)).total_rides, 2);
+  assert.equal((await users.findById(canceller.id)).total_rides, 0);
+});
+
+test('cancelling a ride cancels and fully refunds its bookings', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const ride = await createRide(driver, { price_per_seat: 90 });
+  const booking = await book(passenger, ride, 2);
+
+  const { status, body } = await setStatus(ride, driver, 'cancelled');
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'cancelled');
+  assert.equal((await bookings.findById(booking.id)).booking_status, 'cancelled');
+  assert.equal(await walletBalance(passenger), 180);
+  assert.equal(await walletBalance(driver), 0);
+});
@@ -0,0 +1,151 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { api, createRide, createUser, hoursFromNow, repositories } from './helpers.js';
+
+const { tripShares } = repositories;
+const { MAX_EMERGENCY_CONTACTS } = await import('../src/services/safety.js');
+
+// Runs `action` and returns its response with the emails it sent, which the
+// json mail transport logs
+async function withMail(action) {
+  const log = mock.method(console, 'log', () => {});
+  let response;
+  try {
+    response = await action();
+  } finally {
+    log.mock.restore();
+  }
+  const mails = log.mock.calls.map(call => call.arguments.join(' ')).filter(line => line.startsWith('📧'));
+  return { ...response, mails };
+}
+
+function addContact(user, fields = {}) {
+  return api('POST', '/api/safety/contacts', { user, body: { name: 'Amma', email: `amma.${user.id}@example.com`, ...fields } });
+}
+
+function share(user, ride) {
+  return api('POST', `/api/safety/rides/${ride.id}/share`, { user });
+}
+
+const viewTrip = token => api('GET', `/api/safety/trips/${token}`);
+
+// A ride with `passenger` confirmed on it, already started by its driver
+async function activeRide(passenger) {
+  const driver = await createUser({ phone_number: '+919876500000' });
+  const ride = await createRide(driver);
+  const { body: booking } = await api('POST', '/api/bookings', { user: passenger, body: { ride_id: ride.id, seats_booked: 1 } });
+  await api('PATCH', `/api/rides/${ride.id}/status`, { user: driver, body: { status: 'active' } });
+  return { driver, ride, booking };
+}
+
+test('users keep a limited list of their own emergency contacts', async () => {
+  const user = await createUser();
+  const other = await createUser();
+
+  const { status, body: contact } = await addContact(user, { phone_number: '98765 43210', relationship: 'Mother' });
+  assert.equal(status, 201);
+  assert.equal(contact.phone_number, '+919876543210');
+  assert.equal((await addContact(user, { email: 'not-an-email' })).status, 400);
+
+  assert.equal((await api('PATCH', `/api/safety/contacts/${contact.id}`, { user: other, body: { name: 'Mine now' } })).status, 404);
+  assert.equal((await api('DELETE', `/api/safety/contacts/${contact.id}`, { user: other })).status, 404);
+  const renamed = await api('PATCH', `/api/safety/contacts/${contact.id}`, { user, body: { name: 'Mum' } });
+  assert.equal(renamed.body.name, 'Mum');
+  assert.equal(renamed.body.phone_number, '+919876543210');
+
+  for (let i = 1; i < MAX_EMERGENCY_CONTACTS; i++) {
+    assert.equal((await addContact(user, { email: `contact${i}@example.com` })).status, 201);
+  }
+  assert.equal((await addContact(user, { email: 'one-too-many@example.com' })).status, 409);
+  assert.equal((await api('GET', '/api/safety/contacts', { user })).body.length, MAX_EMERGENCY_CONTACTS);
+  assert.deepEqual((await api('GET', '/api/safety/contacts', { user: other })).body, []);
+});
+
+test('confirmed passengers can share a started trip until they revoke the link', async () => {
+  const passenger = await createUser();
+  const driver = await createUser();
+  const ride = await createRide(driver);
+  await api('POST', '/api/bookings', { user: passenger, body: { ride_id: ride.id, seats_booked: 1 } });
+
+  assert.equal((await share(passenger, ride)).status, 409);
+  await api('PATCH', `/api/rides/${ride.id}/status`, { user: driver, body: { status: 'active' } });
+  assert.equal((await share(await createUser(), ride)).status, 403);
+
+  const { status, body: link } = await share(passenger, ride);
+  assert.equal(status, 201);
+  assert.ok(link.url.endsWith(`/trip/${link.token}`));
+
+  // Anyone with the link can follow the trip, without contact details
+  const trip = await viewTrip(link.token);
+  assert.equal(trip.status, 200);
+  assert.equal(trip.body.status, 'active');
+  assert.equal(trip.body.shared_by, passenger.name);
+  assert.deepEqual(trip.body.driver, { name: driver.name });
+  assert.ok(!JSON.stringify(trip.body).includes(driver.email));
+
+  assert.equal((await api('DELETE', `/api/safety/shares/${link.id}`, { user: driver })).status, 404);
+  assert.equal((await api('DELETE', `/api/safety/shares/${link.id}`, { user: passenger })).status, 204);
+  assert.equal((await viewTrip(link.token)).status, 404);
+});
+
+test('trip links stop working once they expire', async () => {
+  const passenger = await createUser();
+  const { ride, booking } = await activeRide(passenger);
+  const token = crypto.randomBytes(24).toString('base64url');
+  const expired = await tripShares.create({
+    id: crypto.randomUUID(),
+    ride_id: ride.id,
+    booking_id: booking.id,
+    user_id: passenger.id,
+    token_hash: crypto.createHash('sha256').update(token).digest('hex'),
+    expires_at: hoursFromNow(-1)
+  });
+
+  assert.equal((await viewTrip(token)).status, 410);
+  // Expired links are forgotten once past their retention
+  await tripShares.pruneExpiredBefore(hoursFromNow(0));
+  assert.ok(!await tripShares.findById(expired.id));
+  assert.equal((await viewTrip(token)).status, 404);
+  assert.equal((await viewTrip('too-short')).status, 400);
+});
+
+test('an SOS emails every contact with the trip and a link to follow it', async () => {
+  const passenger = await createUser({ phone_number: '+919876511111' });
+  const { driver, ride } = await activeRide(passenger);
+  await addContact(passenger);
+  await addContact(passenger, { name: 'Appa', email: 'appa@example.com' });
+  await api('POST', `/api/rides/${ride.id}/locations`, { user: driver, body: { latitude: 12.93, longitude: 77.62 } });
+
+  const sos = await withMail(() => api('POST', '/api/safety/sos', { user: passenger, body: { ride_id: ride.id, message: 'Wrong turn' } }));
+
+  assert.equal(sos.status, 201);
+  assert.equal(sos.body.contacts_notified, 2);
+  // Without a device location, the driver's last ping is used
+  assert.equal(sos.body.location_source, 'ride_tracking');
+  assert.equal(sos.body.latitude, 12.93);
+  assert.equal(sos.mails.length, 2);
+  for (const mail of sos.mails) {
+    assert.match(mail, new RegExp(`^📧 SOS: ${passenger.name} needs help`));
+    assert.ok(mail.includes(sos.body.trip_share.url));
+    assert.ok(mail.includes('Wrong turn'));
+    assert.ok(mail.includes(passenger.phone_number));
+  }
+  assert.equal((await viewTrip(sos.body.trip_share.token)).status, 200);
+});
+
+test('an SOS about a ride needs to be on it, and is rate limited', async () => {
+  const { ride } = await activeRide(await createUser());
+  const stranger = await createUser();
+  assert.equal((await api('POST', '/api/safety/sos', { user: stranger, body: { ride_id: ride.id } })).status, 403);
+  assert.equal((await api('POST', '/api/safety/sos', { user: stranger, body: { latitude: 12.9 } })).status, 400);
+
+  const user = await createUser();
+  for (let i = 0; i < 5; i++) {
+    const { status, body } = await api('POST', '/api/safety/sos', { user, body: { latitude: 12.9, longitude: 77.6 } });
+    assert.equal(status, 201);
+    assert.equal(body.location_source, 'device');
+    assert.equal(body.trip_share, null);
+  }
+  assert.equal((await api('POST', '/api/safety/sos', { user, body: {} })).status, 429);
+});
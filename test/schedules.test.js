@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createUser, repositories } from './helpers.js';
+
+const { rides } = repositories;
+const { localDate } = await import('../src/services/schedules.js');
+
+async function createSchedule(driver) {
+  const today = localDate({ utc_offset_minutes: 330 });
+  const { status, body } = await api('POST', '/api/schedules', {
+    user: driver,
+    body: {
+      pickup_address: 'HSR Layout',
+      drop_address: 'Manyata Tech Park',
+      total_seats: 3,
+      vehicle_type: 'car',
+      price_per_seat: 60,
+      days_of_week: [0, 1, 2, 3, 4, 5, 6],
+      departure_time: '23:30',
+      start_date: today
+    }
+  });
+  assert.equal(status, 201);
+  assert.ok(body.occurrences.length >= 2, 'expected several upcoming occurrences');
+  return body;
+}
+
+async function book(passenger, ride) {
+  const { status, body } = await api('POST', '/api/bookings', { user: passenger, body: { ride_id: ride.id, seats_booked: 1 } });
+  assert.equal(status, 201);
+  return body;
+}
+
+test('editing a schedule regenerates unbooked occurrences and keeps booked ones', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const schedule = await createSchedule(driver);
+  const [booked, ...unbooked] = schedule.occurrences;
+  await book(passenger, booked);
+
+  const { status, body } = await api('PATCH', `/api/schedules/${schedule.id}`, { user: driver, body: { price_per_seat: 80 } });
+
+  assert.equal(status, 200);
+  assert.equal(body.occurrences.length, schedule.occurrences.length);
+  const kept = body.occurrences.find(ride => ride.occurrence_date === booked.occurrence_date);
+  assert.equal(kept.id, booked.id);
+  assert.equal(kept.price_per_seat, 60);
+  for (const ride of body.occurrences.filter(ride => ride.id !== booked.id)) {
+    assert.equal(ride.price_per_seat, 80);
+    assert.ok(!unbooked.some(old => old.id === ride.id), `occurrence ${ride.occurrence_date} was not regenerated`);
+  }
+});
+
+test('pausing withdraws occurrences whose bookings were all cancelled', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const schedule = await createSchedule(driver);
+  const [booked, cancelled] = schedule.occurrences;
+  await book(passenger, booked);
+  const booking = await book(passenger, cancelled);
+  assert.equal((await api('PATCH', `/api/bookings/${booking.id}/cancel`, { user: passenger })).status, 200);
+
+  const paused = await api('POST', `/api/schedules/${schedule.id}/pause`, { user: driver });
+
+  assert.equal(paused.status, 200);
+  assert.equal(paused.body.status, 'paused');
+  assert.deepEqual(paused.body.occurrences.map(ride => ride.id), [booked.id]);
+  // Still referenced by the cancelled booking, so detached rather than deleted
+  const withdrawn = await rides.findById(cancelled.id);
+  assert.equal(withdrawn.status, 'cancelled');
+  assert.equal(withdrawn.occurrence_date, null);
+
+  const resumed = await api('POST', `/api/schedules/${schedule.id}/resume`, { user: driver });
+
+  assert.equal(resumed.status, 200);
+  const recreated = resumed.body.occurrences.find(ride => ride.occurrence_date === cancelled.occurrence_date);
+  assert.ok(recreated && recreated.id !== cancelled.id, 'the withdrawn date was not materialised again');
+});
+
+test('cancelling an occurrence skips its date', async () => {
+  const driver = await createUser();
+  const schedule = await createSchedule(driver);
+  const [, occurrence] = schedule.occurrences;
+
+  const { status, body } = await api('POST', `/api/schedules/${schedule.id}/occurrences/${occurrence.occurrence_date}/cancel`, { user: driver, body: {} });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.skip_dates, [occurrence.occurrence_date]);
+  assert.equal((await rides.findById(occurrence.id)).status, 'cancelled');
+});
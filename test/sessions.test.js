@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createUser, repositories } from './helpers.js';
+
+const { sessions } = repositories;
+const { startSession } = await import('../src/services/sessions.js');
+
+// Signs `user` in on another device
+async function signIn(user) {
+  const session = await startSession(user, { get: () => null, ip: null });
+  return { ...user, token: session.token, refreshToken: session.refresh_token };
+}
+
+const sessionIdOf = device => device.refreshToken.split('.')[0];
+
+function refresh(refreshToken) {
+  return api('POST', '/api/auth/refresh', { body: { refresh_token: refreshToken } });
+}
+
+const profile = device => api('GET', '/api/auth/profile', { user: device });
+
+test('refreshing replaces the refresh token and keeps the session', async () => {
+  const user = await createUser();
+
+  const { status, body } = await refresh(user.refreshToken);
+
+  assert.equal(status, 200);
+  assert.notEqual(body.refresh_token, user.refreshToken);
+  assert.equal(body.refresh_token.split('.')[0], sessionIdOf(user));
+  assert.equal((await profile({ token: body.token })).status, 200);
+  assert.equal((await refresh(body.refresh_token)).status, 200);
+});
+
+test('reusing a refresh token revokes the whole session', async () => {
+  const user = await createUser();
+  const rotated = (await refresh(user.refreshToken)).body;
+
+  assert.equal((await refresh(user.refreshToken)).status, 401);
+
+  assert.equal((await refresh(rotated.refresh_token)).status, 401);
+  assert.equal((await profile({ token: rotated.token })).status, 401);
+  assert.equal((await sessions.findById(sessionIdOf(user))).revoked_reason, 'refresh_token_reuse');
+});
+
+test('refresh tokens that are malformed or belong to no session are refused', async () => {
+  const user = await createUser();
+
+  assert.equal((await refresh('not-a-token')).status, 401);
+  assert.equal((await refresh(`${crypto.randomUUID()}.secret`)).status, 401);
+  assert.equal((await refresh(`${sessionIdOf(user)}.wrong-secret`)).status, 401);
+});
+
+test('logging out ends this device only, logging out everywhere ends them all', async () => {
+  const phone = await createUser();
+  const laptop = await signIn(phone);
+  const tablet = await signIn(phone);
+
+  assert.equal((await api('POST', '/api/auth/logout', { user: phone })).status, 204);
+  assert.equal((await profile(phone)).status, 401);
+  assert.equal((await refresh(phone.refreshToken)).status, 401);
+  assert.equal((await profile(laptop)).status, 200);
+
+  assert.equal((await api('POST', '/api/auth/logout-all', { user: laptop })).status, 204);
+  assert.equal((await profile(laptop)).status, 401);
+  assert.equal((await profile(tablet)).status, 401);
+});
+
+test('users see their own devices and can sign one out', async () => {
+  const phone = await createUser();
+  const laptop = await signIn(phone);
+  const stranger = await createUser();
+
+  const { body } = await api('GET', '/api/auth/sessions', { user: phone });
+  assert.deepEqual(body.map(session => session.id).sort(), [sessionIdOf(phone), sessionIdOf(laptop)].sort());
+  assert.deepEqual(body.filter(session => session.current).map(session => session.id), [sessionIdOf(phone)]);
+
+  assert.equal((await api('DELETE', `/api/auth/sessions/${sessionIdOf(laptop)}`, { user: stranger })).status, 404);
+  assert.equal((await api('DELETE', `/api/auth/sessions/${sessionIdOf(laptop)}`, { user: phone })).status, 204);
+  assert.equal((await profile(laptop)).status, 401);
+  assert.equal((await profile(phone)).status, 200);
+});
+
+test('changing the password signs out the other devices', async () => {
+  const registered = await api('POST', '/api/auth/register', {
+    body: { email: 'changer@example.com', password: 'old-password-1', name: 'Changer', username: 'changer' }
+  });
+  const phone = { ...registered.body.user, token: registered.body.token };
+  const laptop = await signIn(phone);
+
+  const changed = await api('PUT', '/api/auth/password', {
+    user: phone,
+    body: { current_password: 'old-password-1', new_password: 'new-password-1' }
+  });
+
+  assert.equal(changed.status, 200);
+  assert.equal((await profile(phone)).status, 200);
+  assert.equal((await profile(laptop)).status, 401);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, createUser, hoursFromNow } from './helpers.js';
+
+const { validateSchema } = await import('../src/utils/validation.js');
+const { createRideBody, fareEstimateQuery } = await import('../src/schemas/rides.js');
+const { createScheduleBody } = await import('../src/schemas/schedules.js');
+
+const fieldsOf = errors => errors.map(error => error.field);
+const byField = errors => [...errors].sort((a, b) => a.field.localeCompare(b.field));
+
+const validRide = () => ({
+  pickup_address: 'Koramangala',
+  drop_address: 'Whitefield',
+  pickup_time: hoursFromNow(24),
+  total_seats: 3,
+  vehicle_type: 'car',
+  price_per_seat: 120.5
+});
+
+test('a valid body passes unchanged', () => {
+  const ride = validRide();
+
+  const { value, errors } = validateSchema(createRideBody, ride);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, ride);
+});
+
+test('every invalid field is reported, nested ones by their path', () => {
+  const { errors } = validateSchema(createRideBody, {
+    ...validRide(),
+    drop_address: '   ',
+    total_seats: 2.5,
+    vehicle_type: 'rickshaw',
+    price_per_seat: 10.001,
+    pickup_latitude: 91,
+    stops: [{ address: 'Indiranagar' }, { latitude: 12.9 }]
+  });
+
+  assert.deepEqual(byField(errors), [
+    { field: 'drop_address', message: 'must not be empty' },
+    { field: 'pickup_latitude', message: 'must be at most 90' },
+    { field: 'price_per_seat', message: 'must be a multiple of 0.01' },
+    { field: 'stops[1].address', message: 'is required' },
+    { field: 'total_seats', message: 'must be a whole number' },
+    { field: 'vehicle_type', message: 'must be one of: bike, car, cab, suv' }
+  ]);
+});
+
+test('required fields, formats and future times are checked', () => {
+  const { errors } = validateSchema(createRideBody, { pickup_address: 'Koramangala', pickup_time: hoursFromNow(-1), expected_drop_time: 'tomorrow' });
+
+  assert.deepEqual(fieldsOf(errors).sort(), ['drop_address', 'expected_drop_time', 'pickup_time', 'price_per_seat', 'total_seats', 'vehicle_type']);
+  assert.equal(errors.find(error => error.field === 'pickup_time').message, 'must be in the future');
+  assert.equal(errors.find(error => error.field === 'expected_drop_time').message, 'must be an ISO 8601 date-time');
+});
+
+test('fields are compared with the sibling they refer to once both are valid', () => {
+  const pickup = hoursFromNow(24);
+  const early = validateSchema(createRideBody, { ...validRide(), pickup_time: pickup, expected_drop_time: hoursFromNow(23) });
+  assert.deepEqual(early.errors, [{ field: 'expected_drop_time', message: 'cannot be before pickup_time' }]);
+
+  const schedule = {
+    pickup_address: 'HSR Layout',
+    drop_address: 'Manyata',
+    total_seats: 3,
+    vehicle_type: 'car',
+    price_per_seat: 60,
+    days_of_week: [1, 1],
+    departure_time: '8:30',
+    start_date: '2026-02-30',
+    end_date: '2026-01-01'
+  };
+  // end_date is not compared with a start_date that is itself invalid
+  assert.deepEqual(byField(validateSchema(createScheduleBody, schedule).errors), [
+    { field: 'days_of_week', message: 'must not contain duplicates' },
+    { field: 'departure_time', message: 'must be HH:MM' },
+    { field: 'start_date', message: 'must be a date (YYYY-MM-DD)' }
+  ]);
+});
+
+test('query strings are converted to the types their schema asks for', () => {
+  const { value, errors } = validateSchema(fareEstimateQuery, {
+    pickup_latitude: '12.93',
+    pickup_longitude: '77.62',
+    drop_latitude: '13.04',
+    drop_longitude: 'east',
+    vehicle_type: 'car',
+    seats: '2'
+  }, { coerce: true });
+
+  assert.deepEqual(errors, [{ field: 'drop_longitude', message: 'must be a number' }]);
+  assert.equal(value.pickup_latitude, 12.93);
+  assert.equal(value.seats, 2);
+});
+
+test('routes answer 400 with every field error and where it was found', async () => {
+  const driver = await createUser();
+
+  const ride = await api('POST', '/api/rides', { user: driver, body: { ...validRide(), total_seats: 0, vehicle_type: 'bus' } });
+
+  assert.equal(ride.status, 400);
+  assert.equal(ride.body.message, 'total_seats must be at least 1');
+  assert.deepEqual(ride.body.errors, [
+    { in: 'body', field: 'total_seats', message: 'must be at least 1' },
+    { in: 'body', field: 'vehicle_type', message: 'must be one of: bike, car, cab, suv' }
+  ]);
+
+  const byId = await api('GET', '/api/rides/not-a-ride', { user: driver });
+  assert.equal(byId.status, 400);
+  assert.deepEqual(byId.body.errors, [{ in: 'params', field: 'id', message: 'must be a valid id' }]);
+
+  const estimate = await api('GET', '/api/rides/fare-estimate?vehicle_type=car&seats=two', { user: driver });
+  assert.equal(estimate.status, 400);
+  assert.ok(estimate.body.errors.every(error => error.in === 'query'));
+  assert.deepEqual(fieldsOf(estimate.body.errors).sort(), ['drop_latitude', 'drop_longitude', 'pickup_latitude', 'pickup_longitude', 'seats']);
+});
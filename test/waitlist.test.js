@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { api, createRide, createUser, repositories } from './helpers.js';
+
+const { rides, bookings, waitlist } = repositories;
+const { expireWaitlistOffers } = await import('../src/services/waitlist.js');
+
+async function joinWaitlist(passenger, ride, seats = 1) {
+  const { status, body } = await api('POST', '/api/waitlist', { user: passenger, body: { ride_id: ride.id, seats_requested: seats } });
+  assert.equal(status, 201);
+  return body;
+}
+
+async function statusOf(entry) {
+  return (await waitlist.findById(entry.id)).status;
+}
+
+// A ride whose only seat is taken
+async function fullRide() {
+  const driver = await createUser();
+  const ride = await createRide(driver, { seats: 1 });
+  const holder = await createUser();
+  const booking = (await api('POST', '/api/bookings', { user: holder, body: { ride_id: ride.id, seats_booked: 1 } })).body;
+  return { driver, ride, holder, booking };
+}
+
+test('only full rides can be waitlisted, once per passenger', async () => {
+  const driver = await createUser();
+  const passenger = await createUser();
+  const open = await createRide(driver, { seats: 2 });
+  assert.equal((await api('POST', '/api/waitlist', { user: passenger, body: { ride_id: open.id, seats_requested: 1 } })).status, 400);
+
+  const { ride } = await fullRide();
+  await joinWaitlist(passenger, ride);
+  assert.equal((await api('POST', '/api/waitlist', { user: passenger, body: { ride_id: ride.id, seats_requested: 1 } })).status, 409);
+});
+
+test('freed seats are offered in queue order and held until accepted', async () => {
+  const { ride, holder, booking } = await fullRide();
+  const first = await createUser();
+  const second = await createUser();
+  const firstEntry = await joinWaitlist(first, ride);
+  const secondEntry = await joinWaitlist(second, ride);
+
+  await api('PATCH', `/api/bookings/${booking.id}/cancel`, { user: holder });
+
+  assert.equal(await statusOf(firstEntry), 'offered');
+  assert.equal(await statusOf(secondEntry), 'waiting');
+  // The offer holds the seat, so nobody else can book it meanwhile
+  assert.equal((await rides.findById(ride.id)).available_seats, 0);
+  assert.equal((await api('PATCH', `/api/waitlist/${firstEntry.id}/accept`, { user: second })).status, 403);
+
+  const accepted = await api('PATCH', `/api/waitlist/${firstEntry.id}/accept`, { user: first });
+
+  assert.equal(accepted.status, 201);
+  assert.equal(accepted.body.booking_status, 'confirmed');
+  assert.equal(accepted.body.passenger_id, first.id);
+  assert.equal(await statusOf(firstEntry), 'accepted');
+  assert.equal((await rides.findById(ride.id)).available_seats, 0);
+  assert.equal((await api('PATCH', `/api/waitlist/${firstEntry.id}/accept`, { user: first })).status, 409);
+});
+
+test('declining an offer passes it to the next passenger', async () => {
+  const { ride, holder, booking } = await fullRide();
+  const first = await createUser();
+  const second = await createUser();
+  const firstEntry = await joinWaitlist(first, ride);
+  const secondEntry = await joinWaitlist(second, ride);
+  await api('PATCH', `/api/bookings/${booking.id}/cancel`, { user: holder });
+
+  assert.equal((await api('PATCH', `/api/waitlist/${firstEntry.id}/cancel`, { user: first })).status, 200);
+
+  assert.equal(await statusOf(firstEntry), 'cancelled');
+  assert.equal(await statusOf(secondEntry), 'offered');
+});
+
+test('offers nobody accepts in time expire and move on', async () => {
+  const { ride, booking } = await fullRide();
+  const first = await createUser();
+  const second = await createUser();
+  const firstEntry = await joinWaitlist(first, ride);
+  const secondEntry = await joinWaitlist(second, ride);
+
+  // Free the seat without the automatic offer, then make a short one
+  await bookings.transitionStatus(booking.id, { from: ['confirmed'], to: 'cancelled', releaseSeats: true });
+  await waitlist.offerNext(ride.id, new Date(Date.now() + 200).toISOString());
+  assert.equal(await statusOf(firstEntry), 'offered');
+  await sleep(250);
+
+  assert.equal((await api('PATCH', `/api/waitlist/${firstEntry.id}/accept`, { user: first })).status, 409);
+  await expireWaitlistOffers();
+
+  assert.equal(await statusOf(firstEntry), 'expired');
+  assert.equal(await statusOf(secondEntry), 'offered');
+  assert.equal((await rides.findById(ride.id)).available_seats, 0);
+});